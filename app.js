@@ -1,6 +1,24 @@
 
+const API_BASE = 'https://landscaping-ai-app-production.up.railway.app';
+
 let mediaRecorder;
 let recordedChunks = [];
+let currentEstimate = null;
+let currentEstimateId = null;
+
+// Session token saved at login - sent so estimates are priced and saved for this contractor
+function authHeaders() {
+    const sessionToken = localStorage.getItem('sessionToken');
+    return sessionToken ? { 'Authorization': `Bearer ${sessionToken}` } : {};
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
 document.getElementById('startBtn').onclick = async function() {
     const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -52,17 +70,37 @@ async function sendAudioToServer(audioBlob) {
         
         formData.append('audio', audioBlob, filename);
         
-        const response = await fetch('https://landscaping-ai-app-production.up.railway.app/transcribe', {
+        const measurements = readMeasurements();
+        if (measurements.error) {
+            updateStatus(`❌ ${measurements.error}`, 'error');
+            return;
+        }
+        if (measurements.list.length > 0) {
+            formData.append('measurements', JSON.stringify(measurements.list));
+        }
+        if (document.getElementById('tiersCheckbox').checked) {
+            formData.append('tiers', 'true');
+        }
+        
+        const response = await fetch(`${API_BASE}/transcribe`, {
             method: 'POST',
+            headers: authHeaders(),
             body: formData
         });
         
         const result = await response.json();
         
-        if (result.text && result.analysis && result.estimate) {
+        if (result.error) {
+            updateStatus(`❌ ${result.error}`, 'error');
+        } else if (result.text && result.analysis && result.estimate) {
+            currentEstimateId = result.estimateId || null;
             displayResults(result.text, result.analysis);
             displayEstimate(result.estimate);
             updateStatus('✅ Analysis and estimate complete!', 'complete');
+        } else if (result.text && result.analysis && result.estimateId) {
+            // Crew accounts don't see prices - the draft is priced up by the office
+            displayResults(result.text, result.analysis);
+            updateStatus('✅ Draft estimate saved for the office to review', 'complete');
         } else {
             updateStatus('❌ No speech detected or processing failed', 'error');
         }
@@ -149,36 +187,12 @@ function displayEstimate(estimate) {
         <p><strong>Total Hours:</strong> ${estimate.pricing.totalHours}</p>
     `;
 
-    // Service items
-    const serviceTableBody = document.querySelector('#serviceTable tbody');
-    serviceTableBody.innerHTML = '';
-    estimate.serviceItems.forEach(item => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${item.description}</td>
-            <td>${item.quantity}</td>
-            <td>${item.unit}</td>
-            <td>$${item.rate.toFixed(2)}</td>
-            <td>${item.hours}</td>
-            <td>$${item.subtotal.toFixed(2)}</td>
-        `;
-        serviceTableBody.appendChild(row);
-    });
+    // Good/Better/Best options, when the estimate has them
+    renderTiers(estimate);
 
-    // Material items
-    const materialTableBody = document.querySelector('#materialTable tbody');
-    materialTableBody.innerHTML = '';
-    estimate.materialItems.forEach(item => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${item.description}</td>
-            <td>${item.quantity}</td>
-            <td>${item.unit}</td>
-            <td>$${item.cost.toFixed(2)}</td>
-            <td>$${item.subtotal.toFixed(2)}</td>
-        `;
-        materialTableBody.appendChild(row);
-    });
+    // Line items - editable once the estimate has been saved
+    currentEstimate = JSON.parse(JSON.stringify(estimate));
+    renderLineItems();
 
     // Totals
     document.getElementById('laborSubtotal').textContent = `$${estimate.pricing.laborSubtotal.toFixed(2)}`;
@@ -187,6 +201,8 @@ function displayEstimate(estimate) {
     document.getElementById('subtotal').textContent = `$${estimate.pricing.subtotal.toFixed(2)}`;
     document.getElementById('tax').textContent = `$${estimate.pricing.tax.toFixed(2)}`;
     document.getElementById('finalTotal').textContent = `$${estimate.pricing.total.toFixed(2)}`;
+    document.getElementById('appliedRules').innerHTML =
+        (estimate.pricing.appliedRules || []).map(rule => `<li>${rule}</li>`).join('');
 
     // Assumptions and recommendations
     document.getElementById('estimateAssumptions').innerHTML = `
@@ -198,4 +214,628 @@ function displayEstimate(estimate) {
         <p><strong>Recommended on-site measurements:</strong></p>
         <ul>${estimate.metadata.recommendedMeasurements.map(m => `<li>${m}</li>`).join('')}</ul>
     `;
+
+    const measurementNotes = [
+        ...(estimate.metadata.measurementNotes || []),
+        ...(estimate.metadata.quantityNotes || [])
+    ];
+    document.getElementById('measurementNotes').innerHTML = measurementNotes.length === 0 ? '' : `
+        <p><strong>Calculated quantities:</strong></p>
+        <ul>${measurementNotes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>
+    `;
+    document.getElementById('applyMeasurementsBtn').style.display = currentEstimateId ? 'inline-block' : 'none';
+}
+
+// Columns shown for each line type; editable fields become inputs
+const LINE_COLUMNS = {
+    serviceItems: [
+        { field: 'description', type: 'text' },
+        { field: 'quantity', type: 'number' },
+        { field: 'unit' },
+        { field: 'rate', type: 'number', money: true },
+        { field: 'hours', type: 'number' },
+        { field: 'subtotal', money: true }
+    ],
+    materialItems: [
+        { field: 'description', type: 'text' },
+        { field: 'quantity', type: 'number' },
+        { field: 'unit' },
+        { field: 'cost', type: 'number', money: true },
+        { field: 'subtotal', money: true }
+    ]
+};
+
+function renderLineItems() {
+    const editable = !!currentEstimateId;
+    renderLineTable('#serviceTable tbody', 'serviceItems', editable);
+    renderLineTable('#materialTable tbody', 'materialItems', editable);
+    document.getElementById('lineItemEditor').style.display = editable ? 'block' : 'none';
+}
+
+function renderLineTable(selector, listField, editable) {
+    const tableBody = document.querySelector(selector);
+    tableBody.innerHTML = '';
+
+    currentEstimate[listField].forEach((item, index) => {
+        const row = document.createElement('tr');
+        const cells = LINE_COLUMNS[listField].map(column => {
+            const value = item[column.field];
+
+            if (editable && column.type) {
+                return `<td><input type="${column.type}" ${column.type === 'number' ? 'step="any" min="0"' : ''}
+                    data-list="${listField}" data-index="${index}" data-field="${column.field}"
+                    value="${escapeHtml(value)}"></td>`;
+            }
+
+            if (column.money) {
+                return `<td>$${Number(value || 0).toFixed(2)}</td>`;
+            }
+            return `<td>${escapeHtml(value)}</td>`;
+        });
+
+        const actions = editable ? `
+            <td class="line-actions">
+                <button data-action="up" data-list="${listField}" data-index="${index}" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button data-action="down" data-list="${listField}" data-index="${index}" ${index === currentEstimate[listField].length - 1 ? 'disabled' : ''}>▼</button>
+                <button data-action="delete" data-list="${listField}" data-index="${index}">✕</button>
+            </td>` : '<td></td>';
+
+        row.innerHTML = cells.join('') + actions;
+        tableBody.appendChild(row);
+    });
+}
+
+// Keep the local copy in sync as line inputs change
+document.getElementById('estimate-content').addEventListener('input', function(event) {
+    const input = event.target;
+    if (!input.dataset.field) return;
+
+    const item = currentEstimate[input.dataset.list][Number(input.dataset.index)];
+    item[input.dataset.field] = input.type === 'number' ? Number(input.value) : input.value;
+    setEditorStatus('Unsaved changes');
+});
+
+document.getElementById('estimate-content').addEventListener('click', function(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const items = currentEstimate[button.dataset.list];
+    const index = Number(button.dataset.index);
+
+    if (button.dataset.action === 'delete') {
+        items.splice(index, 1);
+    } else {
+        const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+        [items[index], items[target]] = [items[target], items[index]];
+    }
+
+    renderLineItems();
+    setEditorStatus('Unsaved changes');
+});
+
+document.getElementById('addServiceBtn').onclick = function() {
+    currentEstimate.serviceItems.push({ description: '', quantity: 0, unit: 'sq ft', rate: 0, hours: 0, subtotal: 0 });
+    renderLineItems();
+};
+
+document.getElementById('addMaterialBtn').onclick = function() {
+    currentEstimate.materialItems.push({ description: '', quantity: 0, unit: 'sq ft', cost: 0, subtotal: 0 });
+    renderLineItems();
+};
+
+// Send the edited lines to the server, which recalculates totals and stores a new revision
+document.getElementById('saveLineItemsBtn').onclick = async function() {
+    try {
+        setEditorStatus('Saving...');
+
+        const response = await fetch(`${API_BASE}/api/estimates/${currentEstimateId}/items`, {
+            method: 'PUT',
+            headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                serviceItems: currentEstimate.serviceItems,
+                materialItems: currentEstimate.materialItems
+            })
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            setEditorStatus(`❌ ${result.error || 'Failed to save changes'}`);
+            return;
+        }
+
+        displayEstimate(result.estimate.estimate_data);
+        setEditorStatus(`✅ Saved as revision ${result.revision.revision_number}`);
+
+    } catch (error) {
+        console.error('Error:', error);
+        setEditorStatus('❌ Failed to save changes');
+    }
+};
+
+// Create the customer accept/decline link and show it so it can be copied into a text or email
+document.getElementById('shareEstimateBtn').onclick = async function() {
+    try {
+        const response = await fetch(`${API_BASE}/api/estimates/${currentEstimateId}/share`, {
+            method: 'POST',
+            headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            setEditorStatus(`❌ ${result.error || 'Failed to share estimate'}`);
+            return;
+        }
+
+        document.getElementById('shareUrl').value = result.shareUrl;
+        document.getElementById('shareLink').style.display = 'block';
+        document.getElementById('shareUrl').select();
+        setEditorStatus('✅ Share link ready - estimate marked as sent');
+
+    } catch (error) {
+        console.error('Error:', error);
+        setEditorStatus('❌ Failed to share estimate');
+    }
+};
+
+// A plain link can't send the Authorization header, so the session token goes in the URL
+document.getElementById('downloadPdfBtn').onclick = function() {
+    const sessionToken = localStorage.getItem('sessionToken') || '';
+    window.open(`${API_BASE}/api/estimates/${currentEstimateId}/pdf?session_token=${encodeURIComponent(sessionToken)}`, '_blank');
+};
+
+function setEditorStatus(message) {
+    document.getElementById('lineItemStatus').textContent = message;
+}
+
+// ============= Good/Better/Best options =============
+
+function renderTiers(estimate) {
+    const container = document.getElementById('tierOptions');
+
+    if (!estimate.tiers) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = Object.entries(estimate.tiers).map(([tier, option]) => {
+        const selected = tier === estimate.tier;
+        const lines = [...option.serviceItems, ...option.materialItems]
+            .map(item => `<li>${escapeHtml(item.description)}</li>`).join('');
+
+        let action = '';
+        if (selected) {
+            action = '<strong>✅ Shown below</strong>';
+        } else if (currentEstimateId) {
+            action = `<button data-tier="${tier}">Choose this option</button>`;
+        }
+
+        return `
+            <div class="tier-card ${selected ? 'selected' : ''}">
+                <h4>${escapeHtml(option.name)}</h4>
+                <div>${escapeHtml(option.description)}</div>
+                <div class="tier-total">$${option.pricing.total.toFixed(2)}</div>
+                <ul>${lines}</ul>
+                ${action}
+            </div>
+        `;
+    }).join('');
+    container.style.display = 'grid';
+}
+
+// Picking a tier saves it as a new revision, which is what gets synced to QuickBooks
+document.getElementById('tierOptions').addEventListener('click', async function(event) {
+    const button = event.target.closest('button[data-tier]');
+    if (!button) return;
+
+    try {
+        button.disabled = true;
+
+        const response = await fetch(`${API_BASE}/api/estimates/${currentEstimateId}/tier`, {
+            method: 'PUT',
+            headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tier: button.dataset.tier })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            button.disabled = false;
+            alert(result.error || 'Failed to choose option');
+            return;
+        }
+
+        displayEstimate(result.estimate.estimate_data);
+
+    } catch (error) {
+        console.error('Error:', error);
+        button.disabled = false;
+    }
+});
+
+// ============= Site measurements =============
+
+// What goes in the dimensions box for each shape
+const SHAPE_HINTS = {
+    rectangle: 'length x width, e.g. 40 x 25',
+    circle: 'diameter, e.g. 12',
+    triangle: 'base x height, or sides a, b, c',
+    polygon: 'corner points, e.g. 0,0; 40,0; 40,25; 0,25',
+    linear: 'length, or points 0,0; 30,0; 30,40'
+};
+
+function addMeasurementRow() {
+    const row = document.createElement('div');
+    row.className = 'measurement-row';
+    row.innerHTML = `
+        <input class="m-label" placeholder="Label (Front lawn)">
+        <input class="m-service" placeholder="Service key" list="serviceKeys">
+        <input class="m-material" placeholder="Material key" list="materialKeys">
+        <select class="m-shape">
+            ${Object.keys(SHAPE_HINTS).map(shape => `<option value="${shape}">${shape}</option>`).join('')}
+        </select>
+        <input class="m-dimensions" placeholder="${SHAPE_HINTS.rectangle}">
+        <label><input type="checkbox" class="m-subtract"> cut-out</label>
+        <button class="m-remove">✕</button>
+    `;
+
+    row.querySelector('.m-shape').onchange = function() {
+        row.querySelector('.m-dimensions').placeholder = SHAPE_HINTS[this.value];
+    };
+    row.querySelector('.m-remove').onclick = function() {
+        row.remove();
+    };
+
+    document.getElementById('measurementRows').appendChild(row);
+}
+
+function parsePoints(text) {
+    return text.split(';')
+        .map(pair => pair.trim())
+        .filter(Boolean)
+        .map(pair => pair.split(',').map(Number));
+}
+
+// Turn the dimensions box into the fields the API expects for the shape
+function parseDimensions(shape, text) {
+    const numbers = text.split(/[x×,\s]+/).filter(Boolean).map(Number);
+
+    switch (shape) {
+        case 'rectangle':
+            return { length: numbers[0], width: numbers[1] };
+        case 'circle':
+            return { diameter: numbers[0] };
+        case 'triangle':
+            return numbers.length === 3
+                ? { a: numbers[0], b: numbers[1], c: numbers[2] }
+                : { base: numbers[0], height: numbers[1] };
+        case 'polygon':
+            return { points: parsePoints(text) };
+        case 'linear':
+            return text.includes(';') ? { points: parsePoints(text) } : { length: numbers[0] };
+    }
+    return {};
+}
+
+// Read the measurement rows. Returns { list } or { error } for a row missing its service.
+function readMeasurements() {
+    const list = [];
+    const rows = document.querySelectorAll('#measurementRows .measurement-row');
+
+    for (const [index, row] of [...rows].entries()) {
+        const service = row.querySelector('.m-service').value.trim();
+        const dimensions = row.querySelector('.m-dimensions').value.trim();
+
+        if (!service && !dimensions) continue;
+        if (!service) {
+            return { error: `Measurement ${index + 1} needs a service key` };
+        }
+
+        const shape = row.querySelector('.m-shape').value;
+        const entry = {
+            label: row.querySelector('.m-label').value.trim() || undefined,
+            service: service,
+            material: row.querySelector('.m-material').value.trim() || undefined,
+            shape: shape,
+            subtract: row.querySelector('.m-subtract').checked,
+            ...parseDimensions(shape, dimensions)
+        };
+        list.push(entry);
+    }
+
+    return { list };
+}
+
+function setMeasurementStatus(message) {
+    document.getElementById('measurementStatus').textContent = message;
+}
+
+document.getElementById('addMeasurementBtn').onclick = addMeasurementRow;
+
+document.getElementById('calculateMeasurementsBtn').onclick = async function() {
+    const measurements = readMeasurements();
+    if (measurements.error) {
+        setMeasurementStatus(`❌ ${measurements.error}`);
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/measurements/calculate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ measurements: measurements.list })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            setMeasurementStatus(`❌ ${result.error}`);
+            return;
+        }
+
+        const totals = Object.entries(result.totals.services).map(([service, total]) =>
+            `<li><strong>${escapeHtml(service)}:</strong> ${total.area} sq ft, ${total.linearFeet} linear ft</li>`);
+        document.getElementById('measurementTotals').innerHTML = totals.join('');
+        setMeasurementStatus('');
+
+    } catch (error) {
+        console.error('Error:', error);
+        setMeasurementStatus('❌ Failed to calculate measurements');
+    }
+};
+
+// Re-price the current estimate from the measurements, saved as a new revision
+document.getElementById('applyMeasurementsBtn').onclick = async function() {
+    const measurements = readMeasurements();
+    if (measurements.error) {
+        setMeasurementStatus(`❌ ${measurements.error}`);
+        return;
+    }
+
+    try {
+        setMeasurementStatus('Applying...');
+
+        const response = await fetch(`${API_BASE}/api/estimates/${currentEstimateId}/measurements`, {
+            method: 'PUT',
+            headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ measurements: measurements.list })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            setMeasurementStatus(`❌ ${result.error || 'Failed to apply measurements'}`);
+            return;
+        }
+
+        displayEstimate(result.estimate.estimate_data);
+        setMeasurementStatus(`✅ Saved as revision ${result.revision.revision_number}`);
+
+    } catch (error) {
+        console.error('Error:', error);
+        setMeasurementStatus('❌ Failed to apply measurements');
+    }
+};
+
+// Offer this contractor's price book keys as suggestions when signed in
+async function loadPriceBookKeys() {
+    if (!localStorage.getItem('sessionToken')) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/pricing`, { headers: authHeaders() });
+        if (!response.ok) return;
+
+        const priceBook = await response.json();
+        document.getElementById('serviceKeys').innerHTML = Object.entries(priceBook.services)
+            .map(([key, service]) => `<option value="${escapeHtml(key)}">${escapeHtml(service.description)}</option>`).join('');
+        document.getElementById('materialKeys').innerHTML = Object.entries(priceBook.materials)
+            .map(([key, material]) => `<option value="${escapeHtml(key)}">${escapeHtml(material.description)}</option>`).join('');
+    } catch (error) {
+        console.error('Error loading price book:', error);
+    }
+}
+
+// Recording needs a signed-in contractor - the estimate is saved to their account
+function showAccount(user, quickbooksConnected, quickbooksNeedsReconnect, organization) {
+    document.getElementById('signedOut').style.display = user ? 'none' : 'block';
+    document.getElementById('signedIn').style.display = user ? 'block' : 'none';
+    document.getElementById('startBtn').disabled = !user;
+
+    if (user) {
+        const membership = organization && organization.role !== 'owner' ? ` (${organization.role} at ${organization.name})` : '';
+        document.getElementById('accountName').textContent = `Signed in as ${user.businessName || user.email}${membership}`
+            + (user.emailVerified === false ? ' (email not confirmed - check your inbox)' : '');
+        const connectButton = document.getElementById('connectQuickBooksBtn');
+        if (quickbooksNeedsReconnect) {
+            document.getElementById('quickbooksStatus').textContent = ' · ⚠️ QuickBooks connection expired - reconnect to keep syncing';
+            connectButton.textContent = 'Reconnect QuickBooks';
+        } else {
+            document.getElementById('quickbooksStatus').textContent = quickbooksConnected ? ' · QuickBooks connected' : ' · QuickBooks not connected';
+            connectButton.textContent = 'Connect QuickBooks';
+        }
+        // Only owners and office manage the QuickBooks connection
+        const canUseQuickBooks = !organization || ['owner', 'office'].includes(organization.role);
+        connectButton.style.display = canUseQuickBooks && !quickbooksConnected ? 'inline-block' : 'none';
+        document.getElementById('disconnectQuickBooksBtn').style.display = canUseQuickBooks && quickbooksConnected ? 'inline-block' : 'none';
+        updateStatus('Ready to record customer conversation');
+    } else {
+        updateStatus('Sign in to record a customer conversation');
+    }
+}
+
+function setAccountStatus(message) {
+    document.getElementById('accountStatus').textContent = message;
+}
+
+async function loadAccount() {
+    if (!localStorage.getItem('sessionToken')) {
+        showAccount(null);
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/me`, { headers: authHeaders() });
+        if (!response.ok) {
+            localStorage.removeItem('sessionToken');
+            showAccount(null);
+            return;
+        }
+
+        const result = await response.json();
+        showAccount(result.user, result.quickbooksConnected, result.quickbooksNeedsReconnect, result.organization);
+        loadPriceBookKeys();
+    } catch (error) {
+        console.error('Error loading account:', error);
+        setAccountStatus('❌ Could not reach the server');
+    }
+}
+
+async function submitAccountForm(path, body) {
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            setAccountStatus(`❌ ${result.error || 'Sign in failed'}`);
+            return;
+        }
+
+        localStorage.setItem('sessionToken', result.sessionToken);
+        document.getElementById('accountPassword').value = '';
+        setAccountStatus('');
+        await loadAccount();
+    } catch (error) {
+        console.error('Error:', error);
+        setAccountStatus('❌ Could not reach the server');
+    }
 }
+
+document.getElementById('signInBtn').onclick = function() {
+    submitAccountForm('login', {
+        email: document.getElementById('accountEmail').value.trim(),
+        password: document.getElementById('accountPassword').value
+    });
+};
+
+document.getElementById('registerBtn').onclick = function() {
+    submitAccountForm('register', {
+        email: document.getElementById('accountEmail').value.trim(),
+        password: document.getElementById('accountPassword').value,
+        businessName: document.getElementById('accountBusinessName').value.trim()
+    });
+};
+
+document.getElementById('forgotPasswordBtn').onclick = async function() {
+    const email = document.getElementById('accountEmail').value.trim();
+    if (!email) {
+        setAccountStatus('Enter your email address first');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/password-reset`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
+        });
+        const result = await response.json();
+        setAccountStatus(response.ok ? `✅ ${result.message}` : `❌ ${result.error}`);
+    } catch (error) {
+        console.error('Error:', error);
+        setAccountStatus('❌ Could not reach the server');
+    }
+};
+
+// Links in verification, password reset and invitation emails open the app with their token
+async function handleEmailLink() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify_email');
+    const resetToken = params.get('reset_password');
+    const invitationToken = params.get('invitation');
+    if (!verifyToken && !resetToken && !invitationToken) {
+        return;
+    }
+
+    history.replaceState(null, '', window.location.pathname);
+
+    let path = 'verify-email';
+    let body = { token: verifyToken };
+    if (invitationToken) {
+        const password = prompt('Choose a password to join the team (or enter yours if you already have an account)');
+        if (!password) {
+            return;
+        }
+        path = 'accept-invitation';
+        body = { token: invitationToken, password };
+    } else if (resetToken) {
+        const password = prompt('Choose a new password (at least 8 characters)');
+        if (!password) {
+            return;
+        }
+        path = 'password-reset/confirm';
+        body = { token: resetToken, password };
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (response.ok && result.sessionToken) {
+            localStorage.setItem('sessionToken', result.sessionToken);
+            setAccountStatus(`✅ Joined ${result.organization.name || 'the team'}`);
+            return;
+        }
+        setAccountStatus(response.ok ? `✅ ${result.message}` : `❌ ${result.error}`);
+    } catch (error) {
+        console.error('Error:', error);
+        setAccountStatus('❌ Could not reach the server');
+    }
+}
+
+document.getElementById('signOutBtn').onclick = async function() {
+    try {
+        await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST', headers: authHeaders() });
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+    localStorage.removeItem('sessionToken');
+    showAccount(null);
+};
+
+// The OAuth flow runs in a popup, which posts back when the company is connected
+document.getElementById('connectQuickBooksBtn').onclick = function() {
+    const sessionToken = localStorage.getItem('sessionToken') || '';
+    window.open(`${API_BASE}/api/quickbooks/auth?session_token=${encodeURIComponent(sessionToken)}`, 'quickbooks', 'width=800,height=700');
+};
+
+document.getElementById('disconnectQuickBooksBtn').onclick = async function() {
+    if (!confirm('Disconnect QuickBooks? Estimates will stop syncing until you connect again.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/quickbooks/disconnect`, { method: 'POST', headers: authHeaders() });
+        const result = await response.json();
+        setAccountStatus(response.ok ? '✅ QuickBooks disconnected' : `❌ ${result.error || 'Could not disconnect QuickBooks'}`);
+        loadAccount();
+    } catch (error) {
+        console.error('Error disconnecting QuickBooks:', error);
+        setAccountStatus('❌ Could not reach the server');
+    }
+};
+
+window.addEventListener('message', function(event) {
+    if (event.data?.type === 'quickbooks-connected') {
+        setAccountStatus(event.data.success ? '✅ QuickBooks connected' : `❌ ${event.data.error || 'QuickBooks connection failed'}`);
+        loadAccount();
+    }
+});
+
+addMeasurementRow();
+handleEmailLink().then(loadAccount);
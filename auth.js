@@ -3,6 +3,57 @@ const router = express.Router();
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const db = require('./database');
+const mailer = require('./mailer');
+const { authenticateUser, getSessionToken, hashApiKey, requireRole, resolveAccount } = require('./middleware');
+
+const PASSWORD_RESET_TTL = 60 * 60; // 1 hour
+const EMAIL_VERIFICATION_TTL = 3 * 24 * 60 * 60; // 3 days
+const MIN_PASSWORD_LENGTH = 8;
+
+function sessionDetails(req) {
+  return { userAgent: req.get('user-agent'), ipAddress: req.ip };
+}
+
+function validateNewPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// The account's QuickBooks connection, for reporting whether it's connected. Tokens that
+// can't be decrypted (a server key problem) count as not connected rather than failing
+// the sign-in.
+async function getQuickBooksConnection(accountId) {
+  try {
+    return await db.getUserTokens(accountId);
+  } catch (error) {
+    if (error instanceof db.TokenDecryptionError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Emailed tokens are stored hashed, so a leaked table can't be used to take over accounts
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function issueAuthToken(userId, purpose, ttl) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.createAuthToken(userId, purpose, hashToken(token), ttl);
+  return token;
+}
+
+async function sendVerificationEmail(req, user) {
+  const token = await issueAuthToken(user.id, 'email-verification', EMAIL_VERIFICATION_TTL);
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Confirm your LandscapingAI email address',
+    text: `Confirm your email address by opening this link:\n\n${mailer.appUrl(req)}/?verify_email=${token}\n\nThe link expires in 3 days.`
+  });
+}
 
 // Register new contractor/user
 router.post('/register', async (req, res) => {
@@ -16,6 +67,11 @@ router.post('/register', async (req, res) => {
       });
     }
     
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
     // Check if user already exists
     const existingUser = await db.getUserByEmail(email);
     if (existingUser) {
@@ -30,9 +86,16 @@ router.post('/register', async (req, res) => {
     // Create user
     const user = await db.createUser(email, passwordHash, businessName);
     
+    // The account works straight away - a mail problem shouldn't block signing up
+    try {
+      await sendVerificationEmail(req, user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+    
     // Create session token
     const sessionToken = crypto.randomBytes(32).toString('hex');
-    await db.createSession(user.id, sessionToken);
+    await db.createSession(user.id, sessionToken, undefined, sessionDetails(req));
     
     res.status(201).json({
       success: true,
@@ -42,7 +105,7 @@ router.post('/register', async (req, res) => {
         businessName: user.business_name
       },
       sessionToken: sessionToken,
-      message: 'Account created successfully. Please connect your QuickBooks account.'
+      message: 'Account created successfully. Check your email to confirm your address, then connect your QuickBooks account.'
     });
     
   } catch (error) {
@@ -83,11 +146,12 @@ router.post('/login', async (req, res) => {
     
     // Create session token
     const sessionToken = crypto.randomBytes(32).toString('hex');
-    await db.createSession(user.id, sessionToken);
+    await db.createSession(user.id, sessionToken, undefined, sessionDetails(req));
     
-    // Check if QuickBooks is connected
-    const qbTokens = await db.getUserTokens(user.id);
-    const qbConnected = !!qbTokens;
+    // Check if QuickBooks is connected - team members share their organization's connection
+    const { account } = await resolveAccount(user) || { account: user };
+    const qbTokens = await getQuickBooksConnection(account.id);
+    const qbConnected = !!qbTokens && !qbTokens.needs_reauth;
     
     res.json({
       success: true,
@@ -99,7 +163,8 @@ router.post('/login', async (req, res) => {
         phone: user.phone
       },
       sessionToken: sessionToken,
-      quickbooksConnected: qbConnected
+      quickbooksConnected: qbConnected,
+      quickbooksNeedsReconnect: !!qbTokens?.needs_reauth
     });
     
   } catch (error) {
@@ -122,13 +187,15 @@ router.get('/me', async (req, res) => {
     }
     
     const user = await db.getUserBySessionToken(sessionToken);
-    if (!user) {
+    const resolved = user && await resolveAccount(user);
+    if (!resolved) {
       return res.status(401).json({ error: 'Invalid or expired session' });
     }
+    const { account, member } = resolved;
     
     // Check QuickBooks connection
-    const qbTokens = await db.getUserTokens(user.id);
-    const qbConnected = !!qbTokens;
+    const qbTokens = await getQuickBooksConnection(account.id);
+    const qbConnected = !!qbTokens && !qbTokens.needs_reauth;
     
     res.json({
       user: {
@@ -140,9 +207,18 @@ router.get('/me', async (req, res) => {
         address: user.address,
         city: user.city,
         state: user.state,
-        zip: user.zip
+        zip: user.zip,
+        emailVerified: !!user.email_verified_at
+      },
+      // The business whose estimates and QuickBooks this login works on, and the login's role there
+      organization: {
+        id: member.organizationId,
+        name: account.business_name,
+        role: member.role
       },
-      quickbooksConnected: qbConnected
+      quickbooksConnected: qbConnected,
+      // The refresh token lapsed or was revoked - the user has to connect again
+      quickbooksNeedsReconnect: !!qbTokens?.needs_reauth
     });
     
   } catch (error) {
@@ -229,4 +305,309 @@ router.post('/logout', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Create (or replace) the API key webhook integrations send as x-api-key. The key is
+// only shown in this response.
+router.post('/api-key', authenticateUser, requireRole('owner'), async (req, res) => {
+  try {
+    const apiKey = `lsk_${crypto.randomBytes(24).toString('hex')}`;
+    await db.setUserApiKeyHash(req.user.id, hashApiKey(apiKey));
+    
+    res.status(201).json({
+      success: true,
+      apiKey: apiKey,
+      message: 'Store this key now - it cannot be shown again'
+    });
+    
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create API key',
+      details: error.message 
+    });
+  }
+});
+
+// Revoke the API key
+router.delete('/api-key', authenticateUser, requireRole('owner'), async (req, res) => {
+  try {
+    await db.setUserApiKeyHash(req.user.id, null);
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke API key',
+      details: error.message 
+    });
+  }
+});
+
+// Confirm the email address from the link sent on registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+    
+    const userId = await db.consumeAuthToken('email-verification', hashToken(token));
+    if (!userId) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+    
+    await db.markEmailVerified(userId);
+    
+    res.json({ success: true, message: 'Email address confirmed' });
+    
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify email',
+      details: error.message 
+    });
+  }
+});
+
+router.post('/verify-email/resend', authenticateUser, async (req, res) => {
+  try {
+    if (req.member.user.email_verified_at) {
+      return res.json({ success: true, message: 'Email address is already confirmed' });
+    }
+    
+    await sendVerificationEmail(req, req.member.user);
+    
+    res.json({ success: true, message: 'Verification email sent' });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send verification email',
+      details: error.message 
+    });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the account
+// exists, so this can't be used to find out who has one.
+router.post('/password-reset', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    const user = await db.getUserByEmail(email);
+    if (user) {
+      const token = await issueAuthToken(user.id, 'password-reset', PASSWORD_RESET_TTL);
+      await mailer.sendMail({
+        to: user.email,
+        subject: 'Reset your LandscapingAI password',
+        text: `Someone asked to reset the password for this account. If it was you, choose a new password here:\n\n${mailer.appUrl(req)}/?reset_password=${token}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+      });
+    }
+    
+    res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent' });
+    
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ 
+      error: 'Failed to request password reset',
+      details: error.message 
+    });
+  }
+});
+
+// Set a new password from a reset link. Every session is signed out.
+router.post('/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Reset token is required' });
+    }
+    
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
+    const userId = await db.consumeAuthToken('password-reset', hashToken(token));
+    if (!userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    
+    await db.updateUserPassword(userId, await bcrypt.hash(password, 10));
+    await db.deleteOtherSessions(userId, null);
+    // Following the emailed link proves the address
+    await db.markEmailVerified(userId);
+    
+    res.json({ success: true, message: 'Password updated. Please sign in with your new password.' });
+    
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset password',
+      details: error.message 
+    });
+  }
+});
+
+// Change password - signs out every other session
+router.post('/change-password', authenticateUser, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword) {
+      return res.status(400).json({ error: 'Current password is required' });
+    }
+    
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    
+    const { user } = req.member;
+    const validPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!validPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    
+    await db.updateUserPassword(user.id, await bcrypt.hash(newPassword, 10));
+    const sessionsRevoked = await db.deleteOtherSessions(user.id, getSessionToken(req));
+    
+    res.json({ success: true, sessionsRevoked: sessionsRevoked });
+    
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to change password',
+      details: error.message 
+    });
+  }
+});
+
+// Signed-in sessions, with the one making the request marked current
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const currentToken = getSessionToken(req);
+    const sessions = await db.getUserSessions(req.member.user.id);
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        expiresAt: session.expires_at,
+        current: session.token === currentToken
+      }))
+    });
+    
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list sessions',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/sessions/:id', authenticateUser, async (req, res) => {
+  try {
+    const deleted = /^\d+$/.test(req.params.id) && await db.deleteUserSession(req.member.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke session',
+      details: error.message 
+    });
+  }
+});
+
+// Join a team from an emailed invitation. Someone new sets a password here; an existing
+// login with no data of its own confirms theirs. Either way they're signed in.
+router.post('/accept-invitation', async (req, res) => {
+  try {
+    const { token, password, ownerName } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Invitation token and password are required' });
+    }
+    
+    const invitation = await db.getInvitationByTokenHash(hashToken(token));
+    if (!invitation) {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+    }
+    
+    let user = await db.getUserByEmail(invitation.email);
+    if (user) {
+      const validPassword = await bcrypt.compare(password, user.password_hash);
+      if (!validPassword) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+      
+      if (await db.getMembership(user.id)) {
+        return res.status(409).json({ error: 'This account already belongs to a team' });
+      }
+      
+      // Members work in the team's account, so their own estimates, customers and
+      // QuickBooks connection would silently disappear from view
+      if (await db.userOwnsData(user.id)) {
+        return res.status(409).json({
+          error: 'This account has its own estimates, customers or QuickBooks connection. Ask to be invited with a different email address.'
+        });
+      }
+    } else {
+      const passwordError = validateNewPassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+      
+      user = await db.createUser(invitation.email, await bcrypt.hash(password, 10), invitation.organization_name);
+      if (ownerName) {
+        await db.setUserOwnerName(user.id, ownerName);
+      }
+    }
+    
+    const member = await db.acceptInvitation(invitation.id, user.id);
+    if (!member) {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+    }
+    
+    // The invitation was emailed, so following it proves the address
+    await db.markEmailVerified(user.id);
+    
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+    await db.createSession(user.id, sessionToken, undefined, sessionDetails(req));
+    
+    res.json({
+      success: true,
+      sessionToken: sessionToken,
+      organization: {
+        id: member.organization_id,
+        name: invitation.organization_name,
+        role: member.role
+      }
+    });
+    
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to accept invitation',
+      details: error.message 
+    });
+  }
+});
+
+module.exports = router;
+module.exports.hashToken = hashToken;
\ No newline at end of file
@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const db = require('./database');
+const { authenticateUser, requireRole } = require('./middleware');
+const quickbooks = require('./quickbooks-multi-tenant');
+const quickbooksItems = require('./quickbooks-items');
+const { resolveQuickBooksCustomer, defaultDueDate } = require('./estimates');
+
+// Billing schedules raise invoices, so they're for owners and office
+const canViewFinancials = requireRole('owner', 'office');
+
+// Deposit and progress billing for a job (an estimate), mounted at /api/estimates/:id/billing.
+// A schedule is a list of milestones, each a percentage of the estimate total or a fixed
+// amount. Completing a milestone sends a partial invoice to QuickBooks; the last one to be
+// completed bills whatever is left of the total.
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function estimateTotal(estimate) {
+  return estimate.estimate_data?.pricing?.total || 0;
+}
+
+function scheduledAmount(milestone, total) {
+  return milestone.percent !== null && milestone.percent !== undefined
+    ? roundCents(total * parseFloat(milestone.percent) / 100)
+    : parseFloat(milestone.amount);
+}
+
+function validateSchedule(milestones, total) {
+  if (!Array.isArray(milestones)) {
+    return 'milestones must be a list of { name, percent } or { name, amount } objects';
+  }
+
+  let scheduled = 0;
+  for (const milestone of milestones) {
+    if (!milestone || typeof milestone.name !== 'string' || !milestone.name.trim()) {
+      return 'Every milestone needs a name';
+    }
+
+    const hasPercent = milestone.percent !== undefined && milestone.percent !== null;
+    const hasAmount = milestone.amount !== undefined && milestone.amount !== null;
+    if (hasPercent === hasAmount) {
+      return `${milestone.name} needs either a percent or an amount`;
+    }
+
+    if (hasPercent && !(typeof milestone.percent === 'number' && milestone.percent > 0 && milestone.percent <= 100)) {
+      return `${milestone.name}: percent must be a number between 0 and 100`;
+    }
+
+    if (hasAmount && !(typeof milestone.amount === 'number' && milestone.amount > 0)) {
+      return `${milestone.name}: amount must be a positive number`;
+    }
+
+    scheduled += scheduledAmount(milestone, total);
+  }
+
+  if (scheduled > total + 0.005) {
+    return `Milestones add up to $${scheduled.toFixed(2)}, more than the $${total.toFixed(2)} estimate total`;
+  }
+
+  return null;
+}
+
+// Schedule with each milestone's amount, plus invoiced/paid/remaining totals for the job
+async function getBillingSummary(userId, estimate) {
+  const total = estimateTotal(estimate);
+  const schedule = await db.getPaymentSchedule(estimate.id);
+  const invoices = await db.getUserInvoices(userId, { estimateId: estimate.id });
+  const { invoiced, paid } = await db.getEstimateBilling(userId, estimate.id);
+
+  return {
+    schedule: schedule.map(milestone => ({
+      ...milestone,
+      scheduledAmount: scheduledAmount(milestone, total)
+    })),
+    invoices: invoices,
+    balance: {
+      total: total,
+      invoiced: invoiced,
+      paid: paid,
+      // Invoiced but not yet paid
+      outstanding: roundCents(invoiced - paid),
+      // Still to be invoiced
+      uninvoiced: roundCents(Math.max(total - invoiced, 0)),
+      remaining: roundCents(total - paid)
+    }
+  };
+}
+
+async function loadEstimate(req, res) {
+  const estimate = await db.getEstimateById(req.user.id, req.params.id);
+  if (!estimate) {
+    res.status(404).json({ error: 'Estimate not found' });
+  }
+  return estimate;
+}
+
+// Payment schedule, job invoices and remaining balance
+router.get('/', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const estimate = await loadEstimate(req, res);
+    if (!estimate) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      ...await getBillingSummary(req.user.id, estimate)
+    });
+
+  } catch (error) {
+    console.error('Get billing error:', error);
+    res.status(500).json({
+      error: 'Failed to get billing',
+      details: error.message
+    });
+  }
+});
+
+// Define the payment schedule - body { milestones: [{ name: 'Deposit', percent: 30 }, ...] }.
+// Send an empty list to remove it. Can't be changed once a milestone has been invoiced.
+router.put('/schedule', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const estimate = await loadEstimate(req, res);
+    if (!estimate) {
+      return;
+    }
+
+    if (estimate.status === 'converted') {
+      return res.status(409).json({ error: 'Converted estimates have already been invoiced' });
+    }
+
+    const { milestones } = req.body;
+    const validationError = validateSchedule(milestones, estimateTotal(estimate));
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await db.getPaymentSchedule(estimate.id);
+    if (existing.some(milestone => milestone.status !== 'pending')) {
+      return res.status(409).json({ error: 'Milestones have already been invoiced, so the schedule can no longer be changed' });
+    }
+
+    await db.savePaymentSchedule(estimate.id, milestones.map(milestone => ({
+      name: milestone.name.trim(),
+      percent: milestone.percent,
+      amount: milestone.amount
+    })));
+
+    res.json({
+      success: true,
+      ...await getBillingSummary(req.user.id, estimate)
+    });
+
+  } catch (error) {
+    console.error('Save payment schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to save payment schedule',
+      details: error.message
+    });
+  }
+});
+
+// Mark a milestone complete and send its partial invoice to QuickBooks, linked to the
+// estimate. Takes `customerId`/`customer_info` as for revision sync and an optional
+// `dueDate` (YYYY-MM-DD). Completing the last milestone converts the estimate.
+router.post('/schedule/:milestoneId/complete', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const estimate = await loadEstimate(req, res);
+    if (!estimate) {
+      return;
+    }
+
+    if (estimate.status !== 'accepted') {
+      return res.status(409).json({ error: `Only accepted estimates can be invoiced (this one is ${estimate.status})` });
+    }
+
+    const schedule = await db.getPaymentSchedule(estimate.id);
+    const milestone = schedule.find(entry => String(entry.id) === req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    if (milestone.status !== 'pending') {
+      return res.status(409).json({ error: `${milestone.name} has already been invoiced` });
+    }
+
+    const { dueDate } = req.body;
+    if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+      return res.status(400).json({ error: 'dueDate must be YYYY-MM-DD' });
+    }
+
+    const total = estimateTotal(estimate);
+    const { invoiced } = await db.getEstimateBilling(req.user.id, estimate.id);
+    const isLast = schedule.filter(entry => entry.status === 'pending').length === 1;
+    const amount = roundCents(isLast
+      ? total - invoiced
+      : Math.min(scheduledAmount(milestone, total), total - invoiced));
+
+    if (amount <= 0) {
+      return res.status(409).json({ error: 'Nothing left to invoice on this estimate' });
+    }
+
+    // Claim the milestone before touching QuickBooks so a second submit can't bill it again
+    if (!await db.claimMilestone(milestone.id)) {
+      return res.status(409).json({ error: `${milestone.name} has already been invoiced` });
+    }
+
+    let qbInvoice, invoice;
+    try {
+      const tokens = await quickbooks.getValidUserTokens(req.user.id);
+      if (!tokens) {
+        await db.releaseMilestone(milestone.id);
+        return res.status(401).json({ error: 'QuickBooks not connected for this account' });
+      }
+
+      const { customerId, error } = await resolveQuickBooksCustomer(tokens, estimate, req.body);
+      if (error) {
+        await db.releaseMilestone(milestone.id);
+        return res.status(400).json({ error: error });
+      }
+
+      // Link to the QuickBooks estimate for the current revision, not an older one
+      const revision = await db.getEstimateRevision(req.user.id, estimate.id, estimate.current_revision);
+      let qbEstimateId = revision?.quickbooks_estimate_id;
+      if (!qbEstimateId) {
+        const qbEstimate = await quickbooks.createQuickBooksEstimate(tokens, customerId, estimate.estimate_data, {
+          requestId: `estimate-${estimate.id}-revision-${estimate.current_revision}`
+        });
+        await db.setRevisionQuickBooksId(req.user.id, estimate.id, estimate.current_revision, qbEstimate.Id);
+        qbEstimateId = qbEstimate.Id;
+      }
+
+      const summary = estimate.estimate_data.projectInfo?.summary || 'Landscaping project';
+      const share = milestone.percent !== null ? ` (${parseFloat(milestone.percent)}%)` : '';
+      qbInvoice = await quickbooks.createQuickBooksInvoice(tokens, customerId, estimate.estimate_data, {
+        linkedEstimateId: qbEstimateId,
+        dueDate: dueDate || defaultDueDate(),
+        email: req.body.customer_info?.email || estimate.customer_email,
+        requestId: `milestone-${milestone.id}-invoice`,
+        lineItems: [{
+          DetailType: 'SalesItemLineDetail',
+          Amount: amount,
+          Description: `${milestone.name}${isLast ? '' : share} - ${summary}`,
+          SalesItemLineDetail: {
+            ItemRef: await quickbooksItems.jobItemRef(tokens, estimate.estimate_data),
+            // Milestones are shares of the tax-inclusive total, so QuickBooks mustn't add tax
+            // on top - what's invoiced has to stay comparable with the total
+            TaxCodeRef: { value: 'NON' }
+          }
+        }]
+      });
+
+      invoice = await db.saveInvoice(
+        req.user.id,
+        estimate.customer_name,
+        estimate.customer_email,
+        qbInvoice,
+        qbInvoice.Id,
+        {
+          customerId: estimate.customer_id,
+          propertyId: estimate.property_id,
+          estimateId: estimate.id
+        }
+      );
+    } catch (error) {
+      await db.releaseMilestone(milestone.id);
+      throw error;
+    }
+    await db.markMilestoneInvoiced(milestone.id, invoice.id);
+
+    const updated = isLast
+      ? await db.updateEstimateStatus(req.user.id, estimate.id, 'converted')
+      : estimate;
+
+    res.status(201).json({
+      success: true,
+      estimate: updated,
+      invoice: invoice,
+      quickbooksInvoice: qbInvoice,
+      ...await getBillingSummary(req.user.id, updated)
+    });
+
+  } catch (error) {
+    console.error('Complete milestone error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to invoice milestone',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { authenticateUser } = require('./middleware');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shape a request body (or stored row) into the fields db.createCustomer/updateCustomer take
+function toCustomerFields(body, existing = {}) {
+  const value = field => body[field] !== undefined ? body[field] : existing[field];
+
+  return {
+    name: value('name'),
+    email: value('email'),
+    phone: value('phone'),
+    contacts: value('contacts') || [],
+    tags: value('tags') || [],
+    notes: value('notes'),
+    leadSource: value('lead_source')
+  };
+}
+
+function validateCustomer(customer) {
+  if (!customer.name && !customer.email && !customer.phone) {
+    return 'At least one of name, email or phone is required';
+  }
+
+  if (customer.email && !EMAIL_PATTERN.test(customer.email)) {
+    return 'email is not a valid email address';
+  }
+
+  if (!Array.isArray(customer.contacts) || customer.contacts.some(contact => !contact || typeof contact !== 'object')) {
+    return 'contacts must be a list of { name, email, phone, role } objects';
+  }
+
+  if (!Array.isArray(customer.tags) || customer.tags.some(tag => typeof tag !== 'string')) {
+    return 'tags must be a list of strings';
+  }
+
+  return null;
+}
+
+// Find the contractor's existing customer for a webhook's customer_info (matched by email,
+// then phone) and fill in anything it was missing, or create a new customer.
+// Returns null when customer_info has nothing to identify a customer by.
+async function findOrCreateCustomer(userId, customerInfo, leadSource = null) {
+  const info = customerInfo || {};
+  if (!info.name && !info.email && !info.phone) {
+    return null;
+  }
+
+  const existing = await db.findCustomerByContact(userId, info.email, info.phone);
+
+  if (!existing) {
+    return await db.createCustomer(userId, {
+      name: info.name,
+      email: info.email,
+      phone: info.phone,
+      leadSource: info.lead_source || leadSource
+    });
+  }
+
+  const merged = toCustomerFields({}, existing);
+  const missing = ['name', 'email', 'phone'].filter(field => !merged[field] && info[field]);
+
+  if (missing.length === 0) {
+    return existing;
+  }
+
+  missing.forEach(field => {
+    merged[field] = info[field];
+  });
+  return await db.updateCustomer(userId, existing.id, merged);
+}
+
+// Search customers - ?q= matches name, email, phone or notes; ?tag= filters by tag
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const customers = await db.searchCustomers(req.user.id, {
+      q: req.query.q,
+      tag: req.query.tag,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+
+    res.json({
+      success: true,
+      customers: customers
+    });
+
+  } catch (error) {
+    console.error('Search customers error:', error);
+    res.status(500).json({
+      error: 'Failed to search customers',
+      details: error.message
+    });
+  }
+});
+
+// Create a customer. Returns 409 with the existing record if the email or phone is
+// already on file, unless { force: true } is sent.
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const customer = toCustomerFields(req.body);
+
+    const validationError = validateCustomer(customer);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (!req.body.force) {
+      const duplicate = await db.findCustomerByContact(req.user.id, customer.email, customer.phone);
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'A customer with this email or phone already exists',
+          customer: duplicate
+        });
+      }
+    }
+
+    const created = await db.createCustomer(req.user.id, customer);
+
+    res.status(201).json({
+      success: true,
+      customer: created
+    });
+
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({
+      error: 'Failed to create customer',
+      details: error.message
+    });
+  }
+});
+
+// Get a customer with their properties, estimates and invoices
+router.get('/:id', authenticateUser, async (req, res) => {
+  try {
+    const customer = await db.getCustomerById(req.user.id, req.params.id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const properties = await db.getCustomerProperties(req.user.id, customer.id);
+    const estimates = await db.getUserEstimates(req.user.id, { customerId: customer.id, limit: 200 });
+    const invoices = await db.getUserInvoices(req.user.id, { customerId: customer.id });
+
+    res.json({
+      success: true,
+      customer: customer,
+      properties: properties,
+      estimates: estimates,
+      invoices: invoices
+    });
+
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      error: 'Failed to get customer',
+      details: error.message
+    });
+  }
+});
+
+// Update a customer - fields not sent keep their current values
+router.put('/:id', authenticateUser, async (req, res) => {
+  try {
+    const existing = await db.getCustomerById(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const customer = toCustomerFields(req.body, existing);
+
+    const validationError = validateCustomer(customer);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await db.updateCustomer(req.user.id, existing.id, customer);
+
+    res.json({
+      success: true,
+      customer: updated
+    });
+
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({
+      error: 'Failed to update customer',
+      details: error.message
+    });
+  }
+});
+
+// Delete a customer and their properties - their estimates and invoices are kept
+router.delete('/:id', authenticateUser, async (req, res) => {
+  try {
+    const deleted = await db.deleteCustomer(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete customer error:', error);
+    res.status(500).json({
+      error: 'Failed to delete customer',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
+module.exports.findOrCreateCustomer = findOrCreateCustomer;
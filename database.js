@@ -24,6 +24,9 @@ if (process.env.DATABASE_URL) {
 
 const pool = new Pool(poolConfig);
 
+// Owner of data created through the single-tenant QuickBooks routes and anonymous webhooks
+const LEGACY_USER_ID = 'legacy-single-user';
+
 // Test database connection
 pool.connect((err, client, release) => {
   if (err) {
@@ -55,6 +58,37 @@ async function initializeDatabase() {
       )
     `);
 
+    // Business pricing settings (tax, markups, rounding) live alongside the profile
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS pricing_settings JSONB
+    `);
+
+    // Per-contractor API key for webhook integrations - only its SHA-256 hash is stored
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS api_key_hash VARCHAR(64)
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_api_key_hash 
+      ON users(api_key_hash)
+    `);
+
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP
+    `);
+
+    // One-time links emailed for password resets and email verification - hashed like API keys
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        purpose VARCHAR(50) NOT NULL CHECK (purpose IN ('password-reset', 'email-verification')),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // QuickBooks tokens table - one per user
     await pool.query(`
       CREATE TABLE IF NOT EXISTS quickbooks_tokens (
@@ -96,6 +130,77 @@ async function initializeDatabase() {
       )
     `);
 
+    // Estimate status lifecycle and where the estimate came from
+    await pool.query(`
+      ALTER TABLE estimates
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        ADD COLUMN IF NOT EXISTS source VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS transcription TEXT,
+        ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS declined_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_estimates_user_status 
+      ON estimates(user_id, status)
+    `);
+
+    // Estimate revisions - immutable snapshots, estimates.estimate_data mirrors the current one
+    await pool.query(`
+      ALTER TABLE estimates ADD COLUMN IF NOT EXISTS current_revision INTEGER NOT NULL DEFAULT 1
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS estimate_revisions (
+        id SERIAL PRIMARY KEY,
+        estimate_id INTEGER NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        estimate_data JSONB NOT NULL,
+        note TEXT,
+        quickbooks_estimate_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(estimate_id, revision_number)
+      )
+    `);
+
+    // Give estimates saved before revisions existed their first revision
+    await pool.query(`
+      INSERT INTO estimate_revisions (estimate_id, revision_number, estimate_data, quickbooks_estimate_id)
+      SELECT e.id, 1, e.estimate_data, e.quickbooks_estimate_id
+      FROM estimates e
+      WHERE e.estimate_data IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM estimate_revisions r WHERE r.estimate_id = e.id)
+    `);
+
+    // Customer share links and their accept/decline signatures
+    await pool.query(`
+      ALTER TABLE estimates
+        ADD COLUMN IF NOT EXISTS share_token VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS shared_at TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_estimates_share_token 
+      ON estimates(share_token)
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS estimate_responses (
+        id SERIAL PRIMARY KEY,
+        estimate_id INTEGER NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        decision VARCHAR(20) NOT NULL,
+        signer_name VARCHAR(255) NOT NULL,
+        signer_ip VARCHAR(100),
+        user_agent TEXT,
+        comment TEXT,
+        signed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Invoices table - for tracking synced invoices
     await pool.query(`
       CREATE TABLE IF NOT EXISTS invoices (
@@ -110,6 +215,138 @@ async function initializeDatabase() {
       )
     `);
 
+    // Local customer records (CRM) - estimates and invoices link to these
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        phone_digits VARCHAR(20),
+        contacts JSONB NOT NULL DEFAULT '[]',
+        tags TEXT[] NOT NULL DEFAULT '{}',
+        notes TEXT,
+        lead_source VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_customers_user_email 
+      ON customers(user_id, LOWER(email))
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_customers_user_phone 
+      ON customers(user_id, phone_digits)
+    `);
+
+    await pool.query(`
+      ALTER TABLE estimates ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL
+    `);
+
+    await pool.query(`
+      ALTER TABLE invoices ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL
+    `);
+
+    // Service addresses - a customer can have several (rentals, a lake lot, ...)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS properties (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        label VARCHAR(100),
+        address VARCHAR(255) NOT NULL,
+        city VARCHAR(100),
+        state VARCHAR(50),
+        zip VARCHAR(20),
+        lot_size_sqft DECIMAL(12, 2),
+        lawn_area_sqft DECIMAL(12, 2),
+        bed_area_sqft DECIMAL(12, 2),
+        irrigation_zones INTEGER,
+        gate_codes VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_properties_customer 
+      ON properties(user_id, customer_id)
+    `);
+
+    // Customer addresses used to be a JSONB list on the customer - move them to properties.
+    // Another instance may be starting at the same time, so the check, copy and drop run in
+    // one transaction behind an advisory lock.
+    const migrationClient = await pool.connect();
+    try {
+      await migrationClient.query('BEGIN');
+      await migrationClient.query("SELECT pg_advisory_xact_lock(hashtext('customers.addresses'))");
+
+      const addressColumn = await migrationClient.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'customers' AND column_name = 'addresses'
+      `);
+      if (addressColumn.rows.length > 0) {
+        await migrationClient.query(`
+          INSERT INTO properties (user_id, customer_id, label, address, city, state, zip)
+          SELECT c.user_id, c.id, a->>'label', a->>'address', a->>'city', a->>'state', a->>'zip'
+          FROM customers c, jsonb_array_elements(c.addresses) a
+          WHERE COALESCE(a->>'address', '') <> ''
+            AND NOT EXISTS (
+              SELECT 1 FROM properties p
+              WHERE p.customer_id = c.id AND p.address = a->>'address'
+            )
+        `);
+        await migrationClient.query('ALTER TABLE customers DROP COLUMN addresses');
+      }
+
+      await migrationClient.query('COMMIT');
+    } catch (error) {
+      await migrationClient.query('ROLLBACK');
+      throw error;
+    } finally {
+      migrationClient.release();
+    }
+
+    // Estimates and jobs (invoices) can target one of the customer's properties
+    await pool.query(`
+      ALTER TABLE estimates ADD COLUMN IF NOT EXISTS property_id INTEGER REFERENCES properties(id) ON DELETE SET NULL
+    `);
+
+    await pool.query(`
+      ALTER TABLE invoices ADD COLUMN IF NOT EXISTS property_id INTEGER REFERENCES properties(id) ON DELETE SET NULL
+    `);
+
+    // Invoices converted from an estimate point back at it
+    await pool.query(`
+      ALTER TABLE invoices ADD COLUMN IF NOT EXISTS estimate_id INTEGER REFERENCES estimates(id) ON DELETE SET NULL
+    `);
+
+    // Deposit and progress billing - each milestone becomes a partial invoice when completed
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS payment_milestones (
+        id SERIAL PRIMARY KEY,
+        estimate_id INTEGER NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        percent DECIMAL(5, 2),
+        amount DECIMAL(10, 2),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_payment_milestones_estimate 
+      ON payment_milestones(estimate_id, position)
+    `);
+
     // Customers table - for tracking QB customer IDs
     await pool.query(`
       CREATE TABLE IF NOT EXISTS quickbooks_customers (
@@ -139,6 +376,96 @@ async function initializeDatabase() {
       )
     `);
 
+    // Price book service/material keys linked to QuickBooks Items, per user
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quickbooks_items (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        item_type VARCHAR(20) NOT NULL,
+        item_key VARCHAR(100) NOT NULL,
+        quickbooks_item_id VARCHAR(255) NOT NULL,
+        quickbooks_item_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, item_type, item_key)
+      )
+    `);
+
+    // Tokens are envelope encrypted - see Token Encryption below
+    await pool.query(`
+      ALTER TABLE quickbooks_tokens
+        ADD COLUMN IF NOT EXISTS token_key_id VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS token_data_key TEXT
+    `);
+
+    // Refresh bookkeeping for the background token refresh. needs_reauth is set once the
+    // refresh token is no longer accepted, and cleared when the user reconnects.
+    await pool.query(`
+      ALTER TABLE quickbooks_tokens
+        ADD COLUMN IF NOT EXISTS refresh_token_expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS refresh_failures INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS last_refresh_error TEXT,
+        ADD COLUMN IF NOT EXISTS needs_reauth BOOLEAN DEFAULT FALSE
+    `);
+
+    // Whether unmapped price book keys get a QuickBooks Item created on sync
+    await pool.query(`
+      ALTER TABLE quickbooks_tokens ADD COLUMN IF NOT EXISTS auto_create_items BOOLEAN NOT NULL DEFAULT false
+    `);
+
+    // Incremental sync watermark - changes since last_synced_at are pulled with ChangeDataCapture
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quickbooks_sync_state (
+        user_id VARCHAR(255) PRIMARY KEY,
+        realm_id VARCHAR(255) NOT NULL,
+        last_synced_at TIMESTAMP NOT NULL,
+        last_full_sync_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Outgoing QuickBooks work, retried with backoff until it succeeds or is dead-lettered
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        job_type VARCHAR(50) NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 8,
+        run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        result JSONB,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, idempotency_key)
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_sync_jobs_due 
+      ON sync_jobs(status, run_at)
+    `);
+
+    // A QuickBooks payment can cover several invoices - one row per payment/invoice pair
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_quickbooks_payments_unique 
+      ON quickbooks_payments(user_id, payment_id, invoice_id)
+    `);
+
+    // Payment tracking on invoices, kept up to date by the payment sync
+    await pool.query(`
+      ALTER TABLE invoices
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open',
+        ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP
+    `);
+
     // Sessions table for authentication (if not using Supabase)
     await pool.query(`
       CREATE TABLE IF NOT EXISTS sessions (
@@ -150,283 +477,2600 @@ async function initializeDatabase() {
       )
     `);
 
+    // Shown when the user lists their sessions
+    await pool.query(`
+      ALTER TABLE sessions
+        ADD COLUMN IF NOT EXISTS user_agent TEXT,
+        ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64)
+    `);
+
+    // Teams - an organization shares its owner's account (estimates, price book, QuickBooks)
+    // with the members' own logins
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        owner_user_id VARCHAR(255) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_members (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) UNIQUE NOT NULL,  -- A login belongs to one organization
+        role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'office', 'estimator', 'crew')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_invitations (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('office', 'estimator', 'crew')),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by VARCHAR(255),
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Pending QuickBooks connects - the OAuth state sent to Intuit, and whose it is
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS oauth_states (
+        id SERIAL PRIMARY KEY,
+        state VARCHAR(128) UNIQUE NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Price book tables - each contractor's own service rates and material costs
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_book_services (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        service_key VARCHAR(100) NOT NULL,
+        description VARCHAR(255),
+        rate DECIMAL(10, 2) NOT NULL,
+        unit VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, service_key)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_book_materials (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        material_key VARCHAR(100) NOT NULL,
+        description VARCHAR(255),
+        cost DECIMAL(10, 2) NOT NULL,
+        unit VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, material_key)
+      )
+    `);
+
+    // Which price books have been given the defaults, so emptying one doesn't refill it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS price_book_seeds (
+        user_id VARCHAR(255) PRIMARY KEY,
+        seeded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      INSERT INTO price_book_seeds (user_id)
+      SELECT user_id FROM price_book_services
+      UNION
+      SELECT user_id FROM price_book_materials
+      ON CONFLICT (user_id) DO NOTHING
+    `);
+
+    // Encrypt tokens saved before encryption was configured
+    if (getEncryptionKeys().currentKeyId) {
+      const encrypted = await reencryptTokens(true);
+      if (encrypted > 0) {
+        console.log(`Encrypted stored QuickBooks tokens for ${encrypted} connection(s)`);
+      }
+    } else {
+      console.warn('TOKEN_ENCRYPTION_KEYS is not set - QuickBooks tokens are stored unencrypted');
+    }
+
     console.log('Multi-tenant database tables initialized successfully');
   } catch (error) {
-    console.error('Database initialization error:', error);
-    throw error;
+    console.error('Database initialization error:', error);
+    throw error;
+  }
+}
+
+// ============= User Management Functions =============
+
+async function createUser(email, passwordHash, businessName) {
+  const query = `
+    INSERT INTO users (email, password_hash, business_name)
+    VALUES ($1, $2, $3)
+    RETURNING id, email, business_name
+  `;
+  
+  try {
+    const result = await pool.query(query, [email, passwordHash, businessName]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating user:', error);
+    throw error;
+  }
+}
+
+async function setUserOwnerName(userId, ownerName) {
+  try {
+    await pool.query(
+      'UPDATE users SET owner_name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [ownerName, userId]
+    );
+  } catch (error) {
+    console.error('Error setting owner name:', error);
+    throw error;
+  }
+}
+
+// Whether an account has work of its own - estimates, customers, invoices or a QuickBooks
+// connection - that it would stop seeing if it joined someone else's organization
+async function userOwnsData(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT EXISTS (SELECT 1 FROM estimates WHERE user_id = $1)
+           OR EXISTS (SELECT 1 FROM customers WHERE user_id = $1)
+           OR EXISTS (SELECT 1 FROM invoices WHERE user_id = $1)
+           OR EXISTS (SELECT 1 FROM quickbooks_tokens WHERE user_id = $1) AS owns_data`,
+      [String(userId)]
+    );
+    return result.rows[0].owns_data;
+  } catch (error) {
+    console.error('Error checking account data:', error);
+    throw error;
+  }
+}
+
+async function getUserByEmail(email) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM users WHERE email = $1',
+      [email]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error getting user by email:', error);
+    return null;
+  }
+}
+
+async function getUserById(userId) {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, business_name, owner_name, phone, address, city, state, zip FROM users WHERE id = $1',
+      [userId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error getting user by ID:', error);
+    return null;
+  }
+}
+
+async function getUserPricingSettings(userId) {
+  try {
+    const result = await pool.query(
+      'SELECT pricing_settings FROM users WHERE id = $1',
+      [userId]
+    );
+    return result.rows[0]?.pricing_settings || null;
+  } catch (error) {
+    console.error('Error getting pricing settings:', error);
+    return null;
+  }
+}
+
+async function saveUserPricingSettings(userId, settings) {
+  const query = `
+    UPDATE users
+    SET pricing_settings = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING pricing_settings
+  `;
+  
+  try {
+    const result = await pool.query(query, [settings, userId]);
+    return result.rows[0]?.pricing_settings || null;
+  } catch (error) {
+    console.error('Error saving pricing settings:', error);
+    throw error;
+  }
+}
+
+// Replace the user's API key hash, or pass null to revoke the key
+async function setUserApiKeyHash(userId, apiKeyHash) {
+  try {
+    await pool.query(
+      'UPDATE users SET api_key_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [apiKeyHash, userId]
+    );
+  } catch (error) {
+    console.error('Error saving API key:', error);
+    throw error;
+  }
+}
+
+async function getUserByApiKeyHash(apiKeyHash) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM users WHERE api_key_hash = $1',
+      [apiKeyHash]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting user by API key:', error);
+    return null;
+  }
+}
+
+async function updateUserPassword(userId, passwordHash) {
+  try {
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, userId]
+    );
+  } catch (error) {
+    console.error('Error updating password:', error);
+    throw error;
+  }
+}
+
+async function markEmailVerified(userId) {
+  try {
+    await pool.query(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+      [userId]
+    );
+  } catch (error) {
+    console.error('Error marking email verified:', error);
+    throw error;
+  }
+}
+
+// ============= Auth Tokens =============
+
+// Issuing a token replaces any earlier one for the same purpose, so only the newest link works
+async function createAuthToken(userId, purpose, tokenHash, expiresIn) {
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = $2',
+      [String(userId), purpose]
+    );
+    const result = await client.query(
+      `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [String(userId), purpose, tokenHash, expiresAt]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating auth token:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Tokens are single use - deleted as they're read. Returns the user id, or null if the
+// token is unknown or expired.
+async function consumeAuthToken(purpose, tokenHash) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM auth_tokens WHERE purpose = $1 AND token_hash = $2 RETURNING user_id, expires_at',
+      [purpose, tokenHash]
+    );
+    const row = result.rows[0];
+    return row && new Date(row.expires_at) > new Date() ? row.user_id : null;
+  } catch (error) {
+    console.error('Error consuming auth token:', error);
+    return null;
+  }
+}
+
+// ============= Token Encryption =============
+// QuickBooks tokens are envelope encrypted: each row has its own AES-256-GCM data key,
+// stored wrapped (encrypted) by a master key from TOKEN_ENCRYPTION_KEYS. That variable
+// lists keyId:base64Key pairs, comma separated, newest first. The first key encrypts; the
+// others can still decrypt rows that haven't been rotated. A key can be generated with
+//   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+
+let encryptionKeys = null;
+
+// Read lazily so keys from .env are picked up whichever module loads dotenv
+function getEncryptionKeys() {
+  if (encryptionKeys) {
+    return encryptionKeys;
+  }
+
+  const keys = new Map();
+  let currentKeyId = null;
+
+  (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS entry ${keys.size + 1} must be keyId:<base64 of 32 random bytes>`);
+    }
+
+    keys.set(keyId, key);
+    currentKeyId = currentKeyId || keyId;
+  });
+
+  encryptionKeys = { keys, currentKeyId };
+  return encryptionKeys;
+}
+
+// iv.authTag.ciphertext, base64
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function unseal(key, sealed) {
+  const [iv, authTag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// Column values for a token pair, encrypted under a fresh data key. Stored as plaintext
+// (with no key id) when no key is configured.
+function encryptTokens(accessToken, refreshToken) {
+  const { keys, currentKeyId } = getEncryptionKeys();
+  if (!currentKeyId) {
+    return { accessToken, refreshToken, keyId: null, dataKey: null };
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  return {
+    accessToken: seal(dataKey, accessToken),
+    refreshToken: seal(dataKey, refreshToken),
+    keyId: currentKeyId,
+    dataKey: seal(keys.get(currentKeyId), dataKey)
+  };
+}
+
+// A quickbooks_tokens row with its tokens decrypted. The wrapped data key isn't passed on.
+// Stored tokens that can't be decrypted with the configured keys. This is a server
+// misconfiguration, not a lost connection, so it must not read as "not connected".
+class TokenDecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenDecryptionError';
+  }
+}
+
+function decryptTokenRow(row) {
+  if (!row) {
+    return row;
+  }
+
+  const { token_data_key, ...tokens } = row;
+  if (!row.token_key_id) {
+    return tokens;
+  }
+
+  const masterKey = getEncryptionKeys().keys.get(row.token_key_id);
+  if (!masterKey) {
+    throw new TokenDecryptionError(`QuickBooks tokens for user ${row.user_id} use key ${row.token_key_id}, which is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  try {
+    const dataKey = unseal(masterKey, token_data_key);
+    tokens.access_token = unseal(dataKey, row.access_token).toString('utf8');
+    tokens.refresh_token = unseal(dataKey, row.refresh_token).toString('utf8');
+  } catch (error) {
+    throw new TokenDecryptionError(`QuickBooks tokens for user ${row.user_id} could not be decrypted with key ${row.token_key_id} - check TOKEN_ENCRYPTION_KEYS`);
+  }
+  return tokens;
+}
+
+// Re-encrypt stored tokens under the current key with new data keys - every row not
+// already on it, or only the unencrypted ones. Returns how many rows were re-encrypted.
+async function reencryptTokens(onlyPlaintext = false) {
+  const { currentKeyId } = getEncryptionKeys();
+  if (!currentKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  }
+
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      onlyPlaintext
+        ? 'SELECT * FROM quickbooks_tokens WHERE token_key_id IS NULL FOR UPDATE'
+        : 'SELECT * FROM quickbooks_tokens WHERE token_key_id IS DISTINCT FROM $1 FOR UPDATE',
+      onlyPlaintext ? [] : [currentKeyId]
+    );
+    
+    for (const row of result.rows) {
+      const tokens = decryptTokenRow(row);
+      const encrypted = encryptTokens(tokens.access_token, tokens.refresh_token);
+      await client.query(
+        `UPDATE quickbooks_tokens
+         SET access_token = $1, refresh_token = $2, token_key_id = $3, token_data_key = $4
+         WHERE id = $5`,
+        [encrypted.accessToken, encrypted.refreshToken, encrypted.keyId, encrypted.dataKey, row.id]
+      );
+    }
+    
+    await client.query('COMMIT');
+    return result.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error re-encrypting tokens:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============= QuickBooks Token Management =============
+
+// refreshExpiresIn is Intuit's x_refresh_token_expires_in, in seconds. Saving a fresh pair
+// clears any refresh failures.
+async function saveUserTokens(userId, realmId, accessToken, refreshToken, expiresIn, refreshExpiresIn = null) {
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  const refreshExpiresAt = refreshExpiresIn ? new Date(Date.now() + refreshExpiresIn * 1000) : null;
+  const encrypted = encryptTokens(accessToken, refreshToken);
+  
+  const query = `
+    INSERT INTO quickbooks_tokens (user_id, realm_id, access_token, refresh_token, expires_at, token_key_id, token_data_key,
+                                   refresh_token_expires_at, last_refreshed_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+    ON CONFLICT (user_id) 
+    DO UPDATE SET 
+      realm_id = $2,
+      access_token = $3,
+      refresh_token = $4,
+      expires_at = $5,
+      token_key_id = $6,
+      token_data_key = $7,
+      refresh_token_expires_at = $8,
+      last_refreshed_at = CURRENT_TIMESTAMP,
+      refresh_failures = 0,
+      last_refresh_error = NULL,
+      needs_reauth = FALSE,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [
+      userId,
+      realmId,
+      encrypted.accessToken,
+      encrypted.refreshToken,
+      expiresAt,
+      encrypted.keyId,
+      encrypted.dataKey,
+      refreshExpiresAt
+    ]);
+    console.log('Tokens saved for user:', userId);
+    return decryptTokenRow(result.rows[0]);
+  } catch (error) {
+    console.error('Error saving tokens:', error);
+    throw error;
+  }
+}
+
+async function getUserTokens(userId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM quickbooks_tokens WHERE user_id = $1',
+      [userId]
+    );
+    return decryptTokenRow(result.rows[0]) || null;
+  } catch (error) {
+    console.error('Error getting user tokens:', error);
+    if (error instanceof TokenDecryptionError) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+// Users with a QuickBooks connection, for background syncs
+async function getConnectedUserIds() {
+  try {
+    const result = await pool.query('SELECT user_id FROM quickbooks_tokens ORDER BY user_id');
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error getting connected users:', error);
+    return [];
+  }
+}
+
+// Users connected to a QuickBooks company, for routing webhook notifications
+async function getUserIdsByRealmId(realmId) {
+  try {
+    const result = await pool.query(
+      'SELECT user_id FROM quickbooks_tokens WHERE realm_id = $1',
+      [realmId]
+    );
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error getting users by realm:', error);
+    return [];
+  }
+}
+
+// Record a failed refresh. needsReauth flags the connection for the user to reconnect; it
+// stays flagged until new tokens are saved.
+async function recordTokenRefreshFailure(userId, message, needsReauth) {
+  try {
+    const result = await pool.query(
+      `UPDATE quickbooks_tokens
+       SET refresh_failures = refresh_failures + 1,
+           last_refresh_error = $2,
+           needs_reauth = needs_reauth OR $3,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING user_id, refresh_failures, needs_reauth`,
+      [userId, message, needsReauth]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error recording token refresh failure:', error);
+    throw error;
+  }
+}
+
+// Connections to refresh ahead of time: the refresh token expires within the window, or
+// its expiry isn't known yet. Connections waiting on the user to reconnect are skipped.
+async function getUserIdsDueForTokenRefresh(withinDays) {
+  try {
+    const result = await pool.query(
+      `SELECT user_id FROM quickbooks_tokens
+       WHERE NOT needs_reauth
+         AND (refresh_token_expires_at IS NULL
+              OR refresh_token_expires_at < NOW() + ($1 || ' days')::INTERVAL)
+       ORDER BY refresh_token_expires_at ASC NULLS FIRST`,
+      [withinDays]
+    );
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error getting tokens due for refresh:', error);
+    return [];
+  }
+}
+
+// Refresh tokens that ran out without being refreshed can't be recovered
+async function flagExpiredRefreshTokens() {
+  try {
+    const result = await pool.query(
+      `UPDATE quickbooks_tokens
+       SET needs_reauth = TRUE,
+           last_refresh_error = COALESCE(last_refresh_error, 'Refresh token expired'),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE NOT needs_reauth AND refresh_token_expires_at < NOW()
+       RETURNING user_id`
+    );
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error flagging expired refresh tokens:', error);
+    return [];
+  }
+}
+
+async function deleteUserTokens(userId) {
+  try {
+    await pool.query(
+      'DELETE FROM quickbooks_tokens WHERE user_id = $1',
+      [userId]
+    );
+    console.log('Tokens deleted for user:', userId);
+    return true;
+  } catch (error) {
+    console.error('Error deleting tokens:', error);
+    return false;
+  }
+}
+
+// ============= Session Management =============
+
+async function createSession(userId, token, expiresIn = 86400, { userAgent, ipAddress } = {}) { // 24 hours default
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  
+  const query = `
+    INSERT INTO sessions (user_id, token, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [userId, token, expiresAt, userAgent || null, ipAddress || null]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating session:', error);
+    throw error;
+  }
+}
+
+async function getUserBySessionToken(token) {
+  const query = `
+    SELECT u.* FROM users u
+    JOIN sessions s ON u.id::text = s.user_id
+    WHERE s.token = $1 AND s.expires_at > NOW()
+  `;
+  
+  try {
+    const result = await pool.query(query, [token]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error getting user by session token:', error);
+    return null;
+  }
+}
+
+// Active sessions, newest first
+async function getUserSessions(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT id, token, user_agent, ip_address, created_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [String(userId)]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting user sessions:', error);
+    return [];
+  }
+}
+
+async function deleteUserSession(userId, sessionId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM sessions WHERE user_id = $1 AND id = $2 RETURNING id',
+      [String(userId), sessionId]
+    );
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    throw error;
+  }
+}
+
+// Sign the user out everywhere except the session in keepToken (or everywhere, if null)
+async function deleteOtherSessions(userId, keepToken) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM sessions WHERE user_id = $1 AND token IS DISTINCT FROM $2',
+      [String(userId), keepToken]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error deleting sessions:', error);
+    throw error;
+  }
+}
+
+async function deleteExpiredSessions() {
+  try {
+    await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+  } catch (error) {
+    console.error('Error deleting expired sessions:', error);
+  }
+}
+
+// ============= Organizations =============
+
+// The user's organization and role, or null if they aren't in one
+async function getMembership(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT m.organization_id, m.role, o.name AS organization_name, o.owner_user_id
+       FROM organization_members m
+       JOIN organizations o ON o.id = m.organization_id
+       WHERE m.user_id = $1`,
+      [String(userId)]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting membership:', error);
+    throw error;
+  }
+}
+
+// Accounts become organizations when their owner first invites someone
+async function getOrCreateOrganization(ownerUserId, name) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `INSERT INTO organizations (owner_user_id, name)
+       VALUES ($1, $2)
+       ON CONFLICT (owner_user_id) DO UPDATE SET updated_at = organizations.updated_at
+       RETURNING *`,
+      [String(ownerUserId), name]
+    );
+    const organization = result.rows[0];
+    
+    await client.query(
+      `INSERT INTO organization_members (organization_id, user_id, role)
+       VALUES ($1, $2, 'owner')
+       ON CONFLICT (user_id) DO NOTHING`,
+      [organization.id, String(ownerUserId)]
+    );
+    
+    await client.query('COMMIT');
+    return organization;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating organization:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getOrganizationMembers(organizationId) {
+  try {
+    const result = await pool.query(
+      `SELECT m.user_id, m.role, m.created_at, u.email, u.owner_name
+       FROM organization_members m
+       JOIN users u ON u.id::text = m.user_id
+       WHERE m.organization_id = $1
+       ORDER BY m.created_at`,
+      [organizationId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting organization members:', error);
+    return [];
+  }
+}
+
+// The owner's role can't be changed - they hold the account
+async function updateMemberRole(organizationId, userId, role) {
+  try {
+    const result = await pool.query(
+      `UPDATE organization_members
+       SET role = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE organization_id = $1 AND user_id = $2 AND role != 'owner'
+       RETURNING *`,
+      [organizationId, String(userId), role]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    throw error;
+  }
+}
+
+async function removeMember(organizationId, userId) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM organization_members
+       WHERE organization_id = $1 AND user_id = $2 AND role != 'owner'
+       RETURNING *`,
+      [organizationId, String(userId)]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error removing member:', error);
+    throw error;
+  }
+}
+
+// Inviting an email again replaces its pending invitation
+async function createInvitation(organizationId, email, role, tokenHash, invitedBy, expiresIn) {
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM organization_invitations WHERE organization_id = $1 AND LOWER(email) = LOWER($2) AND accepted_at IS NULL',
+      [organizationId, email]
+    );
+    const result = await client.query(
+      `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, organization_id, email, role, invited_by, expires_at, created_at`,
+      [organizationId, email, role, tokenHash, String(invitedBy), expiresAt]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error creating invitation:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getPendingInvitations(organizationId) {
+  try {
+    const result = await pool.query(
+      `SELECT id, email, role, invited_by, expires_at, created_at
+       FROM organization_invitations
+       WHERE organization_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [organizationId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting invitations:', error);
+    return [];
+  }
+}
+
+async function deleteInvitation(organizationId, invitationId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM organization_invitations WHERE organization_id = $1 AND id = $2 AND accepted_at IS NULL RETURNING id',
+      [organizationId, invitationId]
+    );
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error deleting invitation:', error);
+    throw error;
+  }
+}
+
+// A pending, unexpired invitation with its organization's name
+async function getInvitationByTokenHash(tokenHash) {
+  try {
+    const result = await pool.query(
+      `SELECT i.*, o.name AS organization_name
+       FROM organization_invitations i
+       JOIN organizations o ON o.id = i.organization_id
+       WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.expires_at > NOW()`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting invitation:', error);
+    return null;
+  }
+}
+
+// Add the user to the invitation's organization. Returns null if the invitation was
+// used in the meantime; throws if the user already belongs to an organization.
+async function acceptInvitation(invitationId, userId) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const invitation = await client.query(
+      `UPDATE organization_invitations
+       SET accepted_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+       RETURNING organization_id, role`,
+      [invitationId]
+    );
+    if (invitation.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const { organization_id, role } = invitation.rows[0];
+    const member = await client.query(
+      `INSERT INTO organization_members (organization_id, user_id, role)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [organization_id, String(userId), role]
+    );
+    
+    await client.query('COMMIT');
+    return member.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error accepting invitation:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============= OAuth State =============
+
+async function createOAuthState(state, userId, expiresIn) {
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  
+  try {
+    const result = await pool.query(
+      'INSERT INTO oauth_states (state, user_id, expires_at) VALUES ($1, $2, $3) RETURNING *',
+      [state, userId, expiresAt]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating OAuth state:', error);
+    throw error;
+  }
+}
+
+// Each state can be used once - it's deleted as it's read. Returns the user it was issued
+// to, or null if it doesn't exist or has expired.
+async function consumeOAuthState(state) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM oauth_states WHERE state = $1 RETURNING user_id, expires_at',
+      [state]
+    );
+    const row = result.rows[0];
+    return row && new Date(row.expires_at) > new Date() ? row.user_id : null;
+  } catch (error) {
+    console.error('Error consuming OAuth state:', error);
+    return null;
+  }
+}
+
+// ============= Customer Management =============
+
+// Phone numbers are matched on their last 10 digits so "(555) 123-4567" and "+1 555.123.4567" agree
+function phoneDigits(phone) {
+  const digits = (phone || '').replace(/\D/g, '');
+  return digits ? digits.slice(-10) : null;
+}
+
+async function createCustomer(userId, customer) {
+  const query = `
+    INSERT INTO customers (user_id, name, email, phone, phone_digits, contacts, tags, notes, lead_source)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [
+      userId,
+      customer.name || null,
+      customer.email || null,
+      customer.phone || null,
+      phoneDigits(customer.phone),
+      JSON.stringify(customer.contacts || []),
+      customer.tags || [],
+      customer.notes || null,
+      customer.leadSource || null
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating customer:', error);
+    throw error;
+  }
+}
+
+async function updateCustomer(userId, customerId, customer) {
+  const query = `
+    UPDATE customers
+    SET name = $1, email = $2, phone = $3, phone_digits = $4, contacts = $5,
+        tags = $6, notes = $7, lead_source = $8, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $9 AND id = $10
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [
+      customer.name || null,
+      customer.email || null,
+      customer.phone || null,
+      phoneDigits(customer.phone),
+      JSON.stringify(customer.contacts || []),
+      customer.tags || [],
+      customer.notes || null,
+      customer.leadSource || null,
+      userId,
+      customerId
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    throw error;
+  }
+}
+
+async function getCustomerById(userId, customerId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM customers WHERE user_id = $1 AND id = $2',
+      [userId, customerId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting customer:', error);
+    return null;
+  }
+}
+
+// Filters: q (name, email, phone or notes match), tag, limit, offset
+async function searchCustomers(userId, filters = {}) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  
+  if (filters.q) {
+    params.push(`%${filters.q}%`);
+    const like = `$${params.length}`;
+    const digits = phoneDigits(filters.q);
+    
+    const matches = [`name ILIKE ${like}`, `email ILIKE ${like}`, `notes ILIKE ${like}`];
+    if (digits) {
+      params.push(`%${digits}%`);
+      matches.push(`phone_digits LIKE $${params.length}`);
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+  
+  if (filters.tag) {
+    params.push(filters.tag);
+    conditions.push(`$${params.length} = ANY(tags)`);
+  }
+  
+  params.push(filters.limit || 50);
+  const limitParam = params.length;
+  params.push(filters.offset || 0);
+  const offsetParam = params.length;
+  
+  try {
+    const result = await pool.query(
+      `SELECT * FROM customers WHERE ${conditions.join(' AND ')}
+       ORDER BY name NULLS LAST, created_at DESC
+       LIMIT $${limitParam} OFFSET $${offsetParam}`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error searching customers:', error);
+    return [];
+  }
+}
+
+// Existing customer with the same email (case-insensitive) or, failing that, the same phone
+async function findCustomerByContact(userId, email, phone) {
+  try {
+    if (email) {
+      const result = await pool.query(
+        'SELECT * FROM customers WHERE user_id = $1 AND LOWER(email) = LOWER($2) ORDER BY created_at LIMIT 1',
+        [userId, email]
+      );
+      if (result.rows[0]) {
+        return result.rows[0];
+      }
+    }
+    
+    const digits = phoneDigits(phone);
+    if (digits) {
+      const result = await pool.query(
+        'SELECT * FROM customers WHERE user_id = $1 AND phone_digits = $2 ORDER BY created_at LIMIT 1',
+        [userId, digits]
+      );
+      return result.rows[0] || null;
+    }
+    
+    return null;
+  } catch (error) {
+    console.error('Error finding customer by contact:', error);
+    return null;
+  }
+}
+
+// Estimates and invoices keep their copy of the customer details and just lose the link
+async function deleteCustomer(userId, customerId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM customers WHERE user_id = $1 AND id = $2',
+      [userId, customerId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    throw error;
+  }
+}
+
+// Link an estimate to a customer and copy the customer's contact details onto it.
+// A property belonging to a different customer is unlinked.
+async function setEstimateCustomer(userId, estimateId, customer) {
+  try {
+    const result = await pool.query(
+      `UPDATE estimates
+       SET customer_id = $1, customer_name = $2, customer_email = $3, customer_phone = $4,
+           property_id = CASE WHEN property_id IN (SELECT id FROM properties WHERE customer_id = $1)
+                              THEN property_id ELSE NULL END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $5 AND id = $6
+       RETURNING *`,
+      [customer.id, customer.name, customer.email, customer.phone, userId, estimateId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error linking estimate to customer:', error);
+    throw error;
+  }
+}
+
+// Contact details changed elsewhere (QuickBooks) - blank values leave the current ones
+async function updateCustomerContact(userId, customerId, contact) {
+  try {
+    const result = await pool.query(
+      `UPDATE customers
+       SET name = COALESCE($1, name), email = COALESCE($2, email), phone = COALESCE($3, phone),
+           phone_digits = COALESCE($4, phone_digits), updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $5 AND id = $6
+       RETURNING *`,
+      [contact.name || null, contact.email || null, contact.phone || null, phoneDigits(contact.phone), userId, customerId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating customer contact:', error);
+    throw error;
+  }
+}
+
+// ============= Property Management =============
+
+async function createProperty(userId, customerId, property) {
+  const query = `
+    INSERT INTO properties (user_id, customer_id, label, address, city, state, zip, lot_size_sqft,
+                            lawn_area_sqft, bed_area_sqft, irrigation_zones, gate_codes, notes)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [
+      userId,
+      customerId,
+      property.label || null,
+      property.address,
+      property.city || null,
+      property.state || null,
+      property.zip || null,
+      property.lotSizeSqft ?? null,
+      property.lawnAreaSqft ?? null,
+      property.bedAreaSqft ?? null,
+      property.irrigationZones ?? null,
+      property.gateCodes || null,
+      property.notes || null
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating property:', error);
+    throw error;
+  }
+}
+
+async function updateProperty(userId, propertyId, property) {
+  const query = `
+    UPDATE properties
+    SET label = $1, address = $2, city = $3, state = $4, zip = $5, lot_size_sqft = $6,
+        lawn_area_sqft = $7, bed_area_sqft = $8, irrigation_zones = $9, gate_codes = $10,
+        notes = $11, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $12 AND id = $13
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [
+      property.label || null,
+      property.address,
+      property.city || null,
+      property.state || null,
+      property.zip || null,
+      property.lotSizeSqft ?? null,
+      property.lawnAreaSqft ?? null,
+      property.bedAreaSqft ?? null,
+      property.irrigationZones ?? null,
+      property.gateCodes || null,
+      property.notes || null,
+      userId,
+      propertyId
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating property:', error);
+    throw error;
+  }
+}
+
+async function getPropertyById(userId, propertyId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM properties WHERE user_id = $1 AND id = $2',
+      [userId, propertyId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting property:', error);
+    return null;
+  }
+}
+
+async function getCustomerProperties(userId, customerId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM properties WHERE user_id = $1 AND customer_id = $2 ORDER BY created_at',
+      [userId, customerId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting customer properties:', error);
+    return [];
+  }
+}
+
+// The customer's property at this street address (case and spacing insensitive), matching
+// the zip too when both sides have one
+async function findPropertyByAddress(userId, customerId, address, zip) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM properties
+       WHERE user_id = $1 AND customer_id = $2
+         AND LOWER(REGEXP_REPLACE(TRIM(address), '\\s+', ' ', 'g')) = LOWER(REGEXP_REPLACE(TRIM($3), '\\s+', ' ', 'g'))
+         AND (zip IS NULL OR $4::text IS NULL OR zip = $4)
+       ORDER BY created_at
+       LIMIT 1`,
+      [userId, customerId, address, zip || null]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding property by address:', error);
+    return null;
+  }
+}
+
+// Estimates and invoices at the property keep their customer and just lose the property link
+async function deleteProperty(userId, propertyId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM properties WHERE user_id = $1 AND id = $2',
+      [userId, propertyId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting property:', error);
+    throw error;
+  }
+}
+
+// Point an estimate at a property, linking it to the property's customer as well
+async function setEstimateProperty(userId, estimateId, property) {
+  try {
+    const result = await pool.query(
+      `UPDATE estimates e
+       SET property_id = $1, customer_id = c.id,
+           customer_name = COALESCE(c.name, e.customer_name),
+           customer_email = COALESCE(c.email, e.customer_email),
+           customer_phone = COALESCE(c.phone, e.customer_phone),
+           updated_at = CURRENT_TIMESTAMP
+       FROM customers c
+       WHERE c.id = $2 AND e.user_id = $3 AND e.id = $4
+       RETURNING e.*`,
+      [property.id, property.customer_id, userId, estimateId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error linking estimate to property:', error);
+    throw error;
+  }
+}
+
+// ============= QuickBooks Customer Management =============
+
+async function saveQuickBooksCustomer(userId, localCustomerId, qbCustomerId, customerName, customerEmail) {
+  const query = `
+    INSERT INTO quickbooks_customers (user_id, local_customer_id, quickbooks_customer_id, customer_name, customer_email)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, local_customer_id)
+    DO UPDATE SET
+      quickbooks_customer_id = $3,
+      customer_name = $4,
+      customer_email = $5,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [userId, localCustomerId, qbCustomerId, customerName, customerEmail]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving QuickBooks customer:', error);
+    throw error;
+  }
+}
+
+async function getQuickBooksCustomer(userId, localCustomerId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM quickbooks_customers WHERE user_id = $1 AND local_customer_id = $2',
+      [userId, localCustomerId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error getting QuickBooks customer:', error);
+    return null;
+  }
+}
+
+// Refresh the stored name/email for a QuickBooks customer. Returns the updated mappings.
+async function updateQuickBooksCustomerDetails(userId, qbCustomerId, customerName, customerEmail) {
+  try {
+    const result = await pool.query(
+      `UPDATE quickbooks_customers
+       SET customer_name = $1, customer_email = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $3 AND quickbooks_customer_id = $4
+       RETURNING *`,
+      [customerName, customerEmail, userId, qbCustomerId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error updating QuickBooks customer:', error);
+    throw error;
+  }
+}
+
+// Our CRM customer linked to a QuickBooks customer, if any
+async function getLocalCustomerId(userId, qbCustomerId) {
+  try {
+    const result = await pool.query(
+      `SELECT local_customer_id FROM quickbooks_customers
+       WHERE user_id = $1 AND quickbooks_customer_id = $2 AND local_customer_id ~ '^[0-9]+$'
+       ORDER BY updated_at DESC
+       LIMIT 1`,
+      [userId, qbCustomerId]
+    );
+    return result.rows[0] ? parseInt(result.rows[0].local_customer_id, 10) : null;
+  } catch (error) {
+    console.error('Error getting local customer for QuickBooks customer:', error);
+    return null;
+  }
+}
+
+// ============= QuickBooks Sync State =============
+
+async function getSyncState(userId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM quickbooks_sync_state WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting sync state:', error);
+    return null;
+  }
+}
+
+// Move the user's watermark forward after a successful sync
+async function saveSyncState(userId, realmId, syncedAt, fullSync) {
+  const query = `
+    INSERT INTO quickbooks_sync_state (user_id, realm_id, last_synced_at, last_full_sync_at)
+    VALUES ($1, $2, $3, CASE WHEN $4 THEN $3::timestamp END)
+    ON CONFLICT (user_id)
+    DO UPDATE SET
+      realm_id = $2,
+      last_synced_at = $3,
+      last_full_sync_at = CASE WHEN $4 THEN $3::timestamp ELSE quickbooks_sync_state.last_full_sync_at END,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [userId, realmId, syncedAt, fullSync]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving sync state:', error);
+    throw error;
+  }
+}
+
+// ============= Sync Jobs =============
+
+// Queue a job unless one with the same idempotency key exists. Returns { job, created }.
+async function enqueueSyncJob(userId, jobType, idempotencyKey, payload, maxAttempts) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO sync_jobs (user_id, job_type, idempotency_key, payload, max_attempts)
+       VALUES ($1, $2, $3, $4, COALESCE($5, 8))
+       ON CONFLICT (user_id, idempotency_key) DO NOTHING
+       RETURNING *`,
+      [userId, jobType, idempotencyKey, payload, maxAttempts || null]
+    );
+    
+    if (result.rows[0]) {
+      return { job: result.rows[0], created: true };
+    }
+    
+    const existing = await pool.query(
+      'SELECT * FROM sync_jobs WHERE user_id = $1 AND idempotency_key = $2',
+      [userId, idempotencyKey]
+    );
+    return { job: existing.rows[0], created: false };
+  } catch (error) {
+    console.error('Error queueing sync job:', error);
+    throw error;
+  }
+}
+
+// Lock due jobs for this worker and count the attempt. Jobs left running by a worker
+// that died are picked up again once their lock is stale.
+async function claimSyncJobs(limit, staleAfterMinutes) {
+  try {
+    const result = await pool.query(
+      `UPDATE sync_jobs
+       SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM sync_jobs
+         WHERE (status = 'pending' AND run_at <= NOW())
+            OR (status = 'running' AND locked_at < NOW() - make_interval(mins => $2))
+         ORDER BY run_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, staleAfterMinutes]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error claiming sync jobs:', error);
+    return [];
+  }
+}
+
+async function completeSyncJob(jobId, jobResult) {
+  try {
+    const result = await pool.query(
+      `UPDATE sync_jobs
+       SET status = 'succeeded', result = $1, last_error = NULL, locked_at = NULL,
+           completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [jobResult, jobId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error completing sync job:', error);
+    throw error;
+  }
+}
+
+// Put a job back in the queue for runAt. refundAttempt is for rate limiting, which
+// shouldn't use up the job's attempts.
+async function retrySyncJob(jobId, errorMessage, runAt, refundAttempt = false) {
+  try {
+    const result = await pool.query(
+      `UPDATE sync_jobs
+       SET status = 'pending', run_at = $1, last_error = $2, locked_at = NULL,
+           attempts = attempts - CASE WHEN $3 THEN 1 ELSE 0 END, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [runAt, errorMessage, refundAttempt, jobId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error rescheduling sync job:', error);
+    throw error;
+  }
+}
+
+async function deadLetterSyncJob(jobId, errorMessage) {
+  try {
+    const result = await pool.query(
+      `UPDATE sync_jobs
+       SET status = 'dead', last_error = $1, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [errorMessage, jobId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error dead-lettering sync job:', error);
+    throw error;
+  }
+}
+
+// Filters: status, jobType, limit, offset
+async function getUserSyncJobs(userId, filters = {}) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`status = $${params.length}`);
+  }
+  
+  if (filters.jobType) {
+    params.push(filters.jobType);
+    conditions.push(`job_type = $${params.length}`);
+  }
+  
+  params.push(filters.limit || 50);
+  const limitParam = params.length;
+  params.push(filters.offset || 0);
+  const offsetParam = params.length;
+  
+  try {
+    const result = await pool.query(
+      `SELECT * FROM sync_jobs
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${limitParam} OFFSET $${offsetParam}`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting sync jobs:', error);
+    return [];
+  }
+}
+
+async function getSyncJobById(userId, jobId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM sync_jobs WHERE user_id = $1 AND id = $2',
+      [userId, jobId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting sync job:', error);
+    return null;
+  }
+}
+
+// Give a dead job a fresh set of attempts, starting now
+async function replaySyncJob(userId, jobId) {
+  try {
+    const result = await pool.query(
+      `UPDATE sync_jobs
+       SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND id = $2 AND status = 'dead'
+       RETURNING *`,
+      [userId, jobId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error replaying sync job:', error);
+    throw error;
+  }
+}
+
+// ============= QuickBooks Item Mapping =============
+
+async function getQuickBooksItemMappings(userId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM quickbooks_items WHERE user_id = $1 ORDER BY item_type, item_key',
+      [userId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting QuickBooks item mappings:', error);
+    return [];
+  }
+}
+
+async function saveQuickBooksItemMapping(userId, itemType, itemKey, qbItemId, qbItemName) {
+  const query = `
+    INSERT INTO quickbooks_items (user_id, item_type, item_key, quickbooks_item_id, quickbooks_item_name)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, item_type, item_key)
+    DO UPDATE SET
+      quickbooks_item_id = $4,
+      quickbooks_item_name = $5,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [userId, itemType, itemKey, qbItemId, qbItemName]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving QuickBooks item mapping:', error);
+    throw error;
+  }
+}
+
+async function deleteQuickBooksItemMapping(userId, itemType, itemKey) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM quickbooks_items WHERE user_id = $1 AND item_type = $2 AND item_key = $3',
+      [userId, itemType, itemKey]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting QuickBooks item mapping:', error);
+    throw error;
+  }
+}
+
+async function setAutoCreateItems(userId, enabled) {
+  try {
+    const result = await pool.query(
+      `UPDATE quickbooks_tokens SET auto_create_items = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2
+       RETURNING auto_create_items`,
+      [enabled, userId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error saving auto-create items setting:', error);
+    throw error;
+  }
+}
+
+// ============= Invoice Management =============
+
+async function saveInvoice(userId, customerName, customerEmail, invoiceData, qbInvoiceId, details = {}) {
+  const query = `
+    INSERT INTO invoices (user_id, customer_name, customer_email, invoice_data, quickbooks_invoice_id,
+                          customer_id, property_id, estimate_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `;
+  
+  try {
+    const result = await pool.query(query, [
+      userId,
+      customerName,
+      customerEmail,
+      invoiceData,
+      qbInvoiceId,
+      details.customerId || null,
+      details.propertyId || null,
+      details.estimateId || null
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error saving invoice:', error);
+    throw error;
+  }
+}
+
+// Filters: status, customerId, propertyId, estimateId
+async function getUserInvoices(userId, filters = {}) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`status = $${params.length}`);
+  }
+  
+  if (filters.customerId) {
+    params.push(filters.customerId);
+    conditions.push(`customer_id = $${params.length}`);
+  }
+  
+  if (filters.propertyId) {
+    params.push(filters.propertyId);
+    conditions.push(`property_id = $${params.length}`);
+  }
+  
+  if (filters.estimateId) {
+    params.push(filters.estimateId);
+    conditions.push(`estimate_id = $${params.length}`);
+  }
+  
+  try {
+    const result = await pool.query(
+      `SELECT * FROM invoices WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting user invoices:', error);
+    return [];
+  }
+}
+
+async function getInvoiceById(userId, invoiceId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM invoices WHERE user_id = $1 AND id = $2',
+      [userId, invoiceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting invoice:', error);
+    return null;
+  }
+}
+
+async function getInvoiceByQuickBooksId(userId, qbInvoiceId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM invoices WHERE user_id = $1 AND quickbooks_invoice_id = $2',
+      [userId, qbInvoiceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting invoice by QuickBooks ID:', error);
+    return null;
+  }
+}
+
+// Store the latest QuickBooks copy of an invoice, optionally setting its status
+async function updateInvoiceData(userId, invoiceId, invoiceData, status = null) {
+  try {
+    const result = await pool.query(
+      `UPDATE invoices
+       SET invoice_data = $1, status = COALESCE($2, status), updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $3 AND id = $4
+       RETURNING *`,
+      [invoiceData, status, userId, invoiceId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating invoice data:', error);
+    throw error;
+  }
+}
+
+// ============= Estimate Management =============
+
+async function saveEstimate(userId, customerName, customerEmail, estimateData, qbEstimateId, details = {}) {
+  const query = `
+    INSERT INTO estimates (user_id, customer_name, customer_email, estimate_data, quickbooks_estimate_id,
+                           customer_phone, source, transcription, customer_id, property_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `;
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(query, [
+      userId,
+      customerName,
+      customerEmail,
+      estimateData,
+      qbEstimateId,
+      details.customerPhone || null,
+      details.source || null,
+      details.transcription || null,
+      details.customerId || null,
+      details.propertyId || null
+    ]);
+    const estimate = result.rows[0];
+    
+    // Every estimate starts with an immutable first revision
+    await client.query(
+      `INSERT INTO estimate_revisions (estimate_id, revision_number, estimate_data, note)
+       VALUES ($1, 1, $2, $3)`,
+      [estimate.id, estimateData, details.note || 'Generated estimate']
+    );
+    
+    await client.query('COMMIT');
+    return estimate;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving estimate:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Filters: status, from/to (created date), customer (name, email or phone match), customerId,
+// propertyId, limit, offset
+async function getUserEstimates(userId, filters = {}) {
+  const conditions = ['user_id = $1'];
+  const params = [userId];
+  
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`status = $${params.length}`);
+  }
+  
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`created_at < $${params.length}::date + INTERVAL '1 day'`);
+  }
+  
+  if (filters.customer) {
+    params.push(`%${filters.customer}%`);
+    conditions.push(`(customer_name ILIKE $${params.length} OR customer_email ILIKE $${params.length} OR customer_phone ILIKE $${params.length})`);
+  }
+  
+  if (filters.customerId) {
+    params.push(filters.customerId);
+    conditions.push(`customer_id = $${params.length}`);
+  }
+  
+  if (filters.propertyId) {
+    params.push(filters.propertyId);
+    conditions.push(`property_id = $${params.length}`);
+  }
+  
+  params.push(filters.limit || 50);
+  const limitParam = params.length;
+  params.push(filters.offset || 0);
+  const offsetParam = params.length;
+  
+  try {
+    const result = await pool.query(
+      `SELECT * FROM estimates WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${limitParam} OFFSET $${offsetParam}`,
+      params
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting user estimates:', error);
+    return [];
+  }
+}
+
+async function getEstimateById(userId, estimateId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM estimates WHERE user_id = $1 AND id = $2',
+      [userId, estimateId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting estimate:', error);
+    return null;
+  }
+}
+
+// Each synced revision gets its own QuickBooks estimate, so the ID may belong to an earlier
+// revision rather than the estimate's current link - compare quickbooks_estimate_id to tell.
+async function getEstimateByQuickBooksId(userId, qbEstimateId) {
+  try {
+    const result = await pool.query(
+      `SELECT e.* FROM estimates e
+       WHERE e.user_id = $1
+         AND (e.quickbooks_estimate_id = $2 OR EXISTS (
+           SELECT 1 FROM estimate_revisions r
+           WHERE r.estimate_id = e.id AND r.quickbooks_estimate_id = $2
+         ))
+       ORDER BY (e.quickbooks_estimate_id = $2) DESC NULLS LAST
+       LIMIT 1`,
+      [userId, qbEstimateId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting estimate by QuickBooks ID:', error);
+    return null;
+  }
+}
+
+// Remove an estimate that was imported from QuickBooks after it was deleted there.
+// Estimates generated here are kept.
+async function deleteImportedEstimate(userId, qbEstimateId) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM estimates
+       WHERE user_id = $1 AND quickbooks_estimate_id = $2 AND source = 'quickbooks'
+       RETURNING id`,
+      [userId, qbEstimateId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting imported estimate:', error);
+    throw error;
+  }
+}
+
+// Columns that record when an estimate entered each status
+const ESTIMATE_STATUS_TIMESTAMPS = {
+  sent: 'sent_at',
+  accepted: 'accepted_at',
+  declined: 'declined_at',
+  expired: 'expired_at',
+  converted: 'converted_at'
+};
+
+async function updateEstimateStatus(userId, estimateId, status) {
+  const timestampColumn = ESTIMATE_STATUS_TIMESTAMPS[status];
+  const timestampUpdate = timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : '';
+  
+  try {
+    const result = await pool.query(
+      `UPDATE estimates
+       SET status = $1, updated_at = CURRENT_TIMESTAMP${timestampUpdate}
+       WHERE user_id = $2 AND id = $3
+       RETURNING *`,
+      [status, userId, estimateId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating estimate status:', error);
+    throw error;
+  }
+}
+
+// Move an estimate between statuses only if it is still in `fromStatus`, so two requests
+// can't both act on it. Returns the updated estimate, or null if another request got there first.
+async function claimEstimateStatus(userId, estimateId, fromStatus, toStatus) {
+  const timestampColumn = ESTIMATE_STATUS_TIMESTAMPS[toStatus];
+  const timestampUpdate = timestampColumn ? `, ${timestampColumn} = CURRENT_TIMESTAMP` : '';
+  
+  try {
+    const result = await pool.query(
+      `UPDATE estimates
+       SET status = $1, updated_at = CURRENT_TIMESTAMP${timestampUpdate}
+       WHERE user_id = $2 AND id = $3 AND status = $4
+       RETURNING *`,
+      [toStatus, userId, estimateId, fromStatus]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error claiming estimate status:', error);
+    throw error;
+  }
+}
+
+// Undo claimEstimateStatus after the work it guarded failed
+async function releaseEstimateStatus(userId, estimateId, claimedStatus, previousStatus) {
+  const timestampColumn = ESTIMATE_STATUS_TIMESTAMPS[claimedStatus];
+  const timestampUpdate = timestampColumn ? `, ${timestampColumn} = NULL` : '';
+  
+  try {
+    const result = await pool.query(
+      `UPDATE estimates
+       SET status = $1, updated_at = CURRENT_TIMESTAMP${timestampUpdate}
+       WHERE user_id = $2 AND id = $3 AND status = $4
+       RETURNING *`,
+      [previousStatus, userId, estimateId, claimedStatus]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error releasing estimate status:', error);
+    throw error;
+  }
+}
+
+async function setEstimateQuickBooksId(userId, estimateId, qbEstimateId) {
+  try {
+    const result = await pool.query(
+      `UPDATE estimates
+       SET quickbooks_estimate_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND id = $3
+       RETURNING *`,
+      [qbEstimateId, userId, estimateId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error linking QuickBooks estimate:', error);
+    throw error;
+  }
+}
+
+// ============= Estimate Revisions =============
+
+// Store a new immutable revision and make it the estimate's current data
+// Append a revision and make it the estimate's current data, inside the caller's transaction.
+// The caller must already hold the estimate row lock.
+async function insertEstimateRevision(client, estimateId, estimateData, note) {
+  const numberResult = await client.query(
+    'SELECT COALESCE(MAX(revision_number), 0) + 1 AS next FROM estimate_revisions WHERE estimate_id = $1',
+    [estimateId]
+  );
+  const revisionNumber = numberResult.rows[0].next;
+  
+  const revisionResult = await client.query(
+    `INSERT INTO estimate_revisions (estimate_id, revision_number, estimate_data, note)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [estimateId, revisionNumber, estimateData, note || null]
+  );
+  
+  const updateResult = await client.query(
+    `UPDATE estimates
+     SET estimate_data = $1, current_revision = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [estimateData, revisionNumber, estimateId]
+  );
+  
+  return { estimate: updateResult.rows[0], revision: revisionResult.rows[0] };
+}
+
+async function addEstimateRevision(userId, estimateId, estimateData, note) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const estimateResult = await client.query(
+      'SELECT id FROM estimates WHERE user_id = $1 AND id = $2 FOR UPDATE',
+      [userId, estimateId]
+    );
+    if (estimateResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    const result = await insertEstimateRevision(client, estimateId, estimateData, note);
+    
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error adding estimate revision:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getEstimateRevisions(userId, estimateId) {
+  try {
+    const result = await pool.query(
+      `SELECT r.id, r.revision_number, r.note, r.quickbooks_estimate_id, r.created_at,
+              (r.estimate_data->'pricing'->>'total')::numeric AS total
+       FROM estimate_revisions r
+       JOIN estimates e ON e.id = r.estimate_id
+       WHERE e.user_id = $1 AND r.estimate_id = $2
+       ORDER BY r.revision_number`,
+      [userId, estimateId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting estimate revisions:', error);
+    return [];
   }
 }
 
-// ============= User Management Functions =============
+async function getEstimateRevision(userId, estimateId, revisionNumber) {
+  try {
+    const result = await pool.query(
+      `SELECT r.* FROM estimate_revisions r
+       JOIN estimates e ON e.id = r.estimate_id
+       WHERE e.user_id = $1 AND r.estimate_id = $2 AND r.revision_number = $3`,
+      [userId, estimateId, revisionNumber]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting estimate revision:', error);
+    return null;
+  }
+}
 
-async function createUser(email, passwordHash, businessName) {
-  const query = `
-    INSERT INTO users (email, password_hash, business_name)
-    VALUES ($1, $2, $3)
-    RETURNING id, email, business_name
-  `;
-  
+// Record which QuickBooks estimate a revision was synced to and make it the estimate's link
+async function setRevisionQuickBooksId(userId, estimateId, revisionNumber, qbEstimateId) {
   try {
-    const result = await pool.query(query, [email, passwordHash, businessName]);
-    return result.rows[0];
+    await pool.query(
+      `UPDATE estimate_revisions SET quickbooks_estimate_id = $1
+       WHERE estimate_id = $2 AND revision_number = $3`,
+      [qbEstimateId, estimateId, revisionNumber]
+    );
+    return await setEstimateQuickBooksId(userId, estimateId, qbEstimateId);
   } catch (error) {
-    console.error('Error creating user:', error);
+    console.error('Error linking QuickBooks estimate to revision:', error);
     throw error;
   }
 }
 
-async function getUserByEmail(email) {
+// Sent estimates lapse after the same 30 days used for the QuickBooks ExpirationDate
+async function expireStaleEstimates() {
+  try {
+    const result = await pool.query(`
+      UPDATE estimates
+      SET status = 'expired', expired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sent' AND sent_at < NOW() - INTERVAL '30 days'
+    `);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error expiring stale estimates:', error);
+    return 0;
+  }
+}
+
+// ============= Estimate Sharing =============
+
+// Set (or clear, with a null token) the public share link for an estimate
+async function setEstimateShareToken(userId, estimateId, shareToken) {
   try {
     const result = await pool.query(
-      'SELECT * FROM users WHERE email = $1',
-      [email]
+      `UPDATE estimates
+       SET share_token = $1, shared_at = ${shareToken ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2 AND id = $3
+       RETURNING *`,
+      [shareToken, userId, estimateId]
     );
-    return result.rows[0];
+    return result.rows[0] || null;
   } catch (error) {
-    console.error('Error getting user by email:', error);
-    return null;
+    console.error('Error setting estimate share token:', error);
+    throw error;
   }
 }
 
-async function getUserById(userId) {
+async function getEstimateByShareToken(shareToken) {
   try {
     const result = await pool.query(
-      'SELECT id, email, business_name, owner_name, phone, address, city, state, zip FROM users WHERE id = $1',
-      [userId]
+      'SELECT * FROM estimates WHERE share_token = $1',
+      [shareToken]
     );
-    return result.rows[0];
+    return result.rows[0] || null;
   } catch (error) {
-    console.error('Error getting user by ID:', error);
+    console.error('Error getting shared estimate:', error);
     return null;
   }
 }
 
-// ============= QuickBooks Token Management =============
-
-async function saveUserTokens(userId, realmId, accessToken, refreshToken, expiresIn) {
-  const expiresAt = new Date(Date.now() + expiresIn * 1000);
-  
-  const query = `
-    INSERT INTO quickbooks_tokens (user_id, realm_id, access_token, refresh_token, expires_at)
-    VALUES ($1, $2, $3, $4, $5)
-    ON CONFLICT (user_id) 
-    DO UPDATE SET 
-      realm_id = $2,
-      access_token = $3,
-      refresh_token = $4,
-      expires_at = $5,
-      updated_at = CURRENT_TIMESTAMP
-    RETURNING *
-  `;
+// Record a customer's signed accept/decline and move the estimate to that status.
+// Only applies while the estimate is still in one of `fromStatuses`; returns null otherwise.
+// A `revision` ({ estimateData, note }) - e.g. the option the customer chose - is saved in the
+// same transaction and becomes the revision the response is for.
+async function recordEstimateResponse(estimateId, fromStatuses, response) {
+  const { decision, signerName, signerIp, userAgent, comment, revision } = response;
+  let { revisionNumber } = response;
+  const client = await pool.connect();
   
   try {
-    const result = await pool.query(query, [userId, realmId, accessToken, refreshToken, expiresAt]);
-    console.log('Tokens saved for user:', userId);
-    return result.rows[0];
+    await client.query('BEGIN');
+    
+    const updateResult = await client.query(
+      `UPDATE estimates
+       SET status = $1, ${ESTIMATE_STATUS_TIMESTAMPS[decision]} = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [decision, estimateId, fromStatuses]
+    );
+    if (updateResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    
+    let estimate = updateResult.rows[0];
+    if (revision) {
+      const revised = await insertEstimateRevision(client, estimateId, revision.estimateData, revision.note);
+      estimate = revised.estimate;
+      revisionNumber = revised.revision.revision_number;
+    }
+    
+    const responseResult = await client.query(
+      `INSERT INTO estimate_responses (estimate_id, revision_number, decision, signer_name, signer_ip, user_agent, comment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [estimateId, revisionNumber, decision, signerName, signerIp || null, userAgent || null, comment || null]
+    );
+    
+    await client.query('COMMIT');
+    return { estimate: estimate, response: responseResult.rows[0] };
   } catch (error) {
-    console.error('Error saving tokens:', error);
+    await client.query('ROLLBACK');
+    console.error('Error recording estimate response:', error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
-async function getUserTokens(userId) {
+// Responses are read by the public share page too, so this isn't scoped to a user
+async function getEstimateResponses(estimateId) {
   try {
     const result = await pool.query(
-      'SELECT * FROM quickbooks_tokens WHERE user_id = $1',
-      [userId]
+      'SELECT * FROM estimate_responses WHERE estimate_id = $1 ORDER BY signed_at DESC',
+      [estimateId]
     );
-    return result.rows[0] || null;
+    return result.rows;
   } catch (error) {
-    console.error('Error getting user tokens:', error);
-    return null;
+    console.error('Error getting estimate responses:', error);
+    return [];
   }
 }
 
-async function deleteUserTokens(userId) {
+// ============= Payment Schedules =============
+
+async function getPaymentSchedule(estimateId) {
   try {
-    await pool.query(
-      'DELETE FROM quickbooks_tokens WHERE user_id = $1',
-      [userId]
+    const result = await pool.query(
+      'SELECT * FROM payment_milestones WHERE estimate_id = $1 ORDER BY position',
+      [estimateId]
     );
-    console.log('Tokens deleted for user:', userId);
-    return true;
+    return result.rows;
   } catch (error) {
-    console.error('Error deleting tokens:', error);
-    return false;
+    console.error('Error getting payment schedule:', error);
+    return [];
   }
 }
 
-// ============= Session Management =============
-
-async function createSession(userId, token, expiresIn = 86400) { // 24 hours default
-  const expiresAt = new Date(Date.now() + expiresIn * 1000);
-  
-  const query = `
-    INSERT INTO sessions (user_id, token, expires_at)
-    VALUES ($1, $2, $3)
-    RETURNING *
-  `;
+// Replace an estimate's milestones - each is { name, percent } or { name, amount }
+async function savePaymentSchedule(estimateId, milestones) {
+  const client = await pool.connect();
   
   try {
-    const result = await pool.query(query, [userId, token, expiresAt]);
-    return result.rows[0];
+    await client.query('BEGIN');
+    await client.query('DELETE FROM payment_milestones WHERE estimate_id = $1', [estimateId]);
+    
+    const saved = [];
+    for (const [index, milestone] of milestones.entries()) {
+      const result = await client.query(
+        `INSERT INTO payment_milestones (estimate_id, position, name, percent, amount)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [estimateId, index + 1, milestone.name, milestone.percent ?? null, milestone.amount ?? null]
+      );
+      saved.push(result.rows[0]);
+    }
+    
+    await client.query('COMMIT');
+    return saved;
   } catch (error) {
-    console.error('Error creating session:', error);
+    await client.query('ROLLBACK');
+    console.error('Error saving payment schedule:', error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
-async function getUserBySessionToken(token) {
-  const query = `
-    SELECT u.* FROM users u
-    JOIN sessions s ON u.id::text = s.user_id
-    WHERE s.token = $1 AND s.expires_at > NOW()
-  `;
-  
+// Take a pending milestone for invoicing so a repeated or concurrent request can't bill it
+// twice. Returns null if it isn't pending any more.
+async function claimMilestone(milestoneId) {
   try {
-    const result = await pool.query(query, [token]);
-    return result.rows[0];
+    const result = await pool.query(
+      `UPDATE payment_milestones
+       SET status = 'invoiced', completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [milestoneId]
+    );
+    return result.rows[0] || null;
   } catch (error) {
-    console.error('Error getting user by session token:', error);
-    return null;
+    console.error('Error claiming milestone:', error);
+    throw error;
   }
 }
 
-async function deleteExpiredSessions() {
+// Put a claimed milestone back to pending after its invoice failed
+async function releaseMilestone(milestoneId) {
   try {
-    await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+    await pool.query(
+      `UPDATE payment_milestones
+       SET status = 'pending', completed_at = NULL
+       WHERE id = $1 AND status = 'invoiced' AND invoice_id IS NULL`,
+      [milestoneId]
+    );
   } catch (error) {
-    console.error('Error deleting expired sessions:', error);
+    console.error('Error releasing milestone:', error);
+    throw error;
   }
 }
 
-// ============= QuickBooks Customer Management =============
+async function markMilestoneInvoiced(milestoneId, invoiceId) {
+  try {
+    const result = await pool.query(
+      `UPDATE payment_milestones
+       SET invoice_id = $1
+       WHERE id = $2 AND status = 'invoiced' AND invoice_id IS NULL
+       RETURNING *`,
+      [invoiceId, milestoneId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking milestone invoiced:', error);
+    throw error;
+  }
+}
 
-async function saveQuickBooksCustomer(userId, localCustomerId, qbCustomerId, customerName, customerEmail) {
+// What has been invoiced for a job and how much of that QuickBooks has recorded as paid
+async function getEstimateBilling(userId, estimateId) {
+  try {
+    const result = await pool.query(
+      `SELECT
+         COALESCE(SUM((i.invoice_data->>'TotalAmt')::numeric), 0) AS invoiced,
+         COALESCE(SUM(p.paid), 0) AS paid
+       FROM invoices i
+       LEFT JOIN (
+         SELECT invoice_id, SUM(amount) AS paid
+         FROM quickbooks_payments
+         WHERE user_id = $1
+         GROUP BY invoice_id
+       ) p ON p.invoice_id = i.quickbooks_invoice_id
+       WHERE i.user_id = $1 AND i.estimate_id = $2`,
+      [userId, estimateId]
+    );
+    return {
+      invoiced: parseFloat(result.rows[0].invoiced),
+      paid: parseFloat(result.rows[0].paid)
+    };
+  } catch (error) {
+    console.error('Error getting estimate billing:', error);
+    return { invoiced: 0, paid: 0 };
+  }
+}
+
+// ============= Payment Management =============
+
+// Re-syncing the same payment updates it rather than adding a duplicate
+async function savePayment(userId, invoiceId, paymentId, amount, paymentDate, paymentMethod) {
   const query = `
-    INSERT INTO quickbooks_customers (user_id, local_customer_id, quickbooks_customer_id, customer_name, customer_email)
-    VALUES ($1, $2, $3, $4, $5)
-    ON CONFLICT (user_id, local_customer_id)
+    INSERT INTO quickbooks_payments (user_id, invoice_id, payment_id, amount, payment_date, payment_method)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (user_id, payment_id, invoice_id)
     DO UPDATE SET
-      quickbooks_customer_id = $3,
-      customer_name = $4,
-      customer_email = $5,
-      updated_at = CURRENT_TIMESTAMP
+      amount = $4,
+      payment_date = $5,
+      payment_method = $6
     RETURNING *
   `;
   
   try {
-    const result = await pool.query(query, [userId, localCustomerId, qbCustomerId, customerName, customerEmail]);
+    const result = await pool.query(query, [userId, invoiceId, paymentId, amount, paymentDate, paymentMethod]);
     return result.rows[0];
   } catch (error) {
-    console.error('Error saving QuickBooks customer:', error);
+    console.error('Error saving payment:', error);
     throw error;
   }
 }
 
-async function getQuickBooksCustomer(userId, localCustomerId) {
+// A payment deleted in QuickBooks no longer counts against any invoice
+async function deletePayment(userId, paymentId) {
   try {
     const result = await pool.query(
-      'SELECT * FROM quickbooks_customers WHERE user_id = $1 AND local_customer_id = $2',
-      [userId, localCustomerId]
+      'DELETE FROM quickbooks_payments WHERE user_id = $1 AND payment_id = $2',
+      [userId, paymentId]
     );
-    return result.rows[0];
+    return result.rowCount;
   } catch (error) {
-    console.error('Error getting QuickBooks customer:', error);
-    return null;
+    console.error('Error deleting payment:', error);
+    throw error;
   }
 }
 
-// ============= Invoice Management =============
-
-async function saveInvoice(userId, customerName, customerEmail, invoiceData, qbInvoiceId) {
-  const query = `
-    INSERT INTO invoices (user_id, customer_name, customer_email, invoice_data, quickbooks_invoice_id)
-    VALUES ($1, $2, $3, $4, $5)
-    RETURNING *
-  `;
+// Payments with the local invoice they were applied to.
+// Filters: invoiceId (local invoice id), from/to (payment date)
+async function getUserPayments(userId, filters = {}) {
+  const conditions = ['p.user_id = $1'];
+  const params = [userId];
+  
+  if (filters.invoiceId) {
+    params.push(filters.invoiceId);
+    conditions.push(`i.id = $${params.length}`);
+  }
+  
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`p.payment_date >= $${params.length}`);
+  }
+  
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`p.payment_date < $${params.length}::date + INTERVAL '1 day'`);
+  }
   
   try {
-    const result = await pool.query(query, [userId, customerName, customerEmail, invoiceData, qbInvoiceId]);
-    return result.rows[0];
+    const result = await pool.query(
+      `SELECT p.*, i.id AS local_invoice_id, i.customer_name, i.customer_id, i.estimate_id
+       FROM quickbooks_payments p
+       LEFT JOIN invoices i ON i.user_id = p.user_id AND i.quickbooks_invoice_id = p.invoice_id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY p.payment_date DESC`,
+      params
+    );
+    return result.rows;
   } catch (error) {
-    console.error('Error saving invoice:', error);
+    console.error('Error getting user payments:', error);
+    return [];
+  }
+}
+
+// Recompute amount paid and paid/partial/overdue/open status for a user's QuickBooks
+// invoices (other than voided ones) from their synced payments. Returns the invoices whose
+// status changed.
+async function refreshInvoicePaymentStatus(userId) {
+  try {
+    const result = await pool.query(
+      `WITH totals AS (
+         SELECT i.id, i.status AS previous_status, COALESCE(SUM(p.amount), 0) AS paid,
+                MAX(p.payment_date) AS last_payment,
+                (i.invoice_data->>'TotalAmt')::numeric AS total,
+                (i.invoice_data->>'DueDate')::date AS due_date
+         FROM invoices i
+         LEFT JOIN quickbooks_payments p ON p.user_id = i.user_id AND p.invoice_id = i.quickbooks_invoice_id
+         WHERE i.user_id = $1 AND i.quickbooks_invoice_id IS NOT NULL AND i.status <> 'void'
+         GROUP BY i.id
+       ),
+       statuses AS (
+         SELECT id, previous_status, paid, last_payment,
+                CASE
+                  WHEN total IS NOT NULL AND paid >= total THEN 'paid'
+                  WHEN due_date < CURRENT_DATE THEN 'overdue'
+                  WHEN paid > 0 THEN 'partial'
+                  ELSE 'open'
+                END AS status
+         FROM totals
+       )
+       UPDATE invoices i
+       SET amount_paid = s.paid,
+           status = s.status,
+           paid_at = CASE WHEN s.status = 'paid' THEN COALESCE(i.paid_at, s.last_payment) END,
+           updated_at = CURRENT_TIMESTAMP
+       FROM statuses s
+       WHERE i.id = s.id AND (i.amount_paid <> s.paid OR i.status <> s.status)
+       RETURNING i.id, i.quickbooks_invoice_id, s.previous_status, i.status, i.amount_paid`,
+      [userId]
+    );
+    return result.rows.filter(row => row.previous_status !== row.status);
+  } catch (error) {
+    console.error('Error refreshing invoice payment status:', error);
     throw error;
   }
 }
 
-async function getUserInvoices(userId) {
+// ============= Price Book Management =============
+
+async function getPriceBookServices(userId) {
   try {
     const result = await pool.query(
-      'SELECT * FROM invoices WHERE user_id = $1 ORDER BY created_at DESC',
+      'SELECT * FROM price_book_services WHERE user_id = $1 ORDER BY service_key',
       [userId]
     );
     return result.rows;
   } catch (error) {
-    console.error('Error getting user invoices:', error);
+    console.error('Error getting price book services:', error);
     return [];
   }
 }
 
-// ============= Estimate Management =============
-
-async function saveEstimate(userId, customerName, customerEmail, estimateData, qbEstimateId) {
+async function savePriceBookService(userId, serviceKey, rate, unit, description) {
   const query = `
-    INSERT INTO estimates (user_id, customer_name, customer_email, estimate_data, quickbooks_estimate_id)
+    INSERT INTO price_book_services (user_id, service_key, rate, unit, description)
     VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, service_key)
+    DO UPDATE SET
+      rate = $3,
+      unit = $4,
+      description = $5,
+      updated_at = CURRENT_TIMESTAMP
     RETURNING *
   `;
   
   try {
-    const result = await pool.query(query, [userId, customerName, customerEmail, estimateData, qbEstimateId]);
+    const result = await pool.query(query, [userId, serviceKey, rate, unit, description]);
     return result.rows[0];
   } catch (error) {
-    console.error('Error saving estimate:', error);
+    console.error('Error saving price book service:', error);
+    throw error;
+  }
+}
+
+async function deletePriceBookService(userId, serviceKey) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM price_book_services WHERE user_id = $1 AND service_key = $2',
+      [userId, serviceKey]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting price book service:', error);
     throw error;
   }
 }
 
-async function getUserEstimates(userId) {
+async function getPriceBookMaterials(userId) {
   try {
     const result = await pool.query(
-      'SELECT * FROM estimates WHERE user_id = $1 ORDER BY created_at DESC',
+      'SELECT * FROM price_book_materials WHERE user_id = $1 ORDER BY material_key',
       [userId]
     );
     return result.rows;
   } catch (error) {
-    console.error('Error getting user estimates:', error);
+    console.error('Error getting price book materials:', error);
     return [];
   }
 }
 
-// ============= Payment Management =============
-
-async function savePayment(userId, invoiceId, paymentId, amount, paymentDate, paymentMethod) {
+async function savePriceBookMaterial(userId, materialKey, cost, unit, description) {
   const query = `
-    INSERT INTO quickbooks_payments (user_id, invoice_id, payment_id, amount, payment_date, payment_method)
-    VALUES ($1, $2, $3, $4, $5, $6)
+    INSERT INTO price_book_materials (user_id, material_key, cost, unit, description)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, material_key)
+    DO UPDATE SET
+      cost = $3,
+      unit = $4,
+      description = $5,
+      updated_at = CURRENT_TIMESTAMP
     RETURNING *
   `;
   
   try {
-    const result = await pool.query(query, [userId, invoiceId, paymentId, amount, paymentDate, paymentMethod]);
+    const result = await pool.query(query, [userId, materialKey, cost, unit, description]);
     return result.rows[0];
   } catch (error) {
-    console.error('Error saving payment:', error);
+    console.error('Error saving price book material:', error);
     throw error;
   }
 }
 
-async function getUserPayments(userId) {
+async function deletePriceBookMaterial(userId, materialKey) {
   try {
     const result = await pool.query(
-      'SELECT * FROM quickbooks_payments WHERE user_id = $1 ORDER BY payment_date DESC',
+      'DELETE FROM price_book_materials WHERE user_id = $1 AND material_key = $2',
+      [userId, materialKey]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting price book material:', error);
+    throw error;
+  }
+}
+
+// Give a contractor the default price book, once. Returns false if it was seeded before -
+// entries they deleted since stay deleted.
+async function seedPriceBook(userId, services, materials) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const claimed = await client.query(
+      'INSERT INTO price_book_seeds (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
       [userId]
     );
-    return result.rows;
+    if (claimed.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+    
+    for (const [key, service] of Object.entries(services)) {
+      await client.query(
+        `INSERT INTO price_book_services (user_id, service_key, rate, unit, description)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (user_id, service_key) DO NOTHING`,
+        [userId, key, service.rate, service.unit, service.description || null]
+      );
+    }
+    
+    for (const [key, material] of Object.entries(materials)) {
+      await client.query(
+        `INSERT INTO price_book_materials (user_id, material_key, cost, unit, description)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (user_id, material_key) DO NOTHING`,
+        [userId, key, material.cost, material.unit, material.description || null]
+      );
+    }
+    
+    await client.query('COMMIT');
+    console.log('Price book seeded for user:', userId);
+    return true;
   } catch (error) {
-    console.error('Error getting user payments:', error);
-    return [];
+    await client.query('ROLLBACK');
+    console.error('Error seeding price book:', error);
+    throw error;
+  } finally {
+    client.release();
   }
 }
 
@@ -439,17 +3083,19 @@ async function getTokens(realmId) {
       'SELECT * FROM quickbooks_tokens WHERE realm_id = $1 LIMIT 1',
       [realmId]
     );
-    return result.rows[0] || null;
+    return decryptTokenRow(result.rows[0]) || null;
   } catch (error) {
     console.error('Error getting tokens by realm:', error);
+    if (error instanceof TokenDecryptionError) {
+      throw error;
+    }
     return null;
   }
 }
 
-async function saveTokens(realmId, accessToken, refreshToken, expiresIn) {
+async function saveTokens(realmId, accessToken, refreshToken, expiresIn, refreshExpiresIn) {
   // For legacy support, use a default user ID
-  const defaultUserId = 'legacy-single-user';
-  return await saveUserTokens(defaultUserId, realmId, accessToken, refreshToken, expiresIn);
+  return await saveUserTokens(LEGACY_USER_ID, realmId, accessToken, refreshToken, expiresIn, refreshExpiresIn);
 }
 
 // ============= Utility Functions =============
@@ -458,11 +3104,15 @@ async function cleanupOldData() {
   try {
     // Delete expired sessions
     await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+    await pool.query('DELETE FROM oauth_states WHERE expires_at < NOW()');
+    await pool.query('DELETE FROM auth_tokens WHERE expires_at < NOW()');
+    await pool.query('DELETE FROM organization_invitations WHERE accepted_at IS NULL AND expires_at < NOW()');
     
-    // Delete old tokens that expired more than 30 days ago
-    await pool.query(
-      "DELETE FROM quickbooks_tokens WHERE expires_at < NOW() - INTERVAL '30 days'"
-    );
+    await expireStaleEstimates();
+    
+    // QuickBooks connections are kept even when their tokens lapse - they're flagged for
+    // the user to reconnect, so the realm and sync history survive
+    await flagExpiredRefreshTokens();
     
     console.log('Old data cleaned up');
   } catch (error) {
@@ -474,43 +3124,166 @@ async function cleanupOldData() {
 setInterval(cleanupOldData, 24 * 60 * 60 * 1000);
 
 // Initialize database on module load
-initializeDatabase().catch(console.error);
+const ready = initializeDatabase().catch(console.error);
 
 // Export all functions
 module.exports = {
   pool,
   initializeDatabase,
+  ready,
+  LEGACY_USER_ID,
+  TokenDecryptionError,
   
   // User management
   createUser,
+  setUserOwnerName,
+  userOwnsData,
   getUserByEmail,
   getUserById,
+  getUserPricingSettings,
+  saveUserPricingSettings,
+  setUserApiKeyHash,
+  getUserByApiKeyHash,
+  updateUserPassword,
+  markEmailVerified,
+  
+  // Password reset and email verification tokens
+  createAuthToken,
+  consumeAuthToken,
   
   // Token management
+  reencryptTokens,
   saveUserTokens,
   getUserTokens,
   deleteUserTokens,
+  recordTokenRefreshFailure,
+  getUserIdsDueForTokenRefresh,
+  flagExpiredRefreshTokens,
+  getConnectedUserIds,
+  getUserIdsByRealmId,
   
   // Session management
   createSession,
   getUserBySessionToken,
+  getUserSessions,
+  deleteUserSession,
+  deleteOtherSessions,
   deleteExpiredSessions,
   
+  // Organizations
+  getMembership,
+  getOrCreateOrganization,
+  getOrganizationMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  getPendingInvitations,
+  deleteInvitation,
+  getInvitationByTokenHash,
+  acceptInvitation,
+  
+  // OAuth state
+  createOAuthState,
+  consumeOAuthState,
+  
+  // Customer management
+  createCustomer,
+  updateCustomer,
+  getCustomerById,
+  searchCustomers,
+  findCustomerByContact,
+  deleteCustomer,
+  setEstimateCustomer,
+  updateCustomerContact,
+  
+  // Property management
+  createProperty,
+  updateProperty,
+  getPropertyById,
+  getCustomerProperties,
+  findPropertyByAddress,
+  deleteProperty,
+  setEstimateProperty,
+  
   // QuickBooks customer management
   saveQuickBooksCustomer,
   getQuickBooksCustomer,
+  updateQuickBooksCustomerDetails,
+  getLocalCustomerId,
+  
+  // QuickBooks sync state
+  getSyncState,
+  saveSyncState,
+  
+  // Sync jobs
+  enqueueSyncJob,
+  claimSyncJobs,
+  completeSyncJob,
+  retrySyncJob,
+  deadLetterSyncJob,
+  getUserSyncJobs,
+  getSyncJobById,
+  replaySyncJob,
+  
+  // QuickBooks item mapping
+  getQuickBooksItemMappings,
+  saveQuickBooksItemMapping,
+  deleteQuickBooksItemMapping,
+  setAutoCreateItems,
   
   // Invoice management
   saveInvoice,
   getUserInvoices,
+  getInvoiceById,
+  getInvoiceByQuickBooksId,
+  updateInvoiceData,
   
   // Estimate management
   saveEstimate,
   getUserEstimates,
+  getEstimateById,
+  getEstimateByQuickBooksId,
+  deleteImportedEstimate,
+  updateEstimateStatus,
+  claimEstimateStatus,
+  releaseEstimateStatus,
+  setEstimateQuickBooksId,
+  expireStaleEstimates,
+  
+  // Estimate revisions
+  addEstimateRevision,
+  getEstimateRevisions,
+  getEstimateRevision,
+  setRevisionQuickBooksId,
+  
+  // Estimate sharing
+  setEstimateShareToken,
+  getEstimateByShareToken,
+  recordEstimateResponse,
+  getEstimateResponses,
+  
+  // Payment schedules
+  getPaymentSchedule,
+  savePaymentSchedule,
+  claimMilestone,
+  releaseMilestone,
+  markMilestoneInvoiced,
+  getEstimateBilling,
   
   // Payment management
   savePayment,
+  deletePayment,
   getUserPayments,
+  refreshInvoicePaymentStatus,
+  
+  // Price book management
+  getPriceBookServices,
+  savePriceBookService,
+  deletePriceBookService,
+  getPriceBookMaterials,
+  savePriceBookMaterial,
+  deletePriceBookMaterial,
+  seedPriceBook,
   
   // Legacy support
   getTokens,
@@ -0,0 +1,1212 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const db = require('./database');
+const pricing = require('./pricing');
+const { authenticateUser, requireRole } = require('./middleware');
+const { analyzeConversation, generateEstimate, selectTier } = require('./estimator');
+const quickbooks = require('./quickbooks-multi-tenant');
+const pdf = require('./pdf');
+const customers = require('./customers');
+const properties = require('./properties');
+const measurementTools = require('./measurements');
+const units = require('./units');
+
+// Crew create drafts from recordings but don't see prices; sending to QuickBooks is for owners and office
+const canEditEstimates = requireRole('owner', 'office', 'estimator');
+const canSync = requireRole('owner', 'office');
+
+const ESTIMATE_STATUSES = ['draft', 'sent', 'accepted', 'declined', 'expired', 'converted'];
+
+// Which statuses an estimate may move to from its current status. Only invoicing (the
+// invoice route or a schedule's last milestone) converts an estimate, so it isn't listed.
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'accepted', 'declined'],
+  sent: ['accepted', 'declined', 'expired'],
+  accepted: ['declined'],
+  declined: ['draft'],
+  expired: ['sent', 'draft'],
+  converted: []
+};
+
+// Status changes mirrored from QuickBooks. It closes an estimate that was invoiced there,
+// which converts it here too.
+const SYNCED_STATUS_TRANSITIONS = {
+  ...STATUS_TRANSITIONS,
+  accepted: [...STATUS_TRANSITIONS.accepted, 'converted']
+};
+
+// The customer has agreed to (or been billed for) these lines, so they can't change. An
+// accepted estimate that needs changes is declined and re-drafted instead.
+const LOCKED_STATUSES = ['accepted', 'converted'];
+
+function lockedError(estimate) {
+  const status = estimate.status[0].toUpperCase() + estimate.status.slice(1);
+  return `${status} estimates can no longer be edited`;
+}
+
+// Payment terms for invoices converted from estimates
+const INVOICE_DUE_DAYS = 30;
+
+// Save a freshly generated estimate as a draft, linked to the matching customer record and
+// property (created if new, or customer_info.property_id to target a known property).
+// Returns null (and logs) if it can't be saved, so a database hiccup doesn't throw away
+// the transcription and AI work.
+async function persistEstimate(userId, estimate, { source, transcription, customerInfo } = {}) {
+  if (!estimate || estimate.error) {
+    return null;
+  }
+
+  const owner = userId || db.LEGACY_USER_ID;
+  const customer = customerInfo || {};
+
+  let customerRecord = null;
+  let property = null;
+  try {
+    if (customer.property_id) {
+      property = await db.getPropertyById(owner, customer.property_id);
+    }
+
+    if (property) {
+      customerRecord = await db.getCustomerById(owner, property.customer_id);
+    } else {
+      customerRecord = await customers.findOrCreateCustomer(owner, customer, source);
+      property = await properties.findOrCreateProperty(owner, customerRecord?.id, customer);
+    }
+  } catch (error) {
+    // The estimate is still saved, just unlinked - it can be linked later
+    console.error('Failed to link estimate customer:', error);
+  }
+
+  try {
+    return await db.saveEstimate(
+      owner,
+      customer.name || customerRecord?.name || null,
+      customer.email || customerRecord?.email || null,
+      estimate,
+      null,
+      {
+        customerPhone: customer.phone || customerRecord?.phone,
+        source: source,
+        transcription: transcription,
+        customerId: customerRecord?.id,
+        propertyId: property?.id
+      }
+    );
+  } catch (error) {
+    console.error('Failed to persist estimate:', error);
+    return null;
+  }
+}
+
+// Lines are matched across revisions by their price book key, falling back to the
+// description for older estimates; repeated keys are paired up in order
+function keyLines(items, keyField) {
+  const counts = {};
+  const keyed = new Map();
+
+  (items || []).forEach(item => {
+    const baseKey = item[keyField] || item.description;
+    counts[baseKey] = (counts[baseKey] || 0) + 1;
+    keyed.set(counts[baseKey] > 1 ? `${baseKey}#${counts[baseKey]}` : baseKey, item);
+  });
+
+  return keyed;
+}
+
+function diffValue(from, to) {
+  return { from: from, to: to, delta: (to || 0) - (from || 0) };
+}
+
+function diffLines(fromItems, toItems, keyField, priceField) {
+  const fromLines = keyLines(fromItems, keyField);
+  const toLines = keyLines(toItems, keyField);
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  fromLines.forEach((fromItem, key) => {
+    const toItem = toLines.get(key);
+
+    if (!toItem) {
+      diff.removed.push({ key: key, ...fromItem, priceDelta: -(fromItem.subtotal || 0) });
+      return;
+    }
+
+    if (fromItem.quantity === toItem.quantity && fromItem[priceField] === toItem[priceField] &&
+        fromItem.subtotal === toItem.subtotal && fromItem.description === toItem.description) {
+      diff.unchanged++;
+      return;
+    }
+
+    diff.changed.push({
+      key: key,
+      description: toItem.description,
+      quantity: diffValue(fromItem.quantity, toItem.quantity),
+      [priceField]: diffValue(fromItem[priceField], toItem[priceField]),
+      subtotal: diffValue(fromItem.subtotal, toItem.subtotal),
+      unit: toItem.unit
+    });
+  });
+
+  toLines.forEach((toItem, key) => {
+    if (!fromLines.has(key)) {
+      diff.added.push({ key: key, ...toItem, priceDelta: toItem.subtotal || 0 });
+    }
+  });
+
+  return diff;
+}
+
+function diffEstimates(fromData, toData) {
+  const fromPricing = fromData.pricing || {};
+  const toPricing = toData.pricing || {};
+
+  return {
+    services: diffLines(fromData.serviceItems, toData.serviceItems, 'service', 'rate'),
+    materials: diffLines(fromData.materialItems, toData.materialItems, 'material', 'cost'),
+    totals: {
+      laborSubtotal: diffValue(fromPricing.laborSubtotal, toPricing.laborSubtotal),
+      materialSubtotal: diffValue(fromPricing.materialSubtotal, toPricing.materialSubtotal),
+      tax: diffValue(fromPricing.tax, toPricing.tax),
+      total: diffValue(fromPricing.total, toPricing.total)
+    }
+  };
+}
+
+// Line item types addressable through /:id/items/:type
+const LINE_TYPES = {
+  services: { listField: 'serviceItems', keyField: 'service', priceField: 'rate', book: 'services' },
+  materials: { listField: 'materialItems', keyField: 'material', priceField: 'cost', book: 'materials' }
+};
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && !Number.isNaN(value) && value >= 0;
+}
+
+// Build a line item from user input, filling gaps from the existing line and then the
+// price book. Changing a line's key resets its price to the new key's price book entry.
+function buildLineItem(lineType, input, existing, priceBook) {
+  const { keyField, priceField } = lineType;
+  const keyChanged = input[keyField] !== undefined && input[keyField] !== existing?.[keyField];
+  const base = keyChanged ? {} : (existing || {});
+  const key = input[keyField] !== undefined ? input[keyField] : base[keyField];
+  const bookEntry = key ? priceBook[lineType.book][key] : null;
+
+  const item = {
+    [keyField]: key || null,
+    description: input.description ?? base.description ?? bookEntry?.description ?? key,
+    quantity: input.quantity !== undefined ? Number(input.quantity) : base.quantity,
+    unit: input.unit ?? base.unit ?? bookEntry?.unit,
+    [priceField]: input[priceField] !== undefined ? Number(input[priceField]) : (base[priceField] ?? bookEntry?.[priceField])
+  };
+
+  if (lineType.keyField === 'service') {
+    item.hours = input.hours !== undefined ? Number(input.hours) : (base.hours || 0);
+    item.notes = input.notes ?? base.notes ?? '';
+  }
+
+  if (!isNonNegativeNumber(item.quantity)) {
+    return { error: 'quantity must be a non-negative number' };
+  }
+
+  if (!isNonNegativeNumber(item[priceField])) {
+    return { error: key && !bookEntry
+      ? `${key} is not in your price book, so ${priceField} is required`
+      : `${priceField} must be a non-negative number` };
+  }
+
+  if (!item.description || !item.unit) {
+    return { error: 'description and unit are required for items not in your price book' };
+  }
+
+  if (item.hours !== undefined && !isNonNegativeNumber(item.hours)) {
+    return { error: 'hours must be a non-negative number' };
+  }
+
+  return { item };
+}
+
+// Load an estimate, let `applyChange` edit a copy of its line items, then recalculate and
+// store the result as a new revision. `applyChange` returns an error message to reject.
+async function reviseLineItems(req, res, note, applyChange) {
+  const estimate = await db.getEstimateById(req.user.id, req.params.id);
+  if (!estimate) {
+    return res.status(404).json({ error: 'Estimate not found' });
+  }
+
+  if (LOCKED_STATUSES.includes(estimate.status)) {
+    return res.status(409).json({ error: lockedError(estimate) });
+  }
+
+  const priceBook = await pricing.getPriceBook(req.user.id);
+  const estimateData = {
+    ...estimate.estimate_data,
+    serviceItems: [...(estimate.estimate_data.serviceItems || [])],
+    materialItems: [...(estimate.estimate_data.materialItems || [])]
+  };
+
+  const error = applyChange(estimateData, priceBook);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+
+  const settings = await pricing.getPricingSettings(req.user.id);
+  const result = await db.addEstimateRevision(
+    req.user.id,
+    estimate.id,
+    withTierUpdated(pricing.recalculateEstimate(estimateData, settings)),
+    note
+  );
+
+  res.json({
+    success: true,
+    estimate: result.estimate,
+    revision: result.revision
+  });
+}
+
+// On tiered estimates the top-level lines are the selected tier, so copy edits back into it
+function withTierUpdated(estimateData) {
+  if (!estimateData.tier || !estimateData.tiers?.[estimateData.tier]) {
+    return estimateData;
+  }
+
+  return {
+    ...estimateData,
+    tiers: {
+      ...estimateData.tiers,
+      [estimateData.tier]: {
+        ...estimateData.tiers[estimateData.tier],
+        serviceItems: estimateData.serviceItems,
+        materialItems: estimateData.materialItems,
+        pricing: estimateData.pricing,
+        measurementNotes: estimateData.metadata?.measurementNotes,
+        quantityNotes: estimateData.metadata?.quantityNotes
+      }
+    }
+  };
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function defaultDueDate() {
+  return new Date(Date.now() + INVOICE_DUE_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+// QuickBooks customer for syncing an estimate: the `customerId` sent, or the customer found/
+// created from `customer_info` (defaulting to the estimate's own customer details). Options
+// are passed to upsertQuickBooksCustomer.
+async function resolveQuickBooksCustomer(tokens, estimate, body, options = {}) {
+  if (body.customerId) {
+    return { customerId: body.customerId };
+  }
+
+  const customerInfo = body.customer_info || {
+    name: estimate.customer_name,
+    email: estimate.customer_email,
+    phone: estimate.customer_phone
+  };
+
+  if (!customerInfo.name && !customerInfo.email) {
+    return { error: 'customerId or customer_info is required for estimates without a customer' };
+  }
+
+  const { customer } = await quickbooks.upsertQuickBooksCustomer(tokens, customerInfo, options);
+
+  // Remember the link so customer changes made in QuickBooks flow back to our record
+  if (estimate.customer_id) {
+    await db.saveQuickBooksCustomer(
+      estimate.user_id,
+      String(estimate.customer_id),
+      customer.Id,
+      customer.DisplayName,
+      customer.PrimaryEmailAddr?.Address || null
+    );
+  }
+
+  return { customerId: customer.Id };
+}
+
+// Swap in the quantities actually used on the job - { services: { 0: 12 }, materials: { 2: 3.5 } }
+// keyed by line index. Returns an error message, or null once estimateData is updated.
+function applyActualQuantities(estimateData, actualQuantities) {
+  for (const [type, quantities] of Object.entries(actualQuantities)) {
+    if (!Object.hasOwn(LINE_TYPES, type) || !quantities || typeof quantities !== 'object') {
+      return 'actualQuantities must map services and materials to { lineIndex: quantity }';
+    }
+    const lineType = LINE_TYPES[type];
+
+    const items = [...estimateData[lineType.listField]];
+    for (const [index, quantity] of Object.entries(quantities)) {
+      // Keys index into the line list, so anything but a line number (e.g. "length") is out
+      if (!/^\d+$/.test(index) || Number(index) >= items.length) {
+        return `No ${type} line at index ${index}`;
+      }
+
+      const actual = Number(quantity);
+      if (!isNonNegativeNumber(actual)) {
+        return 'quantity must be a non-negative number';
+      }
+
+      items[index] = { ...items[index], quantity: actual };
+    }
+    estimateData[lineType.listField] = items;
+  }
+
+  return null;
+}
+
+function getLineType(req, res) {
+  const lineType = LINE_TYPES[req.params.type];
+  if (!lineType) {
+    res.status(404).json({ error: 'Item type must be services or materials' });
+  }
+  return lineType;
+}
+
+// List estimates - filter by ?status=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?customer=,
+// ?customer_id=, ?property_id=
+router.get('/', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const { status, from, to, customer } = req.query;
+    const customerId = req.query.customer_id;
+    const propertyId = req.query.property_id;
+
+    if (status && !ESTIMATE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ESTIMATE_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const estimates = await db.getUserEstimates(req.user.id, { status, from, to, customer, customerId, propertyId, limit, offset });
+
+    res.json({
+      success: true,
+      estimates: estimates,
+      limit: limit,
+      offset: offset
+    });
+
+  } catch (error) {
+    console.error('List estimates error:', error);
+    res.status(500).json({
+      error: 'Failed to list estimates',
+      details: error.message
+    });
+  }
+});
+
+// Get a single estimate
+router.get('/:id', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    res.json({
+      success: true,
+      estimate: estimate
+    });
+
+  } catch (error) {
+    console.error('Get estimate error:', error);
+    res.status(500).json({
+      error: 'Failed to get estimate',
+      details: error.message
+    });
+  }
+});
+
+// Change an estimate's status
+router.put('/:id/status', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!ESTIMATE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ESTIMATE_STATUSES.join(', ')}` });
+    }
+
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    if (!STATUS_TRANSITIONS[estimate.status].includes(status)) {
+      return res.status(409).json({
+        error: `Cannot change estimate from ${estimate.status} to ${status}`,
+        allowed: STATUS_TRANSITIONS[estimate.status]
+      });
+    }
+
+    const updated = await db.updateEstimateStatus(req.user.id, estimate.id, status);
+
+    res.json({
+      success: true,
+      estimate: updated
+    });
+
+  } catch (error) {
+    console.error('Update estimate status error:', error);
+    res.status(500).json({
+      error: 'Failed to update estimate status',
+      details: error.message
+    });
+  }
+});
+
+// Link an estimate to a customer record - body { customerId }
+router.put('/:id/customer', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const customer = await db.getCustomerById(req.user.id, req.body.customerId);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const estimate = await db.setEstimateCustomer(req.user.id, req.params.id, customer);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    res.json({
+      success: true,
+      estimate: estimate
+    });
+
+  } catch (error) {
+    console.error('Link estimate customer error:', error);
+    res.status(500).json({
+      error: 'Failed to link estimate to customer',
+      details: error.message
+    });
+  }
+});
+
+// Target an estimate at one of a customer's properties - body { propertyId }.
+// The estimate is linked to the property's customer too.
+router.put('/:id/property', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const property = await db.getPropertyById(req.user.id, req.body.propertyId);
+    if (!property) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const estimate = await db.setEstimateProperty(req.user.id, req.params.id, property);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    res.json({
+      success: true,
+      estimate: estimate
+    });
+
+  } catch (error) {
+    console.error('Link estimate property error:', error);
+    res.status(500).json({
+      error: 'Failed to link estimate to property',
+      details: error.message
+    });
+  }
+});
+
+// Download the estimate as a branded PDF (?session_token= works for plain links)
+router.get('/:id/pdf', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    pdf.setPdfHeaders(res, `estimate-${estimate.id}.pdf`);
+    pdf.buildEstimatePdf(estimate, req.user, res);
+
+  } catch (error) {
+    console.error('Estimate PDF error:', error);
+    // Part of the PDF may already be on its way - cut the download off rather than
+    // appending JSON to it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Failed to generate estimate PDF',
+      details: error.message
+    });
+  }
+});
+
+// List an estimate's revisions
+router.get('/:id/revisions', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const revisions = await db.getEstimateRevisions(req.user.id, estimate.id);
+
+    res.json({
+      success: true,
+      currentRevision: estimate.current_revision,
+      revisions: revisions
+    });
+
+  } catch (error) {
+    console.error('List estimate revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to list estimate revisions',
+      details: error.message
+    });
+  }
+});
+
+// Get a single revision
+router.get('/:id/revisions/:revision', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const revision = await db.getEstimateRevision(req.user.id, req.params.id, req.params.revision);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      revision: revision
+    });
+
+  } catch (error) {
+    console.error('Get estimate revision error:', error);
+    res.status(500).json({
+      error: 'Failed to get estimate revision',
+      details: error.message
+    });
+  }
+});
+
+// Create a new revision. Send `text` with the customer's requested changes to regenerate
+// from the original conversation, `analysis` to regenerate from an edited analysis,
+// or `estimate_data` to store an estimate as-is.
+router.post('/:id/revisions', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const { text, analysis, estimate_data, note } = req.body;
+
+    if (!text && !analysis && !estimate_data) {
+      return res.status(400).json({ error: 'One of text, analysis or estimate_data is required' });
+    }
+
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    if (LOCKED_STATUSES.includes(estimate.status)) {
+      return res.status(409).json({ error: lockedError(estimate) });
+    }
+
+    let revisionData = estimate_data;
+
+    if (!revisionData) {
+      let revisionAnalysis = analysis;
+
+      if (!revisionAnalysis) {
+        const conversation = estimate.transcription
+          ? `${estimate.transcription}\n\nRequested changes: ${text}`
+          : text;
+        revisionAnalysis = await analyzeConversation(conversation);
+      }
+
+      revisionData = await generateEstimate(
+        revisionAnalysis,
+        estimate.estimate_data.measurements || [],
+        req.user.id,
+        { tiers: !!estimate.estimate_data.tiers }
+      );
+
+      if (revisionData.error) {
+        return res.status(502).json(revisionData);
+      }
+    }
+
+    const result = await db.addEstimateRevision(
+      req.user.id,
+      estimate.id,
+      revisionData,
+      note || (text ? `Requested changes: ${text}` : null)
+    );
+
+    res.status(201).json({
+      success: true,
+      estimate: result.estimate,
+      revision: result.revision
+    });
+
+  } catch (error) {
+    console.error('Create estimate revision error:', error);
+    res.status(500).json({
+      error: 'Failed to create estimate revision',
+      details: error.message
+    });
+  }
+});
+
+// Line-item diff between two revisions - ?from=1&to=2 (defaults to previous vs current)
+router.get('/:id/diff', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const to = parseInt(req.query.to, 10) || estimate.current_revision;
+    const from = parseInt(req.query.from, 10) || to - 1;
+
+    const fromRevision = await db.getEstimateRevision(req.user.id, estimate.id, from);
+    const toRevision = await db.getEstimateRevision(req.user.id, estimate.id, to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: `Revision ${!fromRevision ? from : to} not found` });
+    }
+
+    res.json({
+      success: true,
+      from: from,
+      to: to,
+      diff: diffEstimates(fromRevision.estimate_data, toRevision.estimate_data)
+    });
+
+  } catch (error) {
+    console.error('Diff estimate revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to diff estimate revisions',
+      details: error.message
+    });
+  }
+});
+
+// Send a chosen revision to QuickBooks as a new Estimate. Pass the QuickBooks `customerId`,
+// or `customer_info` to find/create the customer (defaults to the estimate's customer).
+router.post('/:id/revisions/:revision/sync', authenticateUser, canSync, async (req, res) => {
+  try {
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const revision = await db.getEstimateRevision(req.user.id, estimate.id, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Tiered estimates sync the selected tier unless another one is named
+    let estimateData = revision.estimate_data;
+    if (req.body.tier) {
+      estimateData = selectTier(estimateData, req.body.tier);
+      if (!estimateData) {
+        return res.status(400).json({ error: `Revision has no ${req.body.tier} tier` });
+      }
+    }
+
+    const tokens = await quickbooks.getValidUserTokens(req.user.id);
+    if (!tokens) {
+      return res.status(401).json({ error: 'QuickBooks not connected for this account' });
+    }
+
+    const { customerId, error } = await resolveQuickBooksCustomer(tokens, estimate, req.body);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+
+    const qbEstimate = await quickbooks.createQuickBooksEstimate(tokens, customerId, estimateData);
+    const updated = await db.setRevisionQuickBooksId(req.user.id, estimate.id, revision.revision_number, qbEstimate.Id);
+
+    res.json({
+      success: true,
+      revision: revision.revision_number,
+      estimate: updated,
+      quickbooksEstimate: qbEstimate
+    });
+
+  } catch (error) {
+    console.error('Sync estimate revision error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to sync estimate revision',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Invoice an accepted estimate in QuickBooks and mark it converted. Send `actualQuantities`
+// to bill what the finished job used, plus `customerId`/`customer_info` as for revision
+// sync and an optional `dueDate` (YYYY-MM-DD). If the current revision was never synced
+// it is sent to QuickBooks first so the invoice can link to it.
+router.post('/:id/invoice', authenticateUser, canSync, async (req, res) => {
+  try {
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    if (estimate.status !== 'accepted') {
+      return res.status(409).json({ error: `Only accepted estimates can be invoiced (this one is ${estimate.status})` });
+    }
+
+    const schedule = await db.getPaymentSchedule(estimate.id);
+    if (schedule.length > 0) {
+      return res.status(409).json({ error: 'This estimate has a payment schedule - complete its milestones to invoice it' });
+    }
+
+    const { actualQuantities, dueDate } = req.body;
+    if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+      return res.status(400).json({ error: 'dueDate must be YYYY-MM-DD' });
+    }
+
+    let invoiceData = estimate.estimate_data;
+    if (actualQuantities) {
+      invoiceData = {
+        ...invoiceData,
+        serviceItems: [...(invoiceData.serviceItems || [])],
+        materialItems: [...(invoiceData.materialItems || [])]
+      };
+
+      const quantityError = applyActualQuantities(invoiceData, actualQuantities);
+      if (quantityError) {
+        return res.status(400).json({ error: quantityError });
+      }
+
+      const settings = await pricing.getPricingSettings(req.user.id);
+      invoiceData = pricing.recalculateEstimate(invoiceData, settings);
+    }
+
+    // Claim the estimate before touching QuickBooks so a second submit can't invoice it again
+    const claimed = await db.claimEstimateStatus(req.user.id, estimate.id, 'accepted', 'converted');
+    if (!claimed) {
+      return res.status(409).json({ error: 'This estimate is already being invoiced' });
+    }
+
+    let qbInvoice, invoice;
+    try {
+      const tokens = await quickbooks.getValidUserTokens(req.user.id);
+      if (!tokens) {
+        await db.releaseEstimateStatus(req.user.id, estimate.id, 'converted', 'accepted');
+        return res.status(401).json({ error: 'QuickBooks not connected for this account' });
+      }
+
+      const { customerId, error } = await resolveQuickBooksCustomer(tokens, estimate, req.body);
+      if (error) {
+        await db.releaseEstimateStatus(req.user.id, estimate.id, 'converted', 'accepted');
+        return res.status(400).json({ error: error });
+      }
+
+      // Link to the QuickBooks estimate for the revision being invoiced, not an older one
+      const revision = await db.getEstimateRevision(req.user.id, estimate.id, estimate.current_revision);
+      let qbEstimateId = revision?.quickbooks_estimate_id;
+      if (!qbEstimateId) {
+        const qbEstimate = await quickbooks.createQuickBooksEstimate(tokens, customerId, estimate.estimate_data, {
+          requestId: `estimate-${estimate.id}-revision-${estimate.current_revision}`
+        });
+        await db.setRevisionQuickBooksId(req.user.id, estimate.id, estimate.current_revision, qbEstimate.Id);
+        qbEstimateId = qbEstimate.Id;
+      }
+
+      qbInvoice = await quickbooks.createQuickBooksInvoice(tokens, customerId, invoiceData, {
+        linkedEstimateId: qbEstimateId,
+        dueDate: dueDate || defaultDueDate(),
+        email: req.body.customer_info?.email || estimate.customer_email,
+        requestId: `estimate-${estimate.id}-revision-${estimate.current_revision}-invoice`
+      });
+
+      invoice = await db.saveInvoice(
+        req.user.id,
+        estimate.customer_name,
+        estimate.customer_email,
+        qbInvoice,
+        qbInvoice.Id,
+        {
+          customerId: estimate.customer_id,
+          propertyId: estimate.property_id,
+          estimateId: estimate.id
+        }
+      );
+    } catch (error) {
+      await db.releaseEstimateStatus(req.user.id, estimate.id, 'converted', 'accepted');
+      throw error;
+    }
+
+    // The lines are built to add up to the accepted total - if QuickBooks disagrees (e.g. it
+    // applied its own tax) the job balance will be off, so say so
+    const expectedTotal = roundCents(invoiceData.pricing?.total || 0);
+    const totalMismatch = roundCents(qbInvoice.TotalAmt || 0) !== expectedTotal;
+    if (totalMismatch) {
+      console.warn(`QuickBooks invoice ${qbInvoice.Id} totals ${qbInvoice.TotalAmt} but estimate ${estimate.id} totals ${expectedTotal}`);
+    }
+
+    res.status(201).json({
+      success: true,
+      estimate: claimed,
+      invoice: invoice,
+      ...(totalMismatch ? { warning: `QuickBooks invoice total $${qbInvoice.TotalAmt} does not match the estimate total $${expectedTotal.toFixed(2)}` } : {}),
+      quickbooksInvoice: qbInvoice
+    });
+
+  } catch (error) {
+    console.error('Convert estimate to invoice error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to convert estimate to invoice',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Replace all line items at once (used by the editable estimate table)
+router.put('/:id/items', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const { serviceItems, materialItems } = req.body;
+
+    if (!Array.isArray(serviceItems) || !Array.isArray(materialItems)) {
+      return res.status(400).json({ error: 'serviceItems and materialItems arrays are required' });
+    }
+
+    await reviseLineItems(req, res, 'Edited line items', (estimateData, priceBook) => {
+      for (const [type, items] of [['services', serviceItems], ['materials', materialItems]]) {
+        const lineType = LINE_TYPES[type];
+        const built = [];
+
+        for (const [index, input] of items.entries()) {
+          const { item, error } = buildLineItem(lineType, input, null, priceBook);
+          if (error) {
+            return `${type} line ${index + 1}: ${error}`;
+          }
+          built.push(item);
+        }
+
+        estimateData[lineType.listField] = built;
+      }
+      return null;
+    });
+
+  } catch (error) {
+    console.error('Replace line items error:', error);
+    res.status(500).json({
+      error: 'Failed to update line items',
+      details: error.message
+    });
+  }
+});
+
+// Add a service or material line
+router.post('/:id/items/:type', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const lineType = getLineType(req, res);
+    if (!lineType) return;
+
+    await reviseLineItems(req, res, `Added ${req.params.type} line`, (estimateData, priceBook) => {
+      const { item, error } = buildLineItem(lineType, req.body, null, priceBook);
+      if (error) {
+        return error;
+      }
+
+      const items = estimateData[lineType.listField];
+      const position = req.body.position !== undefined ? Number(req.body.position) : items.length;
+      if (!Number.isInteger(position) || position < 0 || position > items.length) {
+        return `position must be between 0 and ${items.length}`;
+      }
+
+      items.splice(position, 0, item);
+      return null;
+    });
+
+  } catch (error) {
+    console.error('Add line item error:', error);
+    res.status(500).json({
+      error: 'Failed to add line item',
+      details: error.message
+    });
+  }
+});
+
+// Reorder lines - body { order: [2, 0, 1] } lists current indexes in their new order
+router.put('/:id/items/:type/order', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const lineType = getLineType(req, res);
+    if (!lineType) return;
+
+    const { order } = req.body;
+
+    await reviseLineItems(req, res, `Reordered ${req.params.type}`, estimateData => {
+      const items = estimateData[lineType.listField];
+      const isPermutation = Array.isArray(order) &&
+        order.length === items.length &&
+        [...order].sort((a, b) => a - b).every((value, index) => value === index);
+
+      if (!isPermutation) {
+        return `order must list each of the ${items.length} current line indexes exactly once`;
+      }
+
+      estimateData[lineType.listField] = order.map(index => items[index]);
+      return null;
+    });
+
+  } catch (error) {
+    console.error('Reorder line items error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder line items',
+      details: error.message
+    });
+  }
+});
+
+// Edit a line - only the fields sent are changed
+router.put('/:id/items/:type/:index', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const lineType = getLineType(req, res);
+    if (!lineType) return;
+
+    const index = Number(req.params.index);
+
+    await reviseLineItems(req, res, `Edited ${req.params.type} line ${index + 1}`, (estimateData, priceBook) => {
+      const existing = estimateData[lineType.listField][index];
+      if (!existing) {
+        return `No ${req.params.type} line at index ${req.params.index}`;
+      }
+
+      const { item, error } = buildLineItem(lineType, req.body, existing, priceBook);
+      if (error) {
+        return error;
+      }
+
+      estimateData[lineType.listField][index] = item;
+      return null;
+    });
+
+  } catch (error) {
+    console.error('Edit line item error:', error);
+    res.status(500).json({
+      error: 'Failed to edit line item',
+      details: error.message
+    });
+  }
+});
+
+// Remove a line
+router.delete('/:id/items/:type/:index', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const lineType = getLineType(req, res);
+    if (!lineType) return;
+
+    const index = Number(req.params.index);
+
+    await reviseLineItems(req, res, `Removed ${req.params.type} line ${index + 1}`, estimateData => {
+      if (!estimateData[lineType.listField][index]) {
+        return `No ${req.params.type} line at index ${req.params.index}`;
+      }
+
+      estimateData[lineType.listField].splice(index, 1);
+      return null;
+    });
+
+  } catch (error) {
+    console.error('Remove line item error:', error);
+    res.status(500).json({
+      error: 'Failed to remove line item',
+      details: error.message
+    });
+  }
+});
+
+// Replace the site measurements on an estimate - body { measurements: [...] }. Measured
+// quantities override the matching lines and the estimate is saved as a new revision.
+router.put('/:id/measurements', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const summary = measurementTools.summarizeMeasurements(req.body.measurements);
+    if (summary.error) {
+      return res.status(400).json({ error: summary.error });
+    }
+
+    const settings = await pricing.getPricingSettings(req.user.id);
+
+    await reviseLineItems(req, res, 'Updated site measurements', (estimateData, priceBook) => {
+      const measurementNotes = measurementTools.applyMeasurements(estimateData, summary, priceBook, settings);
+      estimateData.metadata = {
+        ...estimateData.metadata,
+        measurementNotes: measurementNotes,
+        quantityNotes: units.quantifyBulkMaterials(estimateData, settings)
+      };
+
+      // Re-measure the other tiers too, keeping their own choice of services
+      if (estimateData.tiers) {
+        const tiers = {};
+        Object.entries(estimateData.tiers).forEach(([tier, option]) => {
+          if (tier === estimateData.tier) {
+            tiers[tier] = option;
+            return;
+          }
+
+          const lines = { serviceItems: option.serviceItems, materialItems: option.materialItems };
+          const tierMeasurementNotes = measurementTools.applyMeasurements(lines, summary, priceBook, settings, { addMissing: false });
+          const tierQuantityNotes = units.quantifyBulkMaterials(lines, settings);
+          const priced = pricing.recalculateEstimate(lines, settings);
+
+          tiers[tier] = {
+            ...option,
+            serviceItems: priced.serviceItems,
+            materialItems: priced.materialItems,
+            pricing: priced.pricing,
+            measurementNotes: tierMeasurementNotes,
+            quantityNotes: tierQuantityNotes
+          };
+        });
+        estimateData.tiers = tiers;
+      }
+      return null;
+    });
+
+  } catch (error) {
+    console.error('Update measurements error:', error);
+    res.status(500).json({
+      error: 'Failed to update measurements',
+      details: error.message
+    });
+  }
+});
+
+// Choose which good/better/best option the estimate shows - body { tier: 'good' }.
+// The choice is saved as a new revision, so that revision syncs as the picked tier.
+router.put('/:id/tier', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const { tier } = req.body;
+
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    if (!estimate.estimate_data.tiers) {
+      return res.status(400).json({ error: 'Estimate does not have tiered options' });
+    }
+
+    if (LOCKED_STATUSES.includes(estimate.status)) {
+      return res.status(409).json({ error: lockedError(estimate) });
+    }
+
+    const selected = selectTier(estimate.estimate_data, tier);
+    if (!selected) {
+      return res.status(400).json({ error: `tier must be one of: ${Object.keys(estimate.estimate_data.tiers).join(', ')}` });
+    }
+
+    const result = await db.addEstimateRevision(
+      req.user.id,
+      estimate.id,
+      selected,
+      `Selected ${selected.tiers[tier].name} option`
+    );
+
+    res.json({
+      success: true,
+      estimate: result.estimate,
+      revision: result.revision
+    });
+
+  } catch (error) {
+    console.error('Select estimate tier error:', error);
+    res.status(500).json({
+      error: 'Failed to select estimate tier',
+      details: error.message
+    });
+  }
+});
+
+// Public link the customer can open without an account
+function shareUrl(req, shareToken) {
+  const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/share/${shareToken}`;
+}
+
+// Create the customer share link (reusing an existing one unless { regenerate: true }).
+// Sharing a draft counts as sending it.
+router.post('/:id/share', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    let estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    if (!estimate.share_token || req.body.regenerate) {
+      const shareToken = crypto.randomBytes(24).toString('hex');
+      estimate = await db.setEstimateShareToken(req.user.id, estimate.id, shareToken);
+    }
+
+    if (estimate.status === 'draft') {
+      estimate = await db.updateEstimateStatus(req.user.id, estimate.id, 'sent');
+    }
+
+    res.json({
+      success: true,
+      shareUrl: shareUrl(req, estimate.share_token),
+      estimate: estimate
+    });
+
+  } catch (error) {
+    console.error('Share estimate error:', error);
+    res.status(500).json({
+      error: 'Failed to share estimate',
+      details: error.message
+    });
+  }
+});
+
+// Turn off the customer share link
+router.delete('/:id/share', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const estimate = await db.setEstimateShareToken(req.user.id, req.params.id, null);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    res.json({
+      success: true,
+      estimate: estimate
+    });
+
+  } catch (error) {
+    console.error('Unshare estimate error:', error);
+    res.status(500).json({
+      error: 'Failed to remove share link',
+      details: error.message
+    });
+  }
+});
+
+// Customer accept/decline signatures, newest first
+router.get('/:id/responses', authenticateUser, canEditEstimates, async (req, res) => {
+  try {
+    const estimate = await db.getEstimateById(req.user.id, req.params.id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const responses = await db.getEstimateResponses(estimate.id);
+
+    res.json({
+      success: true,
+      responses: responses
+    });
+
+  } catch (error) {
+    console.error('Get estimate responses error:', error);
+    res.status(500).json({
+      error: 'Failed to get estimate responses',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
+module.exports.persistEstimate = persistEstimate;
+module.exports.ESTIMATE_STATUSES = ESTIMATE_STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.SYNCED_STATUS_TRANSITIONS = SYNCED_STATUS_TRANSITIONS;
+module.exports.resolveQuickBooksCustomer = resolveQuickBooksCustomer;
+module.exports.defaultDueDate = defaultDueDate;
@@ -0,0 +1,304 @@
+const OpenAI = require('openai');
+const pricing = require('./pricing');
+const measurementTools = require('./measurements');
+const units = require('./units');
+require('dotenv').config();
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+async function analyzeConversation(transcription) {
+  const prompt = `You are an expert landscaping project analyzer. A customer had a conversation about their landscaping needs. 
+
+Please analyze this conversation and extract key project information in JSON format:
+
+Customer conversation: "${transcription}"
+
+Respond with a JSON object containing:
+{
+  "projectSummary": "Brief 1-2 sentence summary of what they want",
+  "services": ["list", "of", "specific", "landscaping", "services"],
+  "materials": ["list", "of", "materials", "mentioned", "or", "likely", "needed"],
+  "problemAreas": ["specific", "issues", "they", "mentioned"],
+  "projectScope": "small/medium/large based on description",
+  "estimatedDuration": "rough timeline estimate",
+  "notes": ["any", "special", "requests", "or", "important", "details"]
+}
+
+Focus on landscaping-specific terminology and be practical about what's achievable.`;
+
+  try {
+    const response = await openai.chat.completions.create({
+      model: "gpt-4",
+      messages: [
+        { role: "system", content: "You are a professional landscaping project analyzer. Always respond with valid JSON." },
+        { role: "user", content: prompt }
+      ],
+      max_tokens: 800,
+      temperature: 0.3
+    });
+
+    const analysisText = response.choices[0].message.content;
+    console.log('GPT-4 Analysis:', analysisText);
+    
+    const analysis = JSON.parse(analysisText);
+    return analysis;
+    
+  } catch (error) {
+    console.error('Analysis error:', error);
+    return {
+      projectSummary: "Error analyzing project - please review transcription manually",
+      services: ["Manual review needed"],
+      materials: [],
+      problemAreas: [],
+      projectScope: "unknown",
+      estimatedDuration: "TBD",
+      notes: ["AI analysis failed - transcription: " + transcription]
+    };
+  }
+}
+
+// Good/Better/Best options - the middle tier is shown (and synced) until the customer picks
+const TIERS = ['good', 'better', 'best'];
+const DEFAULT_TIER = 'better';
+
+const LINE_ITEMS_FORMAT = `"serviceItems": [
+    {
+      "service": "service_key_from_database",
+      "description": "What this service includes",
+      "quantity": 100,
+      "unit": "sq ft",
+      "estimatedHours": 4,
+      "notes": "Any special considerations"
+    }
+  ],
+  "materialItems": [
+    {
+      "material": "material_key_from_database", 
+      "description": "Material description",
+      "quantity": 100,
+      "unit": "sq ft",
+      "depthInches": null
+    }
+  ]`;
+
+function buildServiceLines(items, priceBook) {
+  return (items || []).map(item => {
+    const priceData = priceBook.services[item.service];
+    if (!priceData) {
+      console.warn(`Service not found in pricing database: ${item.service}`);
+      return null;
+    }
+
+    const subtotal = item.quantity * priceData.rate;
+
+    return {
+      service: item.service,
+      description: item.description || priceData.description,
+      quantity: item.quantity,
+      unit: item.unit || priceData.unit,
+      rate: priceData.rate,
+      subtotal: subtotal,
+      hours: item.estimatedHours || 0,
+      notes: item.notes || ''
+    };
+  }).filter(Boolean);
+}
+
+function buildMaterialLines(items, priceBook) {
+  return (items || []).map(item => {
+    const materialData = priceBook.materials[item.material];
+    if (!materialData) {
+      console.warn(`Material not found in database: ${item.material}`);
+      return null;
+    }
+
+    const subtotal = item.quantity * materialData.cost;
+
+    return {
+      material: item.material,
+      description: item.description || materialData.description || `${item.material} (${materialData.unit})`,
+      quantity: item.quantity,
+      unit: item.unit || materialData.unit,
+      cost: materialData.cost,
+      subtotal: subtotal,
+      ...(item.depthInches > 0 ? { depthInches: item.depthInches } : {})
+    };
+  }).filter(Boolean);
+}
+
+// Turn one set of AI line items into priced lines: site measurements override the
+// guessed quantities, then bulk materials are quantified from the final service areas.
+// Tiers only override lines they already have, so the budget tier doesn't gain the sod
+// line a crew measured for.
+function priceLineItems(aiItems, priceBook, measured, settings, addMissing = true) {
+  const lines = {
+    serviceItems: buildServiceLines(aiItems.serviceItems, priceBook),
+    materialItems: buildMaterialLines(aiItems.materialItems, priceBook)
+  };
+
+  const measurementNotes = measured.areas.length > 0
+    ? measurementTools.applyMeasurements(lines, measured, priceBook, settings, { addMissing })
+    : undefined;
+  const quantityNotes = units.quantifyBulkMaterials(lines, settings);
+  const priced = pricing.recalculateEstimate(lines, settings);
+
+  return {
+    serviceItems: priced.serviceItems,
+    materialItems: priced.materialItems,
+    pricing: priced.pricing,
+    measurements: lines.measurements || [],
+    measurementNotes: measurementNotes,
+    quantityNotes: quantityNotes
+  };
+}
+
+// Show one of a tiered estimate's options as the estimate's line items and totals.
+// Returns null if the estimate has no such tier.
+function selectTier(estimateData, tier) {
+  // Tier names come from requests, so inherited keys like 'constructor' don't count
+  if (!estimateData.tiers || !Object.prototype.hasOwnProperty.call(estimateData.tiers, tier)) {
+    return null;
+  }
+  const option = estimateData.tiers[tier];
+
+  return {
+    ...estimateData,
+    tier: tier,
+    serviceItems: option.serviceItems,
+    materialItems: option.materialItems,
+    pricing: option.pricing,
+    metadata: {
+      ...estimateData.metadata,
+      measurementNotes: option.measurementNotes,
+      quantityNotes: option.quantityNotes
+    }
+  };
+}
+
+// `measurements` is a list of on-site shapes (see measurements.js). Their computed
+// quantities replace whatever the AI guessed for the matching services and materials.
+// With `options.tiers` the estimate also carries good/better/best options under `tiers`.
+async function generateEstimate(analysis, measurements = [], userId = null, options = {}) {
+  try {
+    const priceBook = await pricing.getPriceBook(userId);
+    const measured = measurementTools.summarizeMeasurements(measurements || []);
+    if (measured.error) {
+      throw new Error(`Invalid measurements - ${measured.error}`);
+    }
+
+    const lineItemsFormat = options.tiers
+      ? `"tiers": {
+${TIERS.map(tier => `    "${tier}": {
+      "name": "Short name for this option",
+      "description": "What sets this option apart",
+      ${LINE_ITEMS_FORMAT.replace(/\n/g, '\n    ')}
+    }`).join(',\n')}
+  }`
+      : LINE_ITEMS_FORMAT;
+
+    const tierInstructions = options.tiers
+      ? `
+Provide three complete options for the same project: "good" is the budget option (e.g. seeding instead of sod), "better" is the standard recommendation, and "best" is the premium option (e.g. premium sod with irrigation). Each tier lists all of its own line items.`
+      : '';
+    
+    const estimatePrompt = `Based on this landscaping project analysis, provide quantity estimates and map services to pricing categories.
+
+Project Analysis: ${JSON.stringify(analysis)}
+Site measurements (exact, use these quantities): ${JSON.stringify(measured.totals)}
+
+Available service categories: ${Object.keys(priceBook.services).join(', ')}
+Available materials: ${Object.keys(priceBook.materials).join(', ')}
+
+Respond with a JSON object:
+{
+  ${lineItemsFormat},
+  "projectComplexity": "low/medium/high",
+  "recommendedMeasurements": ["what should be measured on-site"],
+  "assumptions": ["key assumptions made for this estimate"]
+}
+
+Be conservative with quantities if measurements aren't provided. Focus on the most likely services needed.
+For bulk materials sold by volume (topsoil, gravel, sand, stone) set depthInches if the customer mentioned a depth; quantities for these are calculated from the service areas.${tierInstructions}`;
+
+    const response = await openai.chat.completions.create({
+      model: "gpt-4",
+      messages: [
+        { role: "system", content: "You are a landscaping estimator. Always respond with valid JSON." },
+        { role: "user", content: estimatePrompt }
+      ],
+      max_tokens: options.tiers ? 2500 : 1000,
+      temperature: 0.2
+    });
+
+    const estimateData = JSON.parse(response.choices[0].message.content);
+    const pricingSettings = await pricing.getPricingSettings(userId);
+
+    const estimate = {
+      projectInfo: {
+        summary: analysis.projectSummary,
+        scope: analysis.projectScope,
+        estimatedDuration: analysis.estimatedDuration
+      },
+      metadata: {
+        complexity: estimateData.projectComplexity,
+        assumptions: estimateData.assumptions || [],
+        recommendedMeasurements: estimateData.recommendedMeasurements || [],
+        createdDate: new Date().toLocaleDateString()
+      }
+    };
+
+    if (!options.tiers) {
+      const priced = priceLineItems(estimateData, priceBook, measured, pricingSettings);
+      return {
+        ...estimate,
+        serviceItems: priced.serviceItems,
+        materialItems: priced.materialItems,
+        pricing: priced.pricing,
+        measurements: priced.measurements,
+        metadata: {
+          ...estimate.metadata,
+          measurementNotes: priced.measurementNotes,
+          quantityNotes: priced.quantityNotes
+        }
+      };
+    }
+
+    // Measurements belong to the site, not a tier, so they're kept once at the top level
+    // where selectTier carries them through whichever option is shown.
+    estimate.measurements = measured.areas;
+    estimate.tiers = {};
+    TIERS.forEach(tier => {
+      const aiTier = estimateData.tiers?.[tier];
+      if (!aiTier) {
+        throw new Error(`Estimator did not return a ${tier} tier`);
+      }
+
+      const { measurements, ...priced } = priceLineItems(aiTier, priceBook, measured, pricingSettings, false);
+      estimate.tiers[tier] = {
+        name: aiTier.name || tier,
+        description: aiTier.description || '',
+        ...priced
+      };
+    });
+
+    return selectTier(estimate, DEFAULT_TIER);
+
+  } catch (error) {
+    console.error('Estimate generation error:', error);
+    return {
+      error: 'Failed to generate estimate',
+      message: error.message
+    };
+  }
+}
+
+module.exports = {
+  openai,
+  TIERS,
+  DEFAULT_TIER,
+  analyzeConversation,
+  generateEstimate,
+  selectTier
+};
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { authenticateUser, requireRole } = require('./middleware');
+const pdf = require('./pdf');
+const { INVOICE_STATUSES } = require('./payments');
+
+// Invoices are for owners and office
+const canViewFinancials = requireRole('owner', 'office');
+
+// List the authenticated user's invoices - filter by ?status= (open, partial, paid, overdue,
+// void), ?customer_id=, ?property_id=
+router.get('/', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${INVOICE_STATUSES.join(', ')}` });
+    }
+
+    const invoices = await db.getUserInvoices(req.user.id, {
+      status: status,
+      customerId: req.query.customer_id,
+      propertyId: req.query.property_id
+    });
+
+    res.json({
+      success: true,
+      invoices: invoices
+    });
+
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(500).json({
+      error: 'Failed to list invoices',
+      details: error.message
+    });
+  }
+});
+
+// Get a single invoice
+router.get('/:id', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const invoice = await db.getInvoiceById(req.user.id, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json({
+      success: true,
+      invoice: invoice
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      error: 'Failed to get invoice',
+      details: error.message
+    });
+  }
+});
+
+// Download the invoice as a branded PDF (?session_token= works for plain links)
+router.get('/:id/pdf', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const invoice = await db.getInvoiceById(req.user.id, req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    pdf.setPdfHeaders(res, `invoice-${invoice.id}.pdf`);
+    pdf.buildInvoicePdf(invoice, req.user, res);
+
+  } catch (error) {
+    console.error('Invoice PDF error:', error);
+    // Part of the PDF may already be on its way - cut the download off rather than
+    // appending JSON to it
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Failed to generate invoice PDF',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const pricing = require('./pricing');
+const { authenticateUser, requireRole } = require('./middleware');
+const quickbooks = require('./quickbooks-multi-tenant');
+const quickbooksItems = require('./quickbooks-items');
+
+// Item mappings change what lands in QuickBooks - owners and office only
+const canUseQuickBooks = requireRole('owner', 'office');
+
+// Manage which QuickBooks Item each price book service/material syncs as.
+// Mounted at /api/quickbooks/items; :type is service or material.
+
+async function getConnectedTokens(req, res) {
+  const tokens = await quickbooks.getValidUserTokens(req.user.id);
+  if (!tokens) {
+    res.status(401).json({ error: 'QuickBooks not connected for this account' });
+  }
+  return tokens;
+}
+
+// Price book keys that have no Item mapping yet
+function unmappedKeys(priceBook, mappings) {
+  const mapped = new Set(mappings.map(mapping => `${mapping.item_type}:${mapping.item_key}`));
+  const keys = [];
+
+  Object.entries(quickbooksItems.ITEM_TYPES).forEach(([itemType, { book }]) => {
+    Object.keys(priceBook[book]).forEach(key => {
+      if (!mapped.has(`${itemType}:${key}`)) {
+        keys.push({ itemType, key });
+      }
+    });
+  });
+
+  return keys;
+}
+
+// Current mappings, price book keys still using the catch-all Items, and the auto-create setting
+router.get('/', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const tokens = await db.getUserTokens(req.user.id);
+    const priceBook = await pricing.getPriceBook(req.user.id);
+    const mappings = await db.getQuickBooksItemMappings(req.user.id);
+
+    res.json({
+      success: true,
+      autoCreate: tokens?.auto_create_items || false,
+      mappings: mappings,
+      unmapped: unmappedKeys(priceBook, mappings),
+      defaults: quickbooksItems.DEFAULT_ITEM_REFS
+    });
+
+  } catch (error) {
+    console.error('List item mappings error:', error);
+    res.status(500).json({
+      error: 'Failed to list item mappings',
+      details: error.message
+    });
+  }
+});
+
+// Items in the connected QuickBooks company, to choose from
+router.get('/quickbooks', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const tokens = await getConnectedTokens(req, res);
+    if (!tokens) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      items: await quickbooksItems.listQuickBooksItems(tokens)
+    });
+
+  } catch (error) {
+    console.error('List QuickBooks items error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to list QuickBooks items',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Turn automatic Item creation for unmapped keys on or off - body { autoCreate: true }
+router.put('/settings', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    if (typeof req.body.autoCreate !== 'boolean') {
+      return res.status(400).json({ error: 'autoCreate must be true or false' });
+    }
+
+    const updated = await db.setAutoCreateItems(req.user.id, req.body.autoCreate);
+    if (!updated) {
+      return res.status(401).json({ error: 'QuickBooks not connected for this account' });
+    }
+
+    res.json({
+      success: true,
+      autoCreate: updated.auto_create_items
+    });
+
+  } catch (error) {
+    console.error('Save item settings error:', error);
+    res.status(500).json({
+      error: 'Failed to save item settings',
+      details: error.message
+    });
+  }
+});
+
+// Create (or reuse by name) Items for every unmapped price book key
+router.post('/sync', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const tokens = await getConnectedTokens(req, res);
+    if (!tokens) {
+      return;
+    }
+
+    const priceBook = await pricing.getPriceBook(req.user.id);
+    const mappings = await db.getQuickBooksItemMappings(req.user.id);
+    const created = await quickbooksItems.createItemMappings(tokens, req.user.id, unmappedKeys(priceBook, mappings));
+
+    res.json({
+      success: true,
+      created: created
+    });
+
+  } catch (error) {
+    console.error('Sync items error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to sync items',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Map a price book key to an existing Item - body { quickbooksItemId }
+router.put('/:type/:key', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    if (!Object.hasOwn(quickbooksItems.ITEM_TYPES, req.params.type)) {
+      return res.status(404).json({ error: 'Item type must be service or material' });
+    }
+    const itemType = quickbooksItems.ITEM_TYPES[req.params.type];
+
+    const priceBook = await pricing.getPriceBook(req.user.id);
+    if (!Object.hasOwn(priceBook[itemType.book], req.params.key)) {
+      return res.status(404).json({ error: `${req.params.key} is not in your price book` });
+    }
+
+    if (!req.body.quickbooksItemId) {
+      return res.status(400).json({ error: 'quickbooksItemId is required' });
+    }
+
+    const tokens = await getConnectedTokens(req, res);
+    if (!tokens) {
+      return;
+    }
+
+    const item = await quickbooksItems.getQuickBooksItem(tokens, req.body.quickbooksItemId);
+    const mapping = await db.saveQuickBooksItemMapping(req.user.id, req.params.type, req.params.key, item.Id, item.Name);
+
+    res.json({
+      success: true,
+      mapping: mapping
+    });
+
+  } catch (error) {
+    console.error('Save item mapping error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to save item mapping',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Go back to the catch-all Item for a key
+router.delete('/:type/:key', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const deleted = await db.deleteQuickBooksItemMapping(req.user.id, req.params.type, req.params.key);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Item mapping not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete item mapping error:', error);
+    res.status(500).json({
+      error: 'Failed to delete item mapping',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing email goes through a transport - an async function taking
+// { from, to, subject, text }. MAIL_TRANSPORT picks a built-in one:
+//   console - print the message to the log (the default, for local development)
+//   file    - write each message to a .txt file in MAIL_DIR (default ./mail)
+// A real provider is plugged in at startup with setTransport().
+
+function consoleTransport(message) {
+  console.log(`\n--- Email to ${message.to} ---\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}\n--- End of email ---\n`);
+}
+
+function fileTransport(message) {
+  const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.txt`;
+  fs.writeFileSync(
+    path.join(dir, name),
+    `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+  );
+}
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let customTransport = null;
+
+function setTransport(transport) {
+  customTransport = transport;
+}
+
+function getTransport() {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT ${name} - use ${Object.keys(TRANSPORTS).join(' or ')}, or setTransport()`);
+  }
+  return TRANSPORTS[name];
+}
+
+// Where links in emails point
+function appUrl(req) {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'LandscapingAI <no-reply@landscaping-ai.app>';
+  await getTransport()({ from, to, subject, text });
+}
+
+module.exports = {
+  appUrl,
+  sendMail,
+  setTransport
+};
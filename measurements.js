@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const units = require('./units');
+
+// Shapes crews can enter on site and the dimensions each one needs (all in feet)
+const SHAPES = {
+  rectangle: 'length and width',
+  circle: 'radius or diameter',
+  triangle: 'base and height, or three sides a, b and c',
+  polygon: 'points - at least 3 [x, y] vertices in order around the edge',
+  linear: 'length, or points along the run'
+};
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Accept [x, y] pairs or { x, y } objects
+function toPoints(points) {
+  if (!Array.isArray(points)) {
+    return null;
+  }
+
+  const converted = points.map(point => Array.isArray(point)
+    ? { x: Number(point[0]), y: Number(point[1]) }
+    : { x: Number(point?.x), y: Number(point?.y) });
+
+  return converted.every(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+    ? converted
+    : null;
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function pathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distance(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+// Work out area and edge length for one shape. Returns { area, linearFeet } or { error }.
+// For area shapes linearFeet is the perimeter, so e.g. a fence around a lawn can reuse it.
+function measureShape(entry) {
+  switch (entry.shape) {
+    case 'rectangle': {
+      const { length, width } = entry;
+      if (!isPositiveNumber(length) || !isPositiveNumber(width)) {
+        return { error: 'rectangle needs a positive length and width' };
+      }
+      return { area: length * width, linearFeet: 2 * (length + width) };
+    }
+
+    case 'circle': {
+      const radius = entry.radius !== undefined ? entry.radius : entry.diameter / 2;
+      if (!isPositiveNumber(radius)) {
+        return { error: 'circle needs a positive radius or diameter' };
+      }
+      return { area: Math.PI * radius * radius, linearFeet: 2 * Math.PI * radius };
+    }
+
+    case 'triangle': {
+      const { base, height, a, b, c } = entry;
+
+      if (base !== undefined || height !== undefined) {
+        if (!isPositiveNumber(base) || !isPositiveNumber(height)) {
+          return { error: 'triangle needs a positive base and height' };
+        }
+        // Perimeter is unknown from base and height alone
+        return { area: (base * height) / 2, linearFeet: null };
+      }
+
+      if (![a, b, c].every(isPositiveNumber)) {
+        return { error: 'triangle needs a base and height, or three sides a, b and c' };
+      }
+
+      // Heron's formula
+      const s = (a + b + c) / 2;
+      const areaSquared = s * (s - a) * (s - b) * (s - c);
+      if (areaSquared <= 0) {
+        return { error: 'triangle sides a, b and c do not form a triangle' };
+      }
+      return { area: Math.sqrt(areaSquared), linearFeet: a + b + c };
+    }
+
+    case 'polygon': {
+      const points = toPoints(entry.points);
+      if (!points || points.length < 3) {
+        return { error: 'polygon needs at least 3 points as [x, y] pairs' };
+      }
+
+      // Shoelace formula - works for either winding direction
+      let twiceArea = 0;
+      points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        twiceArea += point.x * next.y - next.x * point.y;
+      });
+
+      const area = Math.abs(twiceArea) / 2;
+      if (area === 0) {
+        return { error: 'polygon points do not enclose any area' };
+      }
+      return { area: area, linearFeet: pathLength([...points, points[0]]) };
+    }
+
+    case 'linear': {
+      if (entry.points !== undefined) {
+        const points = toPoints(entry.points);
+        if (!points || points.length < 2) {
+          return { error: 'linear run needs at least 2 points as [x, y] pairs' };
+        }
+        return { area: null, linearFeet: pathLength(points) };
+      }
+
+      if (!isPositiveNumber(entry.length)) {
+        return { error: 'linear run needs a positive length or a list of points' };
+      }
+      return { area: null, linearFeet: entry.length };
+    }
+
+    default:
+      return { error: `shape must be one of: ${Object.keys(SHAPES).join(', ')}` };
+  }
+}
+
+// Validate and measure a list of site measurements. Each entry names the service (and
+// optionally the material) it measures, e.g.
+//   { label: 'Front lawn', service: 'sod_installation', material: 'sod', shape: 'rectangle', length: 40, width: 25 }
+// Entries with `subtract: true` are cut-outs (a patio inside a lawn) and reduce the area.
+// Returns { areas, totals } or { error }.
+function summarizeMeasurements(entries) {
+  if (!Array.isArray(entries)) {
+    return { error: 'measurements must be a list' };
+  }
+
+  const areas = [];
+  const totals = { services: {}, materials: {} };
+
+  for (const [index, entry] of entries.entries()) {
+    const name = entry?.label || `measurement ${index + 1}`;
+
+    if (!entry || typeof entry.service !== 'string' || !entry.service) {
+      return { error: `${name}: service is required` };
+    }
+
+    if (entry.material != null && (typeof entry.material !== 'string' || !entry.material)) {
+      return { error: `${name}: material must be a material key` };
+    }
+
+    const { area, linearFeet, error } = measureShape(entry);
+    if (error) {
+      return { error: `${name}: ${error}` };
+    }
+
+    // Keep the entered dimensions alongside the results so saved measurements can be re-applied
+    const sign = entry.subtract ? -1 : 1;
+    const measured = {
+      ...entry,
+      label: entry.label || null,
+      material: entry.material || null,
+      subtract: !!entry.subtract,
+      area: area === null ? null : round(area),
+      linearFeet: linearFeet === null ? null : round(linearFeet)
+    };
+    areas.push(measured);
+
+    for (const [group, key] of [['services', measured.service], ['materials', measured.material]]) {
+      if (!key) continue;
+
+      const total = totals[group][key] || (totals[group][key] = { area: 0, linearFeet: 0 });
+      total.area = round(total.area + sign * (measured.area || 0));
+      // A cut-out removes area but its edge doesn't shorten the surrounding perimeter
+      if (!measured.subtract) {
+        total.linearFeet = round(total.linearFeet + (measured.linearFeet || 0));
+      }
+    }
+  }
+
+  return { areas, totals };
+}
+
+// Measurements arrive as a list in JSON bodies, or as a JSON string in multipart uploads.
+// Returns { measurements } (an empty list when none were sent) or { error }.
+function parseMeasurementInput(input) {
+  if (input === undefined || input === null || input === '') {
+    return { measurements: [] };
+  }
+
+  let measurements = input;
+  if (typeof input === 'string') {
+    try {
+      measurements = JSON.parse(input);
+    } catch (error) {
+      return { error: 'measurements must be valid JSON' };
+    }
+  }
+
+  const { error } = summarizeMeasurements(measurements);
+  return error ? { error } : { measurements };
+}
+
+// Quantity a measured total gives for a line priced per `unit`, or null if the
+// measurement can't price that unit (hours, each, ...). Bulk materials priced by the
+// cubic yard or ton are converted from the measured area using the pricing settings.
+function quantityForUnit(key, total, unit, settings) {
+  if (unit === 'sq ft') {
+    return total.area > 0 ? total.area : null;
+  }
+  if (unit === 'linear ft') {
+    return total.linearFeet > 0 ? total.linearFeet : null;
+  }
+
+  const bulk = units.bulkQuantity(key, unit, total.area, settings);
+  return bulk ? bulk.quantity : null;
+}
+
+// Replace guessed quantities with measured ones. Each measured key ends up on a single
+// line; keys the AI missed are added from the price book unless `addMissing` is false.
+// Service hours are scaled with the quantity. Returns the list of notes describing what changed.
+function applyMeasurements(estimateData, summary, priceBook, settings = {}, { addMissing = true } = {}) {
+  const notes = [];
+
+  const lineTypes = [
+    { group: 'services', listField: 'serviceItems', keyField: 'service', priceField: 'rate' },
+    { group: 'materials', listField: 'materialItems', keyField: 'material', priceField: 'cost' }
+  ];
+
+  for (const { group, listField, keyField, priceField } of lineTypes) {
+    // Lines measured in an earlier revision are re-flagged below if still measured
+    let items = (estimateData[listField] || []).map(({ measured, ...item }) => item);
+
+    for (const [key, total] of Object.entries(summary.totals[group])) {
+      const bookEntry = priceBook[group][key];
+      const existing = items.find(item => item[keyField] === key);
+      const unit = existing?.unit || bookEntry?.unit;
+      const quantity = quantityForUnit(key, total, unit, settings);
+
+      if (quantity === null) {
+        notes.push(`Measurements for ${key} were not applied - it is priced per ${unit || 'unknown unit'}`);
+        continue;
+      }
+
+      if (existing) {
+        const updated = { ...existing, quantity: quantity, measured: true };
+        if (keyField === 'service' && existing.quantity > 0) {
+          updated.hours = round((existing.hours || 0) * quantity / existing.quantity);
+        }
+
+        items = items
+          .filter(item => item[keyField] !== key || item === existing)
+          .map(item => item === existing ? updated : item);
+        notes.push(`${existing.description}: ${quantity} ${unit} from site measurements`);
+      } else if (!addMissing) {
+        continue;
+      } else if (bookEntry) {
+        const added = {
+          [keyField]: key,
+          description: bookEntry.description || key,
+          quantity: quantity,
+          unit: bookEntry.unit,
+          [priceField]: bookEntry[priceField],
+          measured: true
+        };
+        if (keyField === 'service') {
+          added.hours = 0;
+          added.notes = 'Added from site measurements';
+        }
+
+        items.push(added);
+        notes.push(`${added.description}: ${quantity} ${unit} added from site measurements`);
+      } else {
+        notes.push(`Measurements for ${key} were not applied - it is not in your price book`);
+      }
+    }
+
+    estimateData[listField] = items;
+  }
+
+  estimateData.measurements = summary.areas;
+  return notes;
+}
+
+// Preview measured areas before recording or applying them
+router.post('/calculate', (req, res) => {
+  const result = summarizeMeasurements(req.body.measurements);
+
+  if (result.error) {
+    return res.status(400).json({ error: result.error, shapes: SHAPES });
+  }
+
+  res.json({
+    success: true,
+    measurements: result.areas,
+    totals: result.totals
+  });
+});
+
+router.get('/shapes', (req, res) => {
+  res.json({ shapes: SHAPES });
+});
+
+module.exports = router;
+module.exports.SHAPES = SHAPES;
+module.exports.measureShape = measureShape;
+module.exports.summarizeMeasurements = summarizeMeasurements;
+module.exports.parseMeasurementInput = parseMeasurementInput;
+module.exports.applyMeasurements = applyMeasurements;
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const db = require('./database');
+
+const ROLES = ['owner', 'office', 'estimator', 'crew'];
+
+function getSessionToken(req) {
+  const authHeader = req.headers.authorization;
+  return authHeader?.replace('Bearer ', '') || req.query.session_token;
+}
+
+// A login can be a member of a contractor's organization. The organization's data belongs
+// to its owner's account, so routes scope everything by req.user - the account - and find
+// the signed-in person and their role in req.member. Logins outside an organization are the
+// owner of their own account. Returns null if the organization's account is gone.
+async function resolveAccount(user) {
+  const membership = await db.getMembership(user.id);
+  if (!membership || membership.owner_user_id === String(user.id)) {
+    return {
+      account: user,
+      member: { user, role: 'owner', organizationId: membership?.organization_id || null }
+    };
+  }
+
+  const account = await db.getUserById(membership.owner_user_id);
+  if (!account) {
+    return null;
+  }
+
+  return {
+    account: account,
+    member: { user, role: membership.role, organizationId: membership.organization_id }
+  };
+}
+
+// Express 4 doesn't catch rejected middleware promises, so a database error while looking
+// up the caller has to be answered here or the request hangs
+function authenticationFailed(res, error) {
+  console.error('Authentication error:', error);
+  res.status(500).json({
+    error: 'Failed to authenticate',
+    details: error.message
+  });
+}
+
+// Middleware to authenticate user from session token
+async function authenticateUser(req, res, next) {
+  const sessionToken = getSessionToken(req);
+
+  if (!sessionToken) {
+    return res.status(401).json({ error: 'No session token provided' });
+  }
+
+  let resolved;
+  try {
+    const user = await db.getUserBySessionToken(sessionToken);
+    resolved = user && await resolveAccount(user);
+  } catch (error) {
+    return authenticationFailed(res, error);
+  }
+
+  if (!resolved) {
+    return res.status(401).json({ error: 'Invalid or expired session' });
+  }
+
+  req.user = resolved.account;
+  req.member = resolved.member;
+  next();
+}
+
+// Use after authenticateUser or authenticateContractor - e.g. requireRole('owner', 'office')
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.member || !roles.includes(req.member.role)) {
+      return res.status(403).json({
+        error: `This requires one of these roles: ${roles.join(', ')}`,
+        role: req.member?.role || null
+      });
+    }
+    next();
+  };
+}
+
+// Attach the user when a valid session token is sent, but allow anonymous requests
+async function optionalUser(req, res, next) {
+  const sessionToken = getSessionToken(req);
+
+  if (sessionToken) {
+    try {
+      const user = await db.getUserBySessionToken(sessionToken);
+      const resolved = user && await resolveAccount(user);
+      req.user = resolved?.account || null;
+      req.member = resolved?.member || null;
+    } catch (error) {
+      return authenticationFailed(res, error);
+    }
+  }
+
+  next();
+}
+
+// API keys are stored hashed, like a password, but need to be looked up directly
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Webhooks and recordings belong to a contractor - identified by a session token, or by
+// the contractor's API key in x-api-key for server-to-server integrations
+async function authenticateContractor(req, res, next) {
+  const sessionToken = getSessionToken(req);
+  const apiKey = req.headers['x-api-key'];
+
+  if (!sessionToken && !apiKey) {
+    return res.status(401).json({ error: 'A session token or API key is required' });
+  }
+
+  let resolved;
+  try {
+    const user = sessionToken
+      ? await db.getUserBySessionToken(sessionToken)
+      : await db.getUserByApiKeyHash(hashApiKey(apiKey));
+    resolved = user && await resolveAccount(user);
+  } catch (error) {
+    return authenticationFailed(res, error);
+  }
+
+  if (!resolved) {
+    return res.status(401).json({ error: sessionToken ? 'Invalid or expired session' : 'Invalid API key' });
+  }
+
+  req.user = resolved.account;
+  req.member = resolved.member;
+  next();
+}
+
+module.exports = {
+  ROLES,
+  getSessionToken,
+  resolveAccount,
+  authenticateUser,
+  optionalUser,
+  authenticateContractor,
+  requireRole,
+  hashApiKey
+};
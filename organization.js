@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const db = require('./database');
+const mailer = require('./mailer');
+const { authenticateUser, requireRole, ROLES } = require('./middleware');
+const { hashToken } = require('./auth');
+
+// The team working on a contractor's account. The owner invites people by email with a
+// role; members sign in with their own logins and work on the owner's estimates.
+//   owner     - everything, including the team and API keys
+//   office    - prices, QuickBooks, invoices and payments
+//   estimator - estimates, with prices visible but not editable
+//   crew      - records conversations as draft estimates, without seeing prices
+
+const INVITATION_TTL = 7 * 24 * 60 * 60; // 7 days
+
+// The owner's role comes with the account and can't be given out
+const INVITABLE_ROLES = ROLES.filter(role => role !== 'owner');
+
+function validateRole(role) {
+  if (!INVITABLE_ROLES.includes(role)) {
+    return `role must be one of: ${INVITABLE_ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+// The signed-in person's organization and role
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      organization: {
+        id: req.member.organizationId,
+        name: req.user.business_name,
+        role: req.member.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      error: 'Failed to get organization',
+      details: error.message
+    });
+  }
+});
+
+router.get('/members', authenticateUser, requireRole('owner', 'office'), async (req, res) => {
+  try {
+    // An account nobody has been invited to yet is a team of one
+    const members = req.member.organizationId
+      ? await db.getOrganizationMembers(req.member.organizationId)
+      : [{ user_id: String(req.user.id), role: 'owner', email: req.user.email, owner_name: req.user.owner_name || null }];
+
+    res.json({
+      success: true,
+      members: members.map(member => ({
+        userId: member.user_id,
+        email: member.email,
+        name: member.owner_name,
+        role: member.role,
+        joinedAt: member.created_at || null
+      }))
+    });
+
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({
+      error: 'Failed to list members',
+      details: error.message
+    });
+  }
+});
+
+router.put('/members/:userId', authenticateUser, requireRole('owner'), async (req, res) => {
+  try {
+    const roleError = validateRole(req.body.role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    const member = req.member.organizationId
+      && await db.updateMemberRole(req.member.organizationId, req.params.userId, req.body.role);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({
+      success: true,
+      member: { userId: member.user_id, role: member.role }
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      error: 'Failed to update member',
+      details: error.message
+    });
+  }
+});
+
+// Remove someone from the team and sign them out
+router.delete('/members/:userId', authenticateUser, requireRole('owner'), async (req, res) => {
+  try {
+    const member = req.member.organizationId
+      && await db.removeMember(req.member.organizationId, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await db.deleteOtherSessions(member.user_id, null);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      error: 'Failed to remove member',
+      details: error.message
+    });
+  }
+});
+
+router.get('/invitations', authenticateUser, requireRole('owner', 'office'), async (req, res) => {
+  try {
+    const invitations = req.member.organizationId
+      ? await db.getPendingInvitations(req.member.organizationId)
+      : [];
+
+    res.json({
+      success: true,
+      invitations: invitations
+    });
+
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      error: 'Failed to list invitations',
+      details: error.message
+    });
+  }
+});
+
+// Email an invitation. The link opens the app, which accepts it at /api/auth/accept-invitation.
+router.post('/invitations', authenticateUser, requireRole('owner'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    const existing = await db.getUserByEmail(email);
+    if (existing && await db.getMembership(existing.id)) {
+      return res.status(409).json({ error: 'That email already belongs to a team' });
+    }
+
+    const organization = await db.getOrCreateOrganization(req.user.id, req.user.business_name);
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await db.createInvitation(organization.id, email, role, hashToken(token), req.member.user.id, INVITATION_TTL);
+
+    await mailer.sendMail({
+      to: email,
+      subject: `You're invited to join ${req.user.business_name || 'a team'} on LandscapingAI`,
+      text: `${req.member.user.email} invited you to join ${req.user.business_name || 'their team'} as ${role}. Accept here:\n\n${mailer.appUrl(req)}/?invitation=${token}\n\nThe invitation expires in 7 days.`
+    });
+
+    res.status(201).json({
+      success: true,
+      invitation: invitation
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to create invitation',
+      details: error.message
+    });
+  }
+});
+
+router.delete('/invitations/:id', authenticateUser, requireRole('owner'), async (req, res) => {
+  try {
+    const deleted = req.member.organizationId && /^\d+$/.test(req.params.id)
+      && await db.deleteInvitation(req.member.organizationId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to delete invitation',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { authenticateUser, requireRole } = require('./middleware');
+const quickbooks = require('./quickbooks-multi-tenant');
+const quickbooksTransactions = require('./quickbooks-transactions');
+
+// Payment status is financial - owners and office only
+const canViewFinancials = requireRole('owner', 'office');
+
+// Payments recorded in QuickBooks within this window are re-read on every sync, which
+// also picks up edits to recent payments
+const PAYMENT_LOOKBACK_DAYS = 90;
+const PAYMENT_SYNC_INTERVAL = 60 * 60 * 1000; // hourly
+
+const INVOICE_STATUSES = ['open', 'partial', 'paid', 'overdue', 'void'];
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function fetchQuickBooksPayments(tokens, since) {
+  return await quickbooksTransactions.queryAllTransactions(tokens, 'Payment', { from: since });
+}
+
+// A Payment has a line per invoice it was applied to
+function paymentApplications(payment) {
+  const applications = [];
+
+  (payment.Line || []).forEach(line => {
+    (line.LinkedTxn || [])
+      .filter(txn => txn.TxnType === 'Invoice')
+      .forEach(txn => {
+        applications.push({ invoiceId: txn.TxnId, amount: line.Amount });
+      });
+  });
+
+  return applications;
+}
+
+// Save a QuickBooks Payment's applications to invoices we know about. Returns how many
+// were saved.
+async function storePayment(userId, payment, ourInvoiceIds) {
+  let saved = 0;
+
+  for (const application of paymentApplications(payment)) {
+    if (!ourInvoiceIds.has(application.invoiceId)) {
+      continue;
+    }
+
+    await db.savePayment(
+      userId,
+      application.invoiceId,
+      payment.Id,
+      application.amount,
+      payment.TxnDate,
+      payment.PaymentMethodRef?.name || null
+    );
+    saved++;
+  }
+
+  return saved;
+}
+
+async function getOurInvoiceIds(userId) {
+  const invoices = await db.getUserInvoices(userId);
+  return new Set(invoices.map(invoice => invoice.quickbooks_invoice_id).filter(Boolean));
+}
+
+// Pull the user's recent QuickBooks payments, store the ones applied to our invoices and
+// update invoice payment status. Returns a summary, or null if QuickBooks isn't connected.
+async function syncUserPayments(userId) {
+  const tokens = await quickbooks.getValidUserTokens(userId);
+  if (!tokens) {
+    return null;
+  }
+
+  const since = new Date(Date.now() - PAYMENT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const payments = await fetchQuickBooksPayments(tokens, since);
+
+  const ourInvoiceIds = await getOurInvoiceIds(userId);
+
+  let saved = 0;
+  for (const payment of payments) {
+    saved += await storePayment(userId, payment, ourInvoiceIds);
+  }
+
+  const statusChanges = await db.refreshInvoicePaymentStatus(userId);
+
+  return {
+    paymentsChecked: payments.length,
+    paymentsSaved: saved,
+    statusChanges: statusChanges
+  };
+}
+
+// Background job - one user's failure doesn't stop the others
+async function syncAllPayments() {
+  const userIds = await db.getConnectedUserIds();
+
+  for (const userId of userIds) {
+    try {
+      const result = await syncUserPayments(userId);
+      if (result && (result.paymentsSaved > 0 || result.statusChanges.length > 0)) {
+        console.log(`Payment sync for user ${userId}: ${result.paymentsSaved} payments, ${result.statusChanges.length} invoice status changes`);
+      }
+    } catch (error) {
+      console.error(`Payment sync failed for user ${userId}:`, error.response?.data || error.message);
+    }
+  }
+}
+
+// Payments received - filter by ?invoice_id= (our invoice id), ?from=YYYY-MM-DD, ?to=YYYY-MM-DD
+router.get('/', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const payments = await db.getUserPayments(req.user.id, {
+      invoiceId: req.query.invoice_id,
+      from: req.query.from,
+      to: req.query.to
+    });
+    const invoices = await db.getUserInvoices(req.user.id);
+
+    const outstanding = invoices.filter(invoice => !['paid', 'void'].includes(invoice.status) && invoice.invoice_data?.TotalAmt !== undefined);
+    const balanceOf = invoice => invoice.invoice_data.TotalAmt - parseFloat(invoice.amount_paid);
+
+    res.json({
+      success: true,
+      payments: payments,
+      summary: {
+        received: roundCents(payments.reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0)),
+        outstanding: roundCents(outstanding.reduce((sum, invoice) => sum + balanceOf(invoice), 0)),
+        overdue: roundCents(outstanding
+          .filter(invoice => invoice.status === 'overdue')
+          .reduce((sum, invoice) => sum + balanceOf(invoice), 0)),
+        invoicesByStatus: invoices.reduce((counts, invoice) => {
+          counts[invoice.status] = (counts[invoice.status] || 0) + 1;
+          return counts;
+        }, {})
+      }
+    });
+
+  } catch (error) {
+    console.error('List payments error:', error);
+    res.status(500).json({
+      error: 'Failed to list payments',
+      details: error.message
+    });
+  }
+});
+
+// Sync now instead of waiting for the hourly job
+router.post('/sync', authenticateUser, canViewFinancials, async (req, res) => {
+  try {
+    const result = await syncUserPayments(req.user.id);
+    if (!result) {
+      return res.status(401).json({ error: 'QuickBooks not connected for this account' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Sync payments error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to sync payments',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Sync payments every hour
+setInterval(syncAllPayments, PAYMENT_SYNC_INTERVAL);
+
+module.exports = router;
+module.exports.syncUserPayments = syncUserPayments;
+module.exports.syncAllPayments = syncAllPayments;
+module.exports.storePayment = storePayment;
+module.exports.getOurInvoiceIds = getOurInvoiceIds;
+module.exports.INVOICE_STATUSES = INVOICE_STATUSES;
@@ -0,0 +1,345 @@
+const PDFDocument = require('pdfkit');
+
+// Printable estimates and invoices. Each builder writes a PDF into `output` (usually the
+// Express response) and ends it; callers set the download headers.
+
+// Sent estimates expire after 30 days, matching the QuickBooks ExpirationDate
+const ESTIMATE_VALID_DAYS = 30;
+
+const PAGE_MARGIN = 50;
+const ACCENT_COLOR = '#4CAF50';
+const HEADER_COLOR = '#666666';
+
+function money(value) {
+  return `$${Number(value || 0).toFixed(2)}`;
+}
+
+// QuickBooks dates are plain YYYY-MM-DD, which Date reads as UTC midnight
+function formatDate(date) {
+  const dateOnly = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    ...(dateOnly ? { timeZone: 'UTC' } : {})
+  });
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function contentWidth(doc) {
+  return doc.page.width - PAGE_MARGIN * 2;
+}
+
+// Start a new page when fewer than `needed` points are left
+function ensureSpace(doc, needed) {
+  if (doc.y + needed > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawHeader(doc, business, title, details) {
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('black')
+    .text(business?.business_name || 'Landscaping Services', PAGE_MARGIN, top, { width: 300 });
+
+  doc.font('Helvetica').fontSize(10).fillColor('#333333');
+  if (business) {
+    const cityLine = [business.city, business.state].filter(Boolean).join(', ') + (business.zip ? ` ${business.zip}` : '');
+    [business.owner_name, business.address, cityLine.trim(), business.phone, business.email]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, { width: 300 }));
+  }
+  const businessBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(ACCENT_COLOR)
+    .text(title, PAGE_MARGIN, top, { width: contentWidth(doc), align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+  details.forEach(line => doc.text(line, { width: contentWidth(doc), align: 'right' }));
+
+  doc.y = Math.max(doc.y, businessBottom) + 15;
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).strokeColor(ACCENT_COLOR).stroke();
+  doc.moveDown();
+}
+
+function drawCustomer(doc, label, customer) {
+  const lines = [customer.name, customer.email, customer.phone].filter(Boolean);
+  if (lines.length === 0) {
+    return;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('black').text(label, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(10);
+  lines.forEach(line => doc.text(line));
+  doc.moveDown();
+}
+
+function drawSectionTitle(doc, title) {
+  ensureSpace(doc, 60);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(HEADER_COLOR).text(title, PAGE_MARGIN);
+  doc.moveDown(0.3);
+}
+
+// Columns are { label, width (fraction of the page), align }; rows are arrays of strings
+function drawTable(doc, columns, rows) {
+  const width = contentWidth(doc);
+  const widths = columns.map(column => column.width * width);
+
+  const drawRow = (cells, options = {}) => {
+    const heights = cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - 8 }));
+    const rowHeight = Math.max(...heights) + 8;
+    ensureSpace(doc, rowHeight);
+
+    const y = doc.y;
+    if (options.header) {
+      doc.rect(PAGE_MARGIN, y, width, rowHeight).fill(HEADER_COLOR);
+    }
+
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, i) => {
+      doc.fillColor(options.header ? 'white' : 'black')
+        .text(String(cell), x + 4, y + 4, { width: widths[i] - 8, align: columns[i].align || 'left' });
+      x += widths[i];
+    });
+
+    doc.y = y + rowHeight;
+    if (!options.header) {
+      doc.moveTo(PAGE_MARGIN, doc.y).lineTo(PAGE_MARGIN + width, doc.y).strokeColor('#dddddd').stroke();
+    }
+  };
+
+  doc.font('Helvetica-Bold').fontSize(10);
+  drawRow(columns.map(column => column.label), { header: true });
+
+  doc.font('Helvetica').fontSize(10);
+  rows.forEach(row => drawRow(row));
+
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+}
+
+function drawTotals(doc, rows, totalLabel, total) {
+  const labelX = doc.page.width - PAGE_MARGIN - 250;
+  ensureSpace(doc, (rows.length + 2) * 16);
+
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.text(label, labelX, y, { width: 150 });
+    doc.text(money(value), labelX + 150, y, { width: 100, align: 'right' });
+  });
+
+  doc.moveDown(0.3);
+  doc.moveTo(labelX, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).strokeColor(ACCENT_COLOR).stroke();
+  doc.moveDown(0.3);
+
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(12);
+  doc.text(totalLabel, labelX, y, { width: 150 });
+  doc.text(money(total), labelX + 150, y, { width: 100, align: 'right' });
+
+  doc.font('Helvetica').fontSize(10);
+  doc.x = PAGE_MARGIN;
+  doc.moveDown(1.5);
+}
+
+function drawBulletList(doc, title, items) {
+  if (!items || items.length === 0) {
+    return;
+  }
+
+  drawSectionTitle(doc, title);
+  doc.font('Helvetica').fontSize(10).fillColor('black');
+  doc.list(items.map(String), PAGE_MARGIN + 10, doc.y, { bulletRadius: 2, width: contentWidth(doc) - 10 });
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+}
+
+// Service and material tables plus totals for estimate-shaped data. Material markup is
+// spread across the material lines so the customer copy adds up without a markup row.
+function drawLineItems(doc, data) {
+  const pricing = data.pricing || {};
+  const serviceItems = data.serviceItems || [];
+  const materialItems = data.materialItems || [];
+
+  if (serviceItems.length > 0) {
+    drawSectionTitle(doc, 'Labor & Services');
+    drawTable(doc, [
+      { label: 'Service', width: 0.42 },
+      { label: 'Qty', width: 0.12, align: 'right' },
+      { label: 'Unit', width: 0.14 },
+      { label: 'Rate', width: 0.14, align: 'right' },
+      { label: 'Amount', width: 0.18, align: 'right' }
+    ], serviceItems.map(item => [
+      item.description,
+      item.quantity,
+      item.unit,
+      money(item.rate),
+      money(item.subtotal)
+    ]));
+  }
+
+  if (materialItems.length > 0) {
+    const markupRatio = pricing.materialSubtotal > 0
+      ? (pricing.materialSubtotal + (pricing.materialMarkup || 0)) / pricing.materialSubtotal
+      : 1;
+
+    drawSectionTitle(doc, 'Materials');
+    drawTable(doc, [
+      { label: 'Material', width: 0.56 },
+      { label: 'Qty', width: 0.12, align: 'right' },
+      { label: 'Unit', width: 0.14 },
+      { label: 'Amount', width: 0.18, align: 'right' }
+    ], materialItems.map(item => [
+      item.description,
+      item.quantity,
+      item.unit,
+      money(item.subtotal * markupRatio)
+    ]));
+  }
+
+  const rows = [
+    ['Labor', pricing.laborSubtotal],
+    ['Materials', (pricing.materialSubtotal || 0) + (pricing.materialMarkup || 0)],
+    ['Tax', pricing.tax]
+  ];
+  if (pricing.roundingAdjustment) {
+    rows.push(['Rounding', pricing.roundingAdjustment]);
+  }
+
+  return rows;
+}
+
+// Draw the whole document before piping it, so an error while drawing reaches the route
+// before anything has been sent (pdfkit buffers the output until it's piped)
+function renderPdf(output, draw) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN });
+  draw(doc);
+  doc.end();
+  doc.pipe(output);
+}
+
+function buildEstimatePdf(estimate, business, output) {
+  renderPdf(output, doc => drawEstimate(doc, estimate, business));
+}
+
+function drawEstimate(doc, estimate, business) {
+  const data = estimate.estimate_data || {};
+  const projectInfo = data.projectInfo || {};
+  const issued = estimate.sent_at || estimate.created_at;
+
+  drawHeader(doc, business, 'ESTIMATE', [
+    `Estimate #${estimate.id}`,
+    `Date: ${formatDate(issued)}`,
+    `Valid until: ${formatDate(addDays(issued, ESTIMATE_VALID_DAYS))}`
+  ]);
+
+  drawCustomer(doc, 'Prepared for', {
+    name: estimate.customer_name,
+    email: estimate.customer_email,
+    phone: estimate.customer_phone
+  });
+
+  if (projectInfo.summary) {
+    drawSectionTitle(doc, 'Project');
+    doc.font('Helvetica').fontSize(10).fillColor('black').text(projectInfo.summary, PAGE_MARGIN);
+    if (projectInfo.estimatedDuration) {
+      doc.text(`Estimated duration: ${projectInfo.estimatedDuration}`);
+    }
+    if (data.tiers && data.tiers[data.tier]) {
+      doc.text(`Option: ${data.tiers[data.tier].name}`);
+    }
+    doc.moveDown();
+  }
+
+  const totals = drawLineItems(doc, data);
+  drawTotals(doc, totals, 'Total Estimate', data.pricing?.total);
+
+  if (data.tiers) {
+    drawBulletList(doc, 'Other Options', Object.entries(data.tiers)
+      .filter(([tier]) => tier !== data.tier)
+      .map(([, option]) => `${option.name}: ${money(option.pricing?.total)}${option.description ? ` - ${option.description}` : ''}`));
+  }
+
+  drawBulletList(doc, 'Assumptions', data.metadata?.assumptions);
+
+  ensureSpace(doc, 40);
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555')
+    .text(`This estimate is valid until ${formatDate(addDays(issued, ESTIMATE_VALID_DAYS))}. Final pricing may change if site conditions differ from the assumptions above.`, PAGE_MARGIN);
+}
+
+// Invoices carry estimate-shaped data when created from an estimate, or a QuickBooks
+// Invoice (Line/TotalAmt) when imported from QuickBooks
+function buildInvoicePdf(invoice, business, output) {
+  renderPdf(output, doc => drawInvoice(doc, invoice, business));
+}
+
+function drawInvoice(doc, invoice, business) {
+  const data = invoice.invoice_data || {};
+  const details = [
+    `Invoice #${data.DocNumber || invoice.id}`,
+    `Date: ${formatDate(data.TxnDate || invoice.created_at)}`
+  ];
+  if (data.DueDate) {
+    details.push(`Due: ${formatDate(data.DueDate)}`);
+  }
+
+  drawHeader(doc, business, 'INVOICE', details);
+
+  drawCustomer(doc, 'Bill to', {
+    name: invoice.customer_name || data.CustomerRef?.name,
+    email: invoice.customer_email || data.BillEmail?.Address
+  });
+
+  if (Array.isArray(data.Line)) {
+    const lines = data.Line.filter(line => line.DetailType === 'SalesItemLineDetail');
+
+    drawSectionTitle(doc, 'Items');
+    drawTable(doc, [
+      { label: 'Description', width: 0.6 },
+      { label: 'Qty', width: 0.2, align: 'right' },
+      { label: 'Amount', width: 0.2, align: 'right' }
+    ], lines.map(line => [
+      line.Description || line.SalesItemLineDetail?.ItemRef?.name || '',
+      line.SalesItemLineDetail?.Qty ?? '',
+      money(line.Amount)
+    ]));
+
+    // Synced payments are more current than the Balance QuickBooks returned at creation
+    const balance = invoice.amount_paid !== undefined && data.TotalAmt !== undefined
+      ? data.TotalAmt - parseFloat(invoice.amount_paid)
+      : data.Balance;
+
+    const rows = [];
+    if (data.TxnTaxDetail?.TotalTax) {
+      rows.push(['Tax', data.TxnTaxDetail.TotalTax]);
+    }
+    if (balance !== undefined && balance !== data.TotalAmt) {
+      rows.push(['Paid', data.TotalAmt - balance]);
+    }
+    drawTotals(doc, rows, balance !== undefined ? 'Balance Due' : 'Total', balance ?? data.TotalAmt);
+  } else {
+    const totals = drawLineItems(doc, data);
+    drawTotals(doc, totals, 'Total Due', data.pricing?.total);
+  }
+
+  ensureSpace(doc, 40);
+  doc.font('Helvetica-Oblique').fontSize(9).fillColor('#555555')
+    .text(`Thank you for your business${business?.business_name ? ` - ${business.business_name}` : ''}.`, PAGE_MARGIN);
+}
+
+// Headers so browsers download the PDF with a sensible name
+function setPdfHeaders(res, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+}
+
+module.exports = {
+  ESTIMATE_VALID_DAYS,
+  buildEstimatePdf,
+  buildInvoicePdf,
+  setPdfHeaders
+};
@@ -0,0 +1,529 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { authenticateUser, requireRole } = require('./middleware');
+const units = require('./units');
+
+// Estimators price jobs from the price book; only owners and office change it
+const canViewPrices = requireRole('owner', 'office', 'estimator');
+const canChangePrices = requireRole('owner', 'office');
+
+// Default rates - copied into each contractor's price book the first time it is used
+const DEFAULT_SERVICES = {
+  'lawn_installation': { rate: 0.75, unit: 'sq ft', description: 'New lawn installation' },
+  'lawn_seeding': { rate: 0.35, unit: 'sq ft', description: 'Lawn seeding and prep' },
+  'sod_installation': { rate: 1.25, unit: 'sq ft', description: 'Sod installation' },
+  'paver_installation': { rate: 12, unit: 'sq ft', description: 'Paver installation with base prep' },
+  'concrete_patio': { rate: 8, unit: 'sq ft', description: 'Concrete patio installation' },
+  'mulch_installation': { rate: 0.85, unit: 'sq ft', description: 'Mulch installation' },
+  'flower_bed_prep': { rate: 2.50, unit: 'sq ft', description: 'Flower bed preparation' },
+  'retaining_wall': { rate: 25, unit: 'linear ft', description: 'Retaining wall installation' },
+  'fence_installation': { rate: 35, unit: 'linear ft', description: 'Fence installation' },
+  'deck_staining': { rate: 2.75, unit: 'sq ft', description: 'Deck cleaning and staining' },
+  'drainage_repair': { rate: 85, unit: 'hour', description: 'Drainage system repair' },
+  'sprinkler_repair': { rate: 75, unit: 'hour', description: 'Sprinkler system repair' },
+  'tree_removal': { rate: 125, unit: 'hour', description: 'Tree removal service' },
+  'bush_trimming': { rate: 65, unit: 'hour', description: 'Bush and shrub trimming' },
+  'general_cleanup': { rate: 55, unit: 'hour', description: 'General landscape cleanup' },
+  'weed_removal': { rate: 45, unit: 'hour', description: 'Weed removal and treatment' },
+  'design_consultation': { rate: 150, unit: 'project', description: 'Landscape design consultation' },
+  'soil_testing': { rate: 75, unit: 'project', description: 'Soil testing and analysis' },
+  'permit_assistance': { rate: 200, unit: 'project', description: 'Permit application assistance' }
+};
+
+const DEFAULT_MATERIALS = {
+  'sod': { cost: 0.45, unit: 'sq ft' },
+  'mulch': { cost: 0.35, unit: 'sq ft' },
+  'pavers': { cost: 4.50, unit: 'sq ft' },
+  'concrete': { cost: 3.25, unit: 'sq ft' },
+  'topsoil': { cost: 35, unit: 'cubic yard' },
+  'gravel': { cost: 25, unit: 'cubic yard' },
+  'sand': { cost: 20, unit: 'cubic yard' },
+  'stone': { cost: 45, unit: 'cubic yard' },
+  'lumber': { cost: 4.25, unit: 'linear ft' },
+  'plants': { cost: 25, unit: 'each' }
+};
+
+// Pricing rules applied when no business settings have been saved.
+// Markups are multipliers on material cost (1.25 = 25% markup).
+// Bulk materials are quantified from service areas - see units.js.
+const DEFAULT_PRICING_SETTINGS = {
+  taxRate: 0.08,
+  taxExemptServices: [],
+  materialMarkup: 1.25,
+  categoryMarkups: {},
+  roundToNearestDollar: false,
+  wasteFactor: units.DEFAULT_WASTE_FACTOR,
+  bulkMaterials: units.DEFAULT_BULK_MATERIALS
+};
+
+// Keys are shown to the AI estimator, so keep them simple snake_case identifiers
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+function formatService(row) {
+  return {
+    rate: parseFloat(row.rate),
+    unit: row.unit,
+    description: row.description
+  };
+}
+
+function formatMaterial(row) {
+  return {
+    cost: parseFloat(row.cost),
+    unit: row.unit,
+    description: row.description
+  };
+}
+
+// Load a contractor's price book, seeding it from the defaults on first use. A book the
+// contractor has emptied stays empty. Requests without a user (e.g. legacy webhooks) get
+// the defaults.
+async function getPriceBook(userId) {
+  if (!userId) {
+    return { services: DEFAULT_SERVICES, materials: DEFAULT_MATERIALS };
+  }
+
+  let serviceRows = await db.getPriceBookServices(userId);
+  let materialRows = await db.getPriceBookMaterials(userId);
+
+  if (serviceRows.length === 0 && materialRows.length === 0
+      && await db.seedPriceBook(userId, DEFAULT_SERVICES, DEFAULT_MATERIALS)) {
+    serviceRows = await db.getPriceBookServices(userId);
+    materialRows = await db.getPriceBookMaterials(userId);
+  }
+
+  const services = {};
+  serviceRows.forEach(row => {
+    services[row.service_key] = formatService(row);
+  });
+
+  const materials = {};
+  materialRows.forEach(row => {
+    materials[row.material_key] = formatMaterial(row);
+  });
+
+  return { services, materials };
+}
+
+async function getPricingSettings(userId) {
+  if (!userId) {
+    return { ...DEFAULT_PRICING_SETTINGS };
+  }
+
+  const saved = await db.getUserPricingSettings(userId);
+  return { ...DEFAULT_PRICING_SETTINGS, ...(saved || {}) };
+}
+
+function formatPercent(value) {
+  return `${parseFloat((value * 100).toFixed(4))}%`;
+}
+
+// Turn priced line items into estimate totals using the business pricing settings,
+// and report which rules were applied so the contractor can see how the total was built
+function calculatePricing(serviceItems, materialItems, settings = DEFAULT_PRICING_SETTINGS) {
+  const appliedRules = [];
+  const exemptServices = settings.taxExemptServices || [];
+  const categoryMarkups = settings.categoryMarkups || {};
+
+  let laborSubtotal = 0;
+  let exemptSubtotal = 0;
+  let totalHours = 0;
+
+  serviceItems.forEach(item => {
+    laborSubtotal += item.subtotal;
+    totalHours += item.hours || 0;
+
+    if (item.service && exemptServices.includes(item.service)) {
+      exemptSubtotal += item.subtotal;
+    }
+  });
+
+  let materialSubtotal = 0;
+  let markedUpMaterials = 0;
+  const markupsUsed = {};
+
+  materialItems.forEach(item => {
+    const hasCategoryMarkup = item.material && categoryMarkups[item.material] !== undefined;
+    const markup = hasCategoryMarkup ? categoryMarkups[item.material] : settings.materialMarkup;
+
+    materialSubtotal += item.subtotal;
+    markedUpMaterials += item.subtotal * markup;
+    markupsUsed[hasCategoryMarkup ? item.material : 'default'] = markup;
+  });
+
+  Object.entries(markupsUsed).forEach(([category, markup]) => {
+    const label = category === 'default' ? 'Material markup' : `${category} markup`;
+    appliedRules.push(`${label} ${formatPercent(markup - 1)}`);
+  });
+
+  const subtotal = laborSubtotal + markedUpMaterials;
+  const taxableSubtotal = subtotal - exemptSubtotal;
+  const tax = taxableSubtotal * settings.taxRate;
+
+  appliedRules.push(`Tax ${formatPercent(settings.taxRate)} on $${taxableSubtotal.toFixed(2)}`);
+  if (exemptSubtotal > 0) {
+    const exemptUsed = exemptServices.filter(key => serviceItems.some(item => item.service === key));
+    appliedRules.push(`Tax exempt services: ${exemptUsed.join(', ')} ($${exemptSubtotal.toFixed(2)})`);
+  }
+
+  let total = subtotal + tax;
+  let roundingAdjustment = 0;
+
+  if (settings.roundToNearestDollar) {
+    const rounded = Math.round(total);
+    roundingAdjustment = rounded - total;
+    total = rounded;
+    appliedRules.push(`Total rounded to nearest dollar (${roundingAdjustment >= 0 ? '+' : '-'}$${Math.abs(roundingAdjustment).toFixed(2)})`);
+  }
+
+  return {
+    laborSubtotal: laborSubtotal,
+    materialSubtotal: materialSubtotal,
+    materialMarkup: markedUpMaterials - materialSubtotal,
+    subtotal: subtotal,
+    taxableSubtotal: taxableSubtotal,
+    taxRate: settings.taxRate,
+    tax: tax,
+    roundingAdjustment: roundingAdjustment,
+    total: total,
+    totalHours: totalHours,
+    appliedRules: appliedRules
+  };
+}
+
+// Recompute line subtotals and estimate totals after line items are edited,
+// using the same rules as a freshly generated estimate
+function recalculateEstimate(estimateData, settings = DEFAULT_PRICING_SETTINGS) {
+  const serviceItems = (estimateData.serviceItems || []).map(item => ({
+    ...item,
+    subtotal: item.quantity * item.rate
+  }));
+
+  const materialItems = (estimateData.materialItems || []).map(item => ({
+    ...item,
+    subtotal: item.quantity * item.cost
+  }));
+
+  return {
+    ...estimateData,
+    serviceItems: serviceItems,
+    materialItems: materialItems,
+    pricing: calculatePricing(serviceItems, materialItems, settings)
+  };
+}
+
+function validatePricingSettings(settings) {
+  const { taxRate, taxExemptServices, materialMarkup, categoryMarkups, roundToNearestDollar, wasteFactor, bulkMaterials } = settings;
+
+  if (typeof taxRate !== 'number' || taxRate < 0 || taxRate >= 1) {
+    return 'taxRate must be a decimal between 0 and 1 (e.g. 0.0675)';
+  }
+
+  if (!Array.isArray(taxExemptServices) || taxExemptServices.some(key => typeof key !== 'string')) {
+    return 'taxExemptServices must be a list of service keys';
+  }
+
+  if (typeof materialMarkup !== 'number' || materialMarkup < 0) {
+    return 'materialMarkup must be a non-negative multiplier (e.g. 1.25)';
+  }
+
+  if (!categoryMarkups || typeof categoryMarkups !== 'object' || Array.isArray(categoryMarkups)) {
+    return 'categoryMarkups must map material keys to multipliers';
+  }
+
+  const invalidMarkup = Object.entries(categoryMarkups).find(([, markup]) => typeof markup !== 'number' || markup < 0);
+  if (invalidMarkup) {
+    return `Markup for ${invalidMarkup[0]} must be a non-negative multiplier`;
+  }
+
+  if (typeof roundToNearestDollar !== 'boolean') {
+    return 'roundToNearestDollar must be true or false';
+  }
+
+  return units.validateBulkSettings(bulkMaterials, wasteFactor);
+}
+
+function validateEntry(body, priceField) {
+  const price = Number(body[priceField]);
+
+  if (body[priceField] === undefined || Number.isNaN(price) || price < 0) {
+    return `${priceField} must be a non-negative number`;
+  }
+
+  if (!body.unit) {
+    return 'unit is required';
+  }
+
+  return null;
+}
+
+// Get the authenticated user's full price book
+router.get('/', authenticateUser, canViewPrices, async (req, res) => {
+  try {
+    const priceBook = await getPriceBook(req.user.id);
+
+    res.json({
+      success: true,
+      services: priceBook.services,
+      materials: priceBook.materials
+    });
+
+  } catch (error) {
+    console.error('Get price book error:', error);
+    res.status(500).json({
+      error: 'Failed to get price book',
+      details: error.message
+    });
+  }
+});
+
+// Get the authenticated user's pricing settings
+router.get('/settings', authenticateUser, canViewPrices, async (req, res) => {
+  try {
+    const settings = await getPricingSettings(req.user.id);
+
+    res.json({
+      success: true,
+      settings: settings
+    });
+
+  } catch (error) {
+    console.error('Get pricing settings error:', error);
+    res.status(500).json({
+      error: 'Failed to get pricing settings',
+      details: error.message
+    });
+  }
+});
+
+// Update pricing settings - fields not sent keep their current values
+router.put('/settings', authenticateUser, canChangePrices, async (req, res) => {
+  try {
+    const current = await getPricingSettings(req.user.id);
+    const settings = {};
+
+    Object.keys(DEFAULT_PRICING_SETTINGS).forEach(field => {
+      settings[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+    });
+
+    const validationError = validatePricingSettings(settings);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const saved = await db.saveUserPricingSettings(req.user.id, settings);
+
+    res.json({
+      success: true,
+      settings: { ...DEFAULT_PRICING_SETTINGS, ...saved }
+    });
+
+  } catch (error) {
+    console.error('Update pricing settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update pricing settings',
+      details: error.message
+    });
+  }
+});
+
+// Add a service rate
+router.post('/services', authenticateUser, canChangePrices, async (req, res) => {
+  try {
+    const { key, rate, unit, description } = req.body;
+
+    if (!key || !KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'key is required and may only contain lowercase letters, numbers and underscores' });
+    }
+
+    const validationError = validateEntry(req.body, 'rate');
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Make sure the defaults are in place before the first custom entry is added
+    const priceBook = await getPriceBook(req.user.id);
+    if (priceBook.services[key]) {
+      return res.status(409).json({ error: `Service ${key} already exists` });
+    }
+
+    const row = await db.savePriceBookService(req.user.id, key, Number(rate), unit, description || null);
+
+    res.status(201).json({
+      success: true,
+      key: row.service_key,
+      service: formatService(row)
+    });
+
+  } catch (error) {
+    console.error('Create service rate error:', error);
+    res.status(500).json({
+      error: 'Failed to create service rate',
+      details: error.message
+    });
+  }
+});
+
+// Update a service rate
+router.put('/services/:key', authenticateUser, canChangePrices, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const priceBook = await getPriceBook(req.user.id);
+    const existing = priceBook.services[key];
+
+    if (!existing) {
+      return res.status(404).json({ error: `Service ${key} not found` });
+    }
+
+    const updated = {
+      rate: req.body.rate !== undefined ? req.body.rate : existing.rate,
+      unit: req.body.unit || existing.unit,
+      description: req.body.description !== undefined ? req.body.description : existing.description
+    };
+
+    const validationError = validateEntry(updated, 'rate');
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const row = await db.savePriceBookService(req.user.id, key, Number(updated.rate), updated.unit, updated.description);
+
+    res.json({
+      success: true,
+      key: row.service_key,
+      service: formatService(row)
+    });
+
+  } catch (error) {
+    console.error('Update service rate error:', error);
+    res.status(500).json({
+      error: 'Failed to update service rate',
+      details: error.message
+    });
+  }
+});
+
+// Remove a service rate
+router.delete('/services/:key', authenticateUser, canChangePrices, async (req, res) => {
+  try {
+    const deleted = await db.deletePriceBookService(req.user.id, req.params.key);
+
+    if (!deleted) {
+      return res.status(404).json({ error: `Service ${req.params.key} not found` });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete service rate error:', error);
+    res.status(500).json({
+      error: 'Failed to delete service rate',
+      details: error.message
+    });
+  }
+});
+
+// Add a material cost
+router.post('/materials', authenticateUser, canChangePrices, async (req, res) => {
+  try {
+    const { key, cost, unit, description } = req.body;
+
+    if (!key || !KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'key is required and may only contain lowercase letters, numbers and underscores' });
+    }
+
+    const validationError = validateEntry(req.body, 'cost');
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const priceBook = await getPriceBook(req.user.id);
+    if (priceBook.materials[key]) {
+      return res.status(409).json({ error: `Material ${key} already exists` });
+    }
+
+    const row = await db.savePriceBookMaterial(req.user.id, key, Number(cost), unit, description || null);
+
+    res.status(201).json({
+      success: true,
+      key: row.material_key,
+      material: formatMaterial(row)
+    });
+
+  } catch (error) {
+    console.error('Create material cost error:', error);
+    res.status(500).json({
+      error: 'Failed to create material cost',
+      details: error.message
+    });
+  }
+});
+
+// Update a material cost
+router.put('/materials/:key', authenticateUser, canChangePrices, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const priceBook = await getPriceBook(req.user.id);
+    const existing = priceBook.materials[key];
+
+    if (!existing) {
+      return res.status(404).json({ error: `Material ${key} not found` });
+    }
+
+    const updated = {
+      cost: req.body.cost !== undefined ? req.body.cost : existing.cost,
+      unit: req.body.unit || existing.unit,
+      description: req.body.description !== undefined ? req.body.description : existing.description
+    };
+
+    const validationError = validateEntry(updated, 'cost');
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const row = await db.savePriceBookMaterial(req.user.id, key, Number(updated.cost), updated.unit, updated.description);
+
+    res.json({
+      success: true,
+      key: row.material_key,
+      material: formatMaterial(row)
+    });
+
+  } catch (error) {
+    console.error('Update material cost error:', error);
+    res.status(500).json({
+      error: 'Failed to update material cost',
+      details: error.message
+    });
+  }
+});
+
+// Remove a material cost
+router.delete('/materials/:key', authenticateUser, canChangePrices, async (req, res) => {
+  try {
+    const deleted = await db.deletePriceBookMaterial(req.user.id, req.params.key);
+
+    if (!deleted) {
+      return res.status(404).json({ error: `Material ${req.params.key} not found` });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete material cost error:', error);
+    res.status(500).json({
+      error: 'Failed to delete material cost',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
+module.exports.getPriceBook = getPriceBook;
+module.exports.getPricingSettings = getPricingSettings;
+module.exports.calculatePricing = calculatePricing;
+module.exports.recalculateEstimate = recalculateEstimate;
+module.exports.DEFAULT_PRICING_SETTINGS = DEFAULT_PRICING_SETTINGS;
+module.exports.DEFAULT_SERVICES = DEFAULT_SERVICES;
+module.exports.DEFAULT_MATERIALS = DEFAULT_MATERIALS;
@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { authenticateUser } = require('./middleware');
+
+// Address fields accepted in customer_info and property bodies
+const ADDRESS_FIELDS = ['label', 'address', 'city', 'state', 'zip'];
+
+// Site details that are measured or counted, keyed by request field -> db.createProperty field
+const NUMERIC_FIELDS = {
+  lot_size_sqft: 'lotSizeSqft',
+  lawn_area_sqft: 'lawnAreaSqft',
+  bed_area_sqft: 'bedAreaSqft',
+  irrigation_zones: 'irrigationZones'
+};
+
+function pickAddress(source) {
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (source[field]) {
+      address[field] = String(source[field]).trim();
+    }
+  });
+  return address.address ? address : null;
+}
+
+// Shape a request body (or stored row) into the fields db.createProperty/updateProperty take
+function toPropertyFields(body, existing = {}) {
+  const value = field => body[field] !== undefined ? body[field] : existing[field];
+
+  const property = {
+    label: value('label'),
+    address: value('address'),
+    city: value('city'),
+    state: value('state'),
+    zip: value('zip'),
+    gateCodes: value('gate_codes'),
+    notes: value('notes')
+  };
+
+  Object.entries(NUMERIC_FIELDS).forEach(([field, key]) => {
+    const raw = value(field);
+    property[key] = raw === null || raw === undefined || raw === '' ? null : parseFloat(raw);
+  });
+
+  return property;
+}
+
+function validateProperty(property) {
+  if (!property.address || !String(property.address).trim()) {
+    return 'address is required';
+  }
+
+  for (const [field, key] of Object.entries(NUMERIC_FIELDS)) {
+    const value = property[key];
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+
+  if (property.irrigationZones !== null && !Number.isInteger(property.irrigationZones)) {
+    return 'irrigation_zones must be a whole number';
+  }
+
+  return null;
+}
+
+// The customer's property at the address in a webhook's customer_info, created if it's new.
+// Returns null when customer_info has no street address.
+async function findOrCreateProperty(userId, customerId, customerInfo) {
+  const address = pickAddress(customerInfo || {});
+  if (!customerId || !address) {
+    return null;
+  }
+
+  const existing = await db.findPropertyByAddress(userId, customerId, address.address, address.zip);
+  if (existing) {
+    return existing;
+  }
+
+  return await db.createProperty(userId, customerId, address);
+}
+
+function estimateTotal(estimateData) {
+  return estimateData?.pricing?.total ?? null;
+}
+
+// Invoice data is either one of our estimates or a QuickBooks Invoice
+function invoiceTotal(invoiceData) {
+  if (!invoiceData) {
+    return null;
+  }
+  return invoiceData.TotalAmt ?? invoiceData.pricing?.total ?? null;
+}
+
+// Everything that happened at a property, newest first. Recorded conversations are the
+// transcriptions estimates were generated from.
+function buildTimeline(estimates, invoices) {
+  const entries = [];
+
+  estimates.forEach(estimate => {
+    if (estimate.transcription) {
+      entries.push({
+        type: 'conversation',
+        date: estimate.created_at,
+        estimateId: estimate.id,
+        source: estimate.source,
+        transcription: estimate.transcription
+      });
+    }
+
+    entries.push({
+      type: 'estimate',
+      date: estimate.created_at,
+      estimateId: estimate.id,
+      status: estimate.status,
+      summary: estimate.estimate_data?.projectInfo?.summary || null,
+      total: estimateTotal(estimate.estimate_data),
+      quickbooksEstimateId: estimate.quickbooks_estimate_id
+    });
+  });
+
+  invoices.forEach(invoice => {
+    entries.push({
+      type: 'invoice',
+      date: invoice.created_at,
+      invoiceId: invoice.id,
+      total: invoiceTotal(invoice.invoice_data),
+      quickbooksInvoiceId: invoice.quickbooks_invoice_id
+    });
+  });
+
+  // Conversations sort just before the estimate made from them
+  const order = { invoice: 0, estimate: 1, conversation: 2 };
+  return entries.sort((a, b) => new Date(b.date) - new Date(a.date) || order[a.type] - order[b.type]);
+}
+
+// List a customer's properties - ?customer_id= is required
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    if (!req.query.customer_id) {
+      return res.status(400).json({ error: 'customer_id is required' });
+    }
+
+    const properties = await db.getCustomerProperties(req.user.id, req.query.customer_id);
+
+    res.json({
+      success: true,
+      properties: properties
+    });
+
+  } catch (error) {
+    console.error('List properties error:', error);
+    res.status(500).json({
+      error: 'Failed to list properties',
+      details: error.message
+    });
+  }
+});
+
+// Add a property to a customer - body { customer_id, address, ... }
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const customer = await db.getCustomerById(req.user.id, req.body.customer_id);
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const property = toPropertyFields(req.body);
+
+    const validationError = validateProperty(property);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await db.createProperty(req.user.id, customer.id, property);
+
+    res.status(201).json({
+      success: true,
+      property: created
+    });
+
+  } catch (error) {
+    console.error('Create property error:', error);
+    res.status(500).json({
+      error: 'Failed to create property',
+      details: error.message
+    });
+  }
+});
+
+router.get('/:id', authenticateUser, async (req, res) => {
+  try {
+    const property = await db.getPropertyById(req.user.id, req.params.id);
+    if (!property) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    res.json({
+      success: true,
+      property: property
+    });
+
+  } catch (error) {
+    console.error('Get property error:', error);
+    res.status(500).json({
+      error: 'Failed to get property',
+      details: error.message
+    });
+  }
+});
+
+// Update a property - fields not sent keep their current values
+router.put('/:id', authenticateUser, async (req, res) => {
+  try {
+    const existing = await db.getPropertyById(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const property = toPropertyFields(req.body, existing);
+
+    const validationError = validateProperty(property);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await db.updateProperty(req.user.id, existing.id, property);
+
+    res.json({
+      success: true,
+      property: updated
+    });
+
+  } catch (error) {
+    console.error('Update property error:', error);
+    res.status(500).json({
+      error: 'Failed to update property',
+      details: error.message
+    });
+  }
+});
+
+// Delete a property - its estimates and invoices are kept
+router.delete('/:id', authenticateUser, async (req, res) => {
+  try {
+    const deleted = await db.deleteProperty(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete property error:', error);
+    res.status(500).json({
+      error: 'Failed to delete property',
+      details: error.message
+    });
+  }
+});
+
+// Every estimate, invoice and recorded conversation for the property, newest first
+router.get('/:id/timeline', authenticateUser, async (req, res) => {
+  try {
+    const property = await db.getPropertyById(req.user.id, req.params.id);
+    if (!property) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const estimates = await db.getUserEstimates(req.user.id, { propertyId: property.id, limit: 500 });
+    const invoices = await db.getUserInvoices(req.user.id, { propertyId: property.id });
+
+    res.json({
+      success: true,
+      property: property,
+      timeline: buildTimeline(estimates, invoices)
+    });
+
+  } catch (error) {
+    console.error('Property timeline error:', error);
+    res.status(500).json({
+      error: 'Failed to get property timeline',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
+module.exports.findOrCreateProperty = findOrCreateProperty;
@@ -0,0 +1,239 @@
+const axios = require('axios');
+const db = require('./database');
+const pricing = require('./pricing');
+
+// Links price book service/material keys to QuickBooks Items so synced lines show up
+// per service in QuickBooks reports. Shared by quickbooks.js and quickbooks-multi-tenant.js.
+
+const SANDBOX_URL = 'https://sandbox-quickbooks.api.intuit.com';
+const PRODUCTION_URL = 'https://quickbooks.api.intuit.com';
+
+// Item lookups run inside estimate and invoice syncs, so they get the same request timeout
+const REQUEST_TIMEOUT = 30 * 1000;
+const http = axios.create({ timeout: REQUEST_TIMEOUT });
+
+// Lines without a mapped Item fall back to these catch-all Items
+const DEFAULT_ITEM_REFS = {
+  service: { value: '1', name: 'Services' },
+  material: { value: '2', name: 'Materials' }
+};
+
+// Estimate line lists, and the QuickBooks Item type created for each
+const ITEM_TYPES = {
+  service: { listField: 'serviceItems', keyField: 'service', book: 'services', qbType: 'Service' },
+  material: { listField: 'materialItems', keyField: 'material', book: 'materials', qbType: 'NonInventory' }
+};
+
+function baseUrl() {
+  return process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+}
+
+function authHeaders(tokens) {
+  return {
+    'Authorization': `Bearer ${tokens.access_token}`,
+    'Accept': 'application/json'
+  };
+}
+
+async function queryQuickBooks(tokens, query) {
+  const response = await http.get(
+    `${baseUrl()}/v3/company/${tokens.realm_id}/query?query=${encodeURIComponent(query)}`,
+    { headers: authHeaders(tokens) }
+  );
+  return response.data.QueryResponse || {};
+}
+
+// Active Items, for choosing mappings
+async function listQuickBooksItems(tokens) {
+  const result = await queryQuickBooks(tokens, 'select * from Item where Active = true MAXRESULTS 1000');
+  return result.Item || [];
+}
+
+async function getQuickBooksItem(tokens, itemId) {
+  const response = await http.get(
+    `${baseUrl()}/v3/company/${tokens.realm_id}/item/${itemId}`,
+    { headers: authHeaders(tokens) }
+  );
+  return response.data.Item;
+}
+
+// New Items book their sales to the same income account as the catch-all Services Item,
+// or the company's first income account
+async function getIncomeAccountRef(tokens) {
+  try {
+    const item = await getQuickBooksItem(tokens, DEFAULT_ITEM_REFS.service.value);
+    if (item?.IncomeAccountRef) {
+      return item.IncomeAccountRef;
+    }
+  } catch (error) {
+    console.log('Default Services item not found, looking up an income account');
+  }
+
+  const result = await queryQuickBooks(tokens, "select * from Account where AccountType = 'Income' MAXRESULTS 1");
+  const account = result.Account?.[0];
+  if (!account) {
+    throw new Error('No income account found in QuickBooks to create Items against');
+  }
+  return { value: account.Id, name: account.Name };
+}
+
+// QuickBooks Item names are unique, so an existing Item with the name is reused
+async function findOrCreateItem(tokens, itemType, name, incomeAccountRef) {
+  const safeName = name.replace(/[:\t\n]/g, ' ').slice(0, 100).trim();
+  const quotedName = safeName.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+  const existing = await queryQuickBooks(tokens, `select * from Item where Name = '${quotedName}'`);
+  if (existing.Item?.[0]) {
+    return existing.Item[0];
+  }
+
+  const response = await http.post(
+    `${baseUrl()}/v3/company/${tokens.realm_id}/item`,
+    {
+      Name: safeName,
+      Type: ITEM_TYPES[itemType].qbType,
+      IncomeAccountRef: incomeAccountRef
+    },
+    { headers: { ...authHeaders(tokens), 'Content-Type': 'application/json' } }
+  );
+  return response.data.Item;
+}
+
+// Map price book keys to Items, creating the Items as needed. Returns the new mappings.
+async function createItemMappings(tokens, userId, keys) {
+  if (keys.length === 0) {
+    return [];
+  }
+
+  const priceBook = await pricing.getPriceBook(userId === db.LEGACY_USER_ID ? null : userId);
+  const incomeAccountRef = await getIncomeAccountRef(tokens);
+  const created = [];
+
+  for (const { itemType, key } of keys) {
+    const entry = priceBook[ITEM_TYPES[itemType].book][key];
+    const item = await findOrCreateItem(tokens, itemType, entry?.description || key, incomeAccountRef);
+    created.push(await db.saveQuickBooksItemMapping(userId, itemType, key, item.Id, item.Name));
+  }
+
+  return created;
+}
+
+// ItemRef lookup for an estimate's lines, auto-creating Items for unmapped keys when the
+// connection has that turned on
+async function resolveItemRefs(tokens, estimate_data) {
+  const userId = tokens.user_id;
+  const refs = {};
+  (await db.getQuickBooksItemMappings(userId)).forEach(mapping => {
+    refs[`${mapping.item_type}:${mapping.item_key}`] = {
+      value: mapping.quickbooks_item_id,
+      name: mapping.quickbooks_item_name
+    };
+  });
+
+  if (tokens.auto_create_items) {
+    const missing = [];
+    Object.entries(ITEM_TYPES).forEach(([itemType, { listField, keyField }]) => {
+      (estimate_data[listField] || []).forEach(line => {
+        const key = line[keyField];
+        if (key && !refs[`${itemType}:${key}`] && !missing.some(entry => entry.itemType === itemType && entry.key === key)) {
+          missing.push({ itemType, key });
+        }
+      });
+    });
+
+    (await createItemMappings(tokens, userId, missing)).forEach(mapping => {
+      refs[`${mapping.item_type}:${mapping.item_key}`] = {
+        value: mapping.quickbooks_item_id,
+        name: mapping.quickbooks_item_name
+      };
+    });
+  }
+
+  return (itemType, key) => refs[`${itemType}:${key}`] || DEFAULT_ITEM_REFS[itemType];
+}
+
+// ItemRef for a single line that bills part of a whole job (a payment milestone) - the
+// Item of the estimate's largest service line
+async function jobItemRef(tokens, estimate_data) {
+  const itemRef = await resolveItemRefs(tokens, estimate_data);
+  const largest = (estimate_data.serviceItems || [])
+    .reduce((best, item) => (!best || (item.subtotal || 0) > (best.subtotal || 0) ? item : best), null);
+  return itemRef('service', largest?.service);
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Our pricing already includes tax (as its own line), so QuickBooks must not add more
+function salesLine(amount, description, itemRef) {
+  return {
+    DetailType: 'SalesItemLineDetail',
+    Amount: roundCents(amount),
+    Description: description,
+    SalesItemLineDetail: {
+      ItemRef: itemRef,
+      TaxCodeRef: { value: 'NON' }
+    }
+  };
+}
+
+// QuickBooks sales lines for a generated estimate - services, then materials, then the
+// material markup, tax and rounding, so the document totals the estimate's pricing.total
+async function buildLineItems(tokens, estimate_data) {
+  const itemRef = await resolveItemRefs(tokens, estimate_data);
+  const lineItems = [];
+
+  (estimate_data.serviceItems || []).forEach(item => {
+    lineItems.push(salesLine(
+      item.subtotal,
+      `${item.description} - ${item.quantity} ${item.unit} @ $${item.rate}/${item.unit}`,
+      itemRef('service', item.service)
+    ));
+  });
+
+  (estimate_data.materialItems || []).forEach(item => {
+    lineItems.push(salesLine(
+      item.subtotal,
+      `${item.description} - ${item.quantity} ${item.unit}`,
+      itemRef('material', item.material)
+    ));
+  });
+
+  if (lineItems.length === 0) {
+    return [salesLine(
+      estimate_data.pricing?.total || 0,
+      estimate_data.projectInfo?.summary || 'Landscaping Services',
+      DEFAULT_ITEM_REFS.service
+    )];
+  }
+
+  const pricing = estimate_data.pricing || {};
+  if (roundCents(pricing.materialMarkup || 0) !== 0) {
+    lineItems.push(salesLine(pricing.materialMarkup, 'Material markup', DEFAULT_ITEM_REFS.material));
+  }
+  if (roundCents(pricing.tax || 0) !== 0) {
+    lineItems.push(salesLine(pricing.tax, 'Sales tax', DEFAULT_ITEM_REFS.service));
+  }
+
+  // Rounding to the dollar, plus any cents lost rounding each line
+  if (pricing.total !== undefined) {
+    const linesTotal = lineItems.reduce((sum, line) => sum + line.Amount, 0);
+    const adjustment = roundCents(pricing.total - linesTotal);
+    if (adjustment !== 0) {
+      lineItems.push(salesLine(adjustment, 'Rounding adjustment', DEFAULT_ITEM_REFS.service));
+    }
+  }
+
+  return lineItems;
+}
+
+module.exports = {
+  DEFAULT_ITEM_REFS,
+  ITEM_TYPES,
+  listQuickBooksItems,
+  getQuickBooksItem,
+  createItemMappings,
+  resolveItemRefs,
+  jobItemRef,
+  buildLineItems
+};
@@ -2,34 +2,65 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const db = require('./database');
+const { selectTier } = require('./estimator');
+const { authenticateUser, requireRole } = require('./middleware');
+const quickbooksItems = require('./quickbooks-items');
+const quickbooksOAuth = require('./quickbooks-oauth');
+const quickbooksTransactions = require('./quickbooks-transactions');
+
+// Only owners and office work with QuickBooks
+const canUseQuickBooks = requireRole('owner', 'office');
 
 // QuickBooks OAuth URLs
 const SANDBOX_URL = 'https://sandbox-quickbooks.api.intuit.com';
 const PRODUCTION_URL = 'https://quickbooks.api.intuit.com';
 const TOKEN_URL = 'https://oauth.platform.intuit.com/oauth2/v1/tokens/bearer';
 
-// Middleware to authenticate user from session token
-async function authenticateUser(req, res, next) {
-  const authHeader = req.headers.authorization;
-  const sessionToken = authHeader?.replace('Bearer ', '') || req.query.session_token;
-  
-  if (!sessionToken) {
-    return res.status(401).json({ error: 'No session token provided' });
-  }
-  
-  const user = await db.getUserBySessionToken(sessionToken);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid or expired session' });
+// A hung QuickBooks request would otherwise hold up the caller (and the sync queue) forever
+const REQUEST_TIMEOUT = 30 * 1000;
+const http = axios.create({ timeout: REQUEST_TIMEOUT });
+
+// Trade the refresh token for a new pair. Failures are recorded on the connection, and a
+// refresh token QuickBooks won't accept any more flags it for the user to reconnect.
+async function refreshUserTokens(userId, tokens) {
+  try {
+    const clientId = process.env.QB_CLIENT_ID;
+    const clientSecret = process.env.QB_CLIENT_SECRET;
+    const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+    
+    const tokenResponse = await http.post(
+      TOKEN_URL,
+      new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: tokens.refresh_token
+      }),
+      {
+        headers: {
+          'Accept': 'application/json',
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+    
+    const { access_token, refresh_token, expires_in, x_refresh_token_expires_in } = tokenResponse.data;
+    
+    // Save new tokens for this user
+    return await db.saveUserTokens(userId, tokens.realm_id, access_token, refresh_token, expires_in, x_refresh_token_expires_in);
+  } catch (error) {
+    const needsReauth = error.response?.data?.error === 'invalid_grant'
+      || (tokens.refresh_token_expires_at && new Date(tokens.refresh_token_expires_at) < new Date());
+    const message = error.response?.data?.error_description || error.response?.data?.error || error.message;
+    
+    await db.recordTokenRefreshFailure(userId, message, !!needsReauth).catch(() => {});
+    throw error;
   }
-  
-  req.user = user;
-  next();
 }
 
 // Helper function to get valid tokens for a specific user
 async function getValidUserTokens(userId) {
   const tokens = await db.getUserTokens(userId);
-  if (!tokens) {
+  if (!tokens || tokens.needs_reauth) {
     return null;
   }
   
@@ -42,49 +73,212 @@ async function getValidUserTokens(userId) {
     console.log(`Token expired or expiring soon for user ${userId}, refreshing...`);
     
     try {
-      const clientId = process.env.QB_CLIENT_ID;
-      const clientSecret = process.env.QB_CLIENT_SECRET;
-      const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-      
-      const tokenResponse = await axios.post(
-        TOKEN_URL,
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: tokens.refresh_token
-        }),
+      return await refreshUserTokens(userId, tokens);
+    } catch (error) {
+      console.error(`Failed to refresh token for user ${userId}:`, error.response?.data || error.message);
+      return null;
+    }
+  }
+  
+  return tokens;
+}
+
+// QuickBooks deduplicates creates sent with the same requestid
+function requestIdParam(requestId) {
+  return requestId ? `?requestid=${encodeURIComponent(requestId)}` : '';
+}
+
+// Find a customer by email and update it, or create a new one. A `requestId` makes the
+// create idempotent - QuickBooks returns the original customer if it sees the same id again.
+async function upsertQuickBooksCustomer(tokens, customer_info, { requestId } = {}) {
+  const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+  
+  // Check if customer exists by email
+  let customerId = null;
+  if (customer_info.email) {
+    try {
+      const searchResponse = await http.get(
+        `${baseUrl}/v3/company/${tokens.realm_id}/query?query=select * from Customer where PrimaryEmailAddr='${customer_info.email}'`,
         {
           headers: {
-            'Accept': 'application/json',
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
+            'Authorization': `Bearer ${tokens.access_token}`,
+            'Accept': 'application/json'
           }
         }
       );
       
-      const { access_token, refresh_token, expires_in } = tokenResponse.data;
-      
-      // Save new tokens for this user
-      await db.saveUserTokens(userId, tokens.realm_id, access_token, refresh_token, expires_in);
-      
-      // Return the new tokens
-      return await db.getUserTokens(userId);
-    } catch (error) {
-      console.error(`Failed to refresh token for user ${userId}:`, error);
-      return null;
+      if (searchResponse.data.QueryResponse?.Customer?.length > 0) {
+        customerId = searchResponse.data.QueryResponse.Customer[0].Id;
+      }
+    } catch (searchError) {
+      console.log('Customer not found, will create new');
     }
   }
   
-  return tokens;
+  let customer;
+  if (customerId) {
+    // Update existing customer
+    const updateResponse = await http.post(
+      `${baseUrl}/v3/company/${tokens.realm_id}/customer`,
+      {
+        Id: customerId,
+        sparse: true,
+        DisplayName: customer_info.name,
+        PrimaryPhone: customer_info.phone ? {
+          FreeFormNumber: customer_info.phone
+        } : undefined
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${tokens.access_token}`,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    customer = updateResponse.data.Customer;
+  } else {
+    // Create new customer
+    const customerData = {
+      DisplayName: customer_info.name || 'Unknown Customer'
+    };
+    
+    if (customer_info.email) {
+      customerData.PrimaryEmailAddr = {
+        Address: customer_info.email
+      };
+    }
+    
+    if (customer_info.phone) {
+      customerData.PrimaryPhone = {
+        FreeFormNumber: customer_info.phone
+      };
+    }
+    
+    if (customer_info.address || customer_info.city || customer_info.state || customer_info.zip) {
+      customerData.BillAddr = {
+        Line1: customer_info.address || '',
+        City: customer_info.city || '',
+        CountrySubDivisionCode: customer_info.state || '',
+        PostalCode: customer_info.zip || ''
+      };
+    }
+    
+    const createResponse = await http.post(
+      `${baseUrl}/v3/company/${tokens.realm_id}/customer${requestIdParam(requestId)}`,
+      customerData,
+      {
+        headers: {
+          'Authorization': `Bearer ${tokens.access_token}`,
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    customer = createResponse.data.Customer;
+  }
+  
+  return { customer, isNew: !customerId };
+}
+
+// Customer-facing memo - names the chosen option on tiered estimates
+function estimateMemo(estimate_data) {
+  const summary = estimate_data.projectInfo?.summary || 'Landscaping Estimate';
+  const tierName = estimate_data.tier && estimate_data.tiers?.[estimate_data.tier]?.name;
+  return tierName ? `${summary} - ${tierName} option` : summary;
+}
+
+// Build QuickBooks lines from a generated estimate and create the Estimate. `requestId`
+// works as for upsertQuickBooksCustomer.
+async function createQuickBooksEstimate(tokens, customerId, estimate_data, { requestId } = {}) {
+  const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+  const lineItems = await quickbooksItems.buildLineItems(tokens, estimate_data);
+  
+  const estimatePayload = {
+    Line: lineItems,
+    CustomerRef: {
+      value: customerId
+    },
+    TxnDate: new Date().toISOString().split('T')[0],
+    ExpirationDate: new Date(Date.now() + 30*24*60*60*1000).toISOString().split('T')[0],
+    CustomerMemo: {
+      value: estimateMemo(estimate_data)
+    }
+  };
+  
+  const response = await http.post(
+    `${baseUrl}/v3/company/${tokens.realm_id}/estimate${requestIdParam(requestId)}`,
+    estimatePayload,
+    {
+      headers: {
+        'Authorization': `Bearer ${tokens.access_token}`,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+  
+  return response.data.Estimate;
+}
+
+// Create an Invoice for an accepted estimate. LinkedTxn ties it to the QuickBooks Estimate,
+// which QuickBooks then marks as closed. Pass `lineItems` to bill part of the job instead
+// of the estimate's own lines. `requestId` works as for upsertQuickBooksCustomer.
+async function createQuickBooksInvoice(tokens, customerId, estimate_data, { linkedEstimateId, dueDate, email, lineItems, requestId } = {}) {
+  const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+  
+  const invoicePayload = {
+    Line: lineItems || await quickbooksItems.buildLineItems(tokens, estimate_data),
+    CustomerRef: {
+      value: customerId
+    },
+    TxnDate: new Date().toISOString().split('T')[0],
+    DueDate: dueDate,
+    CustomerMemo: {
+      value: estimateMemo(estimate_data)
+    }
+  };
+  
+  if (linkedEstimateId) {
+    invoicePayload.LinkedTxn = [{
+      TxnId: linkedEstimateId,
+      TxnType: 'Estimate'
+    }];
+  }
+  
+  if (email) {
+    invoicePayload.BillEmail = {
+      Address: email
+    };
+  }
+  
+  const response = await http.post(
+    `${baseUrl}/v3/company/${tokens.realm_id}/invoice${requestIdParam(requestId)}`,
+    invoicePayload,
+    {
+      headers: {
+        'Authorization': `Bearer ${tokens.access_token}`,
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+  
+  return response.data.Invoice;
 }
 
 // Status route - shows connection status for the authenticated user
-router.get('/status', authenticateUser, async (req, res) => {
+router.get('/status', authenticateUser, canUseQuickBooks, async (req, res) => {
   try {
     const tokens = await getValidUserTokens(req.user.id);
     const isConnected = tokens !== null;
+    const connection = isConnected ? tokens : await db.getUserTokens(req.user.id);
     
     res.json({
       connected: isConnected,
+      // The user has to go through /auth again before QuickBooks can be used
+      needsReconnect: !!connection?.needs_reauth,
+      lastRefreshError: connection?.last_refresh_error || null,
       hasCredentials: !!(process.env.QB_CLIENT_ID && process.env.QB_CLIENT_SECRET),
       environment: process.env.QB_ENVIRONMENT || 'not set',
       realmId: tokens?.realm_id || null,
@@ -94,6 +288,15 @@ router.get('/status', authenticateUser, async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    // Undecryptable tokens are a server key problem - reconnecting wouldn't help
+    if (error instanceof db.TokenDecryptionError) {
+      console.error('QuickBooks status error:', error.message);
+      return res.status(500).json({
+        error: 'Stored QuickBooks tokens could not be decrypted - check the server encryption keys',
+        details: error.message
+      });
+    }
+
     res.json({
       connected: false,
       error: error.message,
@@ -103,7 +306,7 @@ router.get('/status', authenticateUser, async (req, res) => {
 });
 
 // Auth route - initiates OAuth for a specific user
-router.get('/auth', authenticateUser, (req, res) => {
+router.get('/auth', authenticateUser, canUseQuickBooks, async (req, res) => {
   if (!process.env.QB_CLIENT_ID || !process.env.QB_CLIENT_SECRET) {
     return res.status(500).json({
       error: 'QuickBooks credentials not configured',
@@ -115,11 +318,15 @@ router.get('/auth', authenticateUser, (req, res) => {
   const redirectUri = process.env.QB_REDIRECT_URI || 'https://landscaping-ai-app-production.up.railway.app/api/quickbooks/callback';
   const scope = 'com.intuit.quickbooks.accounting';
   const responseType = 'code';
-  // Include user ID in state for callback
-  const state = Buffer.from(JSON.stringify({
-    userId: req.user.id,
-    timestamp: Date.now()
-  })).toString('base64');
+  
+  let state;
+  try {
+    // The callback finds the user from this state
+    state = await quickbooksOAuth.createState(req, res, req.user.id);
+  } catch (error) {
+    console.error('OAuth state error:', error);
+    return res.status(500).json({ error: 'Failed to start QuickBooks connection', details: error.message });
+  }
   
   const authUrl = `https://appcenter.intuit.com/connect/oauth2?` +
     `client_id=${clientId}` +
@@ -149,15 +356,18 @@ router.get('/callback', async (req, res) => {
     return res.status(400).json({ error: 'Missing required parameters' });
   }
   
+  const userId = await quickbooksOAuth.consumeState(req, res, state);
+  if (!userId) {
+    return res.status(400).send(`
+      <h1>QuickBooks Connection Failed</h1>
+      <p>This connection link has expired or was already used. Please start connecting QuickBooks again from the app.</p>
+      <script>
+        setTimeout(() => window.close(), 5000);
+      </script>
+    `);
+  }
+  
   try {
-    // Decode state to get user ID
-    const stateData = JSON.parse(Buffer.from(state, 'base64').toString());
-    const userId = stateData.userId;
-    
-    if (!userId) {
-      throw new Error('User ID not found in state');
-    }
-    
     // Exchange authorization code for tokens
     const clientId = process.env.QB_CLIENT_ID;
     const clientSecret = process.env.QB_CLIENT_SECRET;
@@ -165,7 +375,7 @@ router.get('/callback', async (req, res) => {
     
     const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
     
-    const tokenResponse = await axios.post(
+    const tokenResponse = await http.post(
       TOKEN_URL,
       new URLSearchParams({
         grant_type: 'authorization_code',
@@ -181,10 +391,10 @@ router.get('/callback', async (req, res) => {
       }
     );
     
-    const { access_token, refresh_token, expires_in } = tokenResponse.data;
+    const { access_token, refresh_token, expires_in, x_refresh_token_expires_in } = tokenResponse.data;
     
     // Save tokens for this specific user
-    await db.saveUserTokens(userId, realmId, access_token, refresh_token, expires_in);
+    await db.saveUserTokens(userId, realmId, access_token, refresh_token, expires_in, x_refresh_token_expires_in);
     
     // Get user info for display
     const user = await db.getUserById(userId);
@@ -225,8 +435,38 @@ router.get('/callback', async (req, res) => {
   }
 });
 
+// Disconnect QuickBooks - revokes the tokens at Intuit and forgets them here
+router.post('/disconnect', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const tokens = await db.getUserTokens(req.user.id);
+    if (!tokens) {
+      return res.status(404).json({ error: 'QuickBooks not connected for this account' });
+    }
+    
+    try {
+      await quickbooksOAuth.revokeTokens(tokens);
+    } catch (error) {
+      // Keep the tokens if Intuit couldn't be reached, so disconnecting can be retried
+      if (!quickbooksOAuth.isAlreadyRevoked(error)) {
+        throw error;
+      }
+    }
+    
+    await db.deleteUserTokens(req.user.id);
+    
+    res.json({ success: true, message: 'QuickBooks disconnected' });
+    
+  } catch (error) {
+    console.error('QuickBooks disconnect error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to disconnect QuickBooks',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
 // Get company info - for authenticated user's QuickBooks
-router.get('/company-info', authenticateUser, async (req, res) => {
+router.get('/company-info', authenticateUser, canUseQuickBooks, async (req, res) => {
   try {
     const tokens = await getValidUserTokens(req.user.id);
     if (!tokens) {
@@ -235,7 +475,7 @@ router.get('/company-info', authenticateUser, async (req, res) => {
     
     const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
     
-    const response = await axios.get(
+    const response = await http.get(
       `${baseUrl}/v3/company/${tokens.realm_id}/companyinfo/${tokens.realm_id}`,
       {
         headers: {
@@ -257,7 +497,7 @@ router.get('/company-info', authenticateUser, async (req, res) => {
 });
 
 // Create customer - for authenticated user's QuickBooks
-router.post('/create-customer', authenticateUser, async (req, res) => {
+router.post('/create-customer', authenticateUser, canUseQuickBooks, async (req, res) => {
   try {
     const { customer_info } = req.body;
     
@@ -266,97 +506,12 @@ router.post('/create-customer', authenticateUser, async (req, res) => {
       return res.status(401).json({ error: 'QuickBooks not connected for this account' });
     }
     
-    const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
-    
-    // Check if customer exists by email
-    let customerId = null;
-    if (customer_info.email) {
-      try {
-        const searchResponse = await axios.get(
-          `${baseUrl}/v3/company/${tokens.realm_id}/query?query=select * from Customer where PrimaryEmailAddr='${customer_info.email}'`,
-          {
-            headers: {
-              'Authorization': `Bearer ${tokens.access_token}`,
-              'Accept': 'application/json'
-            }
-          }
-        );
-        
-        if (searchResponse.data.QueryResponse?.Customer?.length > 0) {
-          customerId = searchResponse.data.QueryResponse.Customer[0].Id;
-        }
-      } catch (searchError) {
-        console.log('Customer not found, will create new');
-      }
-    }
-    
-    let customer;
-    if (customerId) {
-      // Update existing customer
-      const updateResponse = await axios.post(
-        `${baseUrl}/v3/company/${tokens.realm_id}/customer`,
-        {
-          Id: customerId,
-          sparse: true,
-          DisplayName: customer_info.name,
-          PrimaryPhone: customer_info.phone ? {
-            FreeFormNumber: customer_info.phone
-          } : undefined
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${tokens.access_token}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      customer = updateResponse.data.Customer;
-    } else {
-      // Create new customer
-      const customerData = {
-        DisplayName: customer_info.name || 'Unknown Customer'
-      };
-      
-      if (customer_info.email) {
-        customerData.PrimaryEmailAddr = {
-          Address: customer_info.email
-        };
-      }
-      
-      if (customer_info.phone) {
-        customerData.PrimaryPhone = {
-          FreeFormNumber: customer_info.phone
-        };
-      }
-      
-      if (customer_info.address || customer_info.city || customer_info.state || customer_info.zip) {
-        customerData.BillAddr = {
-          Line1: customer_info.address || '',
-          City: customer_info.city || '',
-          CountrySubDivisionCode: customer_info.state || '',
-          PostalCode: customer_info.zip || ''
-        };
-      }
-      
-      const createResponse = await axios.post(
-        `${baseUrl}/v3/company/${tokens.realm_id}/customer`,
-        customerData,
-        {
-          headers: {
-            'Authorization': `Bearer ${tokens.access_token}`,
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      customer = createResponse.data.Customer;
-    }
+    const { customer, isNew } = await upsertQuickBooksCustomer(tokens, customer_info);
     
     res.json({
       success: true,
       customer: customer,
-      isNew: !customerId
+      isNew: isNew
     });
     
   } catch (error) {
@@ -369,106 +524,44 @@ router.post('/create-customer', authenticateUser, async (req, res) => {
 });
 
 // Create estimate - for authenticated user's QuickBooks
-router.post('/create-estimate', authenticateUser, async (req, res) => {
+router.post('/create-estimate', authenticateUser, canUseQuickBooks, async (req, res) => {
   try {
-    const { customerId, estimate_data } = req.body;
+    const { customerId, estimate_id, tier } = req.body;
+    let { estimate_data } = req.body;
+    
+    // Tiered estimates are synced as the option the customer picked
+    if (tier) {
+      estimate_data = selectTier(estimate_data, tier);
+      if (!estimate_data) {
+        return res.status(400).json({ error: `Estimate has no ${tier} tier` });
+      }
+    }
+
     
     const tokens = await getValidUserTokens(req.user.id);
     if (!tokens) {
       return res.status(401).json({ error: 'QuickBooks not connected for this account' });
     }
     
-    const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
-    
-    // Build line items
-    const lineItems = [];
-    
-    if (estimate_data.serviceItems?.length > 0) {
-      estimate_data.serviceItems.forEach(item => {
-        lineItems.push({
-          DetailType: 'SalesItemLineDetail',
-          Amount: item.subtotal,
-          Description: `${item.description} - ${item.quantity} ${item.unit} @ $${item.rate}/${item.unit}`,
-          SalesItemLineDetail: {
-            ItemRef: {
-              value: '1',
-              name: 'Services'
-            }
-          }
-        });
-      });
-    }
-    
-    if (estimate_data.materialItems?.length > 0) {
-      estimate_data.materialItems.forEach(item => {
-        lineItems.push({
-          DetailType: 'SalesItemLineDetail',
-          Amount: item.subtotal,
-          Description: `${item.description} - ${item.quantity} ${item.unit}`,
-          SalesItemLineDetail: {
-            ItemRef: {
-              value: '2',
-              name: 'Materials'
-            }
-          }
-        });
-      });
-    }
-    
-    if (lineItems.length === 0) {
-      lineItems.push({
-        DetailType: 'SalesItemLineDetail',
-        Amount: estimate_data.pricing?.total || 0,
-        Description: estimate_data.projectInfo?.summary || 'Landscaping Services',
-        SalesItemLineDetail: {
-          ItemRef: {
-            value: '1',
-            name: 'Services'
-          }
-        }
-      });
-    }
-    
-    const estimatePayload = {
-      Line: lineItems,
-      CustomerRef: {
-        value: customerId
-      },
-      TxnDate: new Date().toISOString().split('T')[0],
-      ExpirationDate: new Date(Date.now() + 30*24*60*60*1000).toISOString().split('T')[0],
-      CustomerMemo: {
-        value: estimate_data.projectInfo?.summary || 'Landscaping Estimate'
-      }
-    };
+    const qbEstimate = await createQuickBooksEstimate(tokens, customerId, estimate_data);
     
-    const response = await axios.post(
-      `${baseUrl}/v3/company/${tokens.realm_id}/estimate`,
-      estimatePayload,
-      {
-        headers: {
-          'Authorization': `Bearer ${tokens.access_token}`,
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    // Save to local database with user ID
-    await db.pool.query(
-      `INSERT INTO estimates (user_id, customer_name, customer_email, estimate_data, quickbooks_estimate_id)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [
+    // Link the saved estimate, or save it to the local database with user ID
+    if (estimate_id) {
+      await db.setEstimateQuickBooksId(req.user.id, estimate_id, qbEstimate.Id);
+    } else {
+      await db.saveEstimate(
         req.user.id,
         estimate_data.customer_name || 'Unknown',
         estimate_data.customer_email || '',
-        JSON.stringify(estimate_data),
-        response.data.Estimate.Id
-      ]
-    );
+        estimate_data,
+        qbEstimate.Id,
+        { source: 'quickbooks/create-estimate' }
+      );
+    }
     
     res.json({
       success: true,
-      estimate: response.data.Estimate
+      estimate: qbEstimate
     });
     
   } catch (error) {
@@ -480,29 +573,30 @@ router.post('/create-estimate', authenticateUser, async (req, res) => {
   }
 });
 
-// Get estimates - for authenticated user's QuickBooks
-router.get('/estimates', authenticateUser, async (req, res) => {
+// Get estimates - for authenticated user's QuickBooks. Page with ?cursor= and ?limit=,
+// filter by ?from=/?to= (TxnDate, YYYY-MM-DD) and ?customer_id= (QuickBooks customer Id)
+router.get('/estimates', authenticateUser, canUseQuickBooks, async (req, res) => {
   try {
     const tokens = await getValidUserTokens(req.user.id);
     if (!tokens) {
       return res.status(401).json({ error: 'QuickBooks not connected for this account' });
     }
     
-    const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+    const validationError = quickbooksTransactions.validateListQuery(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    const response = await axios.get(
-      `${baseUrl}/v3/company/${tokens.realm_id}/query?query=select * from Estimate ORDER BY TxnDate DESC MAXRESULTS 20`,
-      {
-        headers: {
-          'Authorization': `Bearer ${tokens.access_token}`,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const page = await quickbooksTransactions.queryTransactions(tokens, 'Estimate', quickbooksTransactions.listOptions(req.query));
     
     res.json({
       success: true,
-      estimates: response.data.QueryResponse?.Estimate || []
+      estimates: page.items,
+      pagination: {
+        startPosition: page.startPosition,
+        maxResults: page.maxResults,
+        nextCursor: page.nextCursor
+      }
     });
     
   } catch (error) {
@@ -514,29 +608,29 @@ router.get('/estimates', authenticateUser, async (req, res) => {
   }
 });
 
-// Get invoices - for authenticated user's QuickBooks
-router.get('/invoices', authenticateUser, async (req, res) => {
+// Get invoices - for authenticated user's QuickBooks, same paging and filters as /estimates
+router.get('/invoices', authenticateUser, canUseQuickBooks, async (req, res) => {
   try {
     const tokens = await getValidUserTokens(req.user.id);
     if (!tokens) {
       return res.status(401).json({ error: 'QuickBooks not connected for this account' });
     }
     
-    const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+    const validationError = quickbooksTransactions.validateListQuery(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    const response = await axios.get(
-      `${baseUrl}/v3/company/${tokens.realm_id}/query?query=select * from Invoice ORDER BY TxnDate DESC MAXRESULTS 20`,
-      {
-        headers: {
-          'Authorization': `Bearer ${tokens.access_token}`,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const page = await quickbooksTransactions.queryTransactions(tokens, 'Invoice', quickbooksTransactions.listOptions(req.query));
     
     res.json({
       success: true,
-      invoices: response.data.QueryResponse?.Invoice || []
+      invoices: page.items,
+      pagination: {
+        startPosition: page.startPosition,
+        maxResults: page.maxResults,
+        nextCursor: page.nextCursor
+      }
     });
     
   } catch (error) {
@@ -548,4 +642,9 @@ router.get('/invoices', authenticateUser, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.getValidUserTokens = getValidUserTokens;
+module.exports.refreshUserTokens = refreshUserTokens;
+module.exports.upsertQuickBooksCustomer = upsertQuickBooksCustomer;
+module.exports.createQuickBooksEstimate = createQuickBooksEstimate;
+module.exports.createQuickBooksInvoice = createQuickBooksInvoice;
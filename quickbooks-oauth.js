@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('./database');
+
+// OAuth state for connecting QuickBooks, and revoking a connection. Shared by
+// quickbooks.js and quickbooks-multi-tenant.js.
+//
+// The state sent to Intuit is a random nonce stored server-side with the user who started
+// the connect, so a callback can't be forged to attach a company to someone else's account.
+// It expires, can only be used once, and must match a cookie set on the browser that
+// started the flow.
+
+const REVOKE_URL = 'https://developer.api.intuit.com/v2/oauth2/tokens/revoke';
+// Same limit as the QuickBooks calls in quickbooks-multi-tenant.js, so disconnect can't hang
+const REQUEST_TIMEOUT = 30 * 1000;
+
+const STATE_TTL = 10 * 60; // seconds
+const STATE_COOKIE = 'qb_oauth_state';
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+function stateCookieOptions(req) {
+  return {
+    httpOnly: true,
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    // Lax still sends it on Intuit's redirect back to the callback
+    sameSite: 'lax',
+    path: req.baseUrl || '/'
+  };
+}
+
+// Start a connect for the user - returns the state to send to Intuit
+async function createState(req, res, userId) {
+  const state = crypto.randomBytes(32).toString('hex');
+  await db.createOAuthState(state, userId, STATE_TTL);
+
+  res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(req), maxAge: STATE_TTL * 1000 });
+  return state;
+}
+
+// The user the callback's state was issued to, or null if it's unknown, expired, already
+// used, or was started in a different browser
+async function consumeState(req, res, state) {
+  const cookieState = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+
+  if (typeof state !== 'string' || !cookieState || cookieState.length !== state.length
+    || !crypto.timingSafeEqual(Buffer.from(cookieState), Buffer.from(state))) {
+    return null;
+  }
+
+  return await db.consumeOAuthState(state);
+}
+
+// Revoke the connection at Intuit. Revoking the refresh token revokes its access tokens too.
+async function revokeTokens(tokens) {
+  const clientId = process.env.QB_CLIENT_ID;
+  const clientSecret = process.env.QB_CLIENT_SECRET;
+  const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+  await axios.post(
+    REVOKE_URL,
+    { token: tokens.refresh_token },
+    {
+      timeout: REQUEST_TIMEOUT,
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': `Basic ${auth}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+}
+
+// Intuit answers 400 for a token it no longer knows - already revoked or expired
+function isAlreadyRevoked(error) {
+  return error.response?.status === 400;
+}
+
+module.exports = {
+  createState,
+  consumeState,
+  revokeTokens,
+  isAlreadyRevoked
+};
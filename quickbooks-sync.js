@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { authenticateUser, requireRole } = require('./middleware');
+const quickbooks = require('./quickbooks-multi-tenant');
+const quickbooksTransactions = require('./quickbooks-transactions');
+const { SYNCED_STATUS_TRANSITIONS } = require('./estimates');
+
+// Syncing is for owners and office
+const canUseQuickBooks = requireRole('owner', 'office');
+
+// Keeps the local estimates and invoices tables mirrored with QuickBooks. The first sync
+// (or one after a long gap) reads every estimate and invoice; after that only the changes
+// since the user's watermark are pulled with ChangeDataCapture.
+
+// ChangeDataCapture can't look further back than this
+const CDC_LOOKBACK_DAYS = 30;
+const TRANSACTION_SYNC_INTERVAL = 60 * 60 * 1000; // hourly
+
+// QuickBooks Estimate TxnStatus -> our estimate status
+const ESTIMATE_TXN_STATUSES = {
+  Accepted: 'accepted',
+  Rejected: 'declined',
+  Closed: 'converted'
+};
+
+// Estimates created in QuickBooks have already gone out to the customer
+const IMPORTED_ESTIMATE_STATUSES = {
+  Pending: 'sent',
+  ...ESTIMATE_TXN_STATUSES
+};
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Estimate-shaped data for an estimate created in QuickBooks, so it lists, prints and
+// shares like one generated here. SyncToken tells us when QuickBooks has a newer copy.
+function estimateDataFromQuickBooks(qbEstimate) {
+  const lines = (qbEstimate.Line || []).filter(line => line.DetailType === 'SalesItemLineDetail');
+  const tax = qbEstimate.TxnTaxDetail?.TotalTax || 0;
+
+  return {
+    projectInfo: {
+      summary: qbEstimate.CustomerMemo?.value || `QuickBooks estimate ${qbEstimate.DocNumber || qbEstimate.Id}`
+    },
+    serviceItems: lines.map(line => ({
+      service: null,
+      description: line.Description || line.SalesItemLineDetail?.ItemRef?.name || 'Service',
+      quantity: line.SalesItemLineDetail?.Qty || 1,
+      unit: 'ea',
+      rate: line.SalesItemLineDetail?.UnitPrice ?? line.Amount,
+      subtotal: line.Amount
+    })),
+    materialItems: [],
+    pricing: {
+      laborSubtotal: roundCents(lines.reduce((sum, line) => sum + (line.Amount || 0), 0)),
+      materialSubtotal: 0,
+      materialMarkup: 0,
+      tax: tax,
+      roundingAdjustment: 0,
+      total: qbEstimate.TotalAmt || 0
+    },
+    quickbooks: {
+      docNumber: qbEstimate.DocNumber || null,
+      txnDate: qbEstimate.TxnDate || null,
+      syncToken: qbEstimate.SyncToken
+    }
+  };
+}
+
+// Returns 'created', 'updated', 'deleted' or null if nothing changed
+async function mirrorEstimate(userId, qbEstimate) {
+  if (qbEstimate.status === 'Deleted') {
+    return await db.deleteImportedEstimate(userId, qbEstimate.Id) ? 'deleted' : null;
+  }
+
+  const existing = await db.getEstimateByQuickBooksId(userId, qbEstimate.Id);
+
+  if (!existing) {
+    const customerId = qbEstimate.CustomerRef ? await db.getLocalCustomerId(userId, qbEstimate.CustomerRef.value) : null;
+    const estimate = await db.saveEstimate(
+      userId,
+      qbEstimate.CustomerRef?.name || null,
+      qbEstimate.BillEmail?.Address || null,
+      estimateDataFromQuickBooks(qbEstimate),
+      qbEstimate.Id,
+      {
+        source: 'quickbooks',
+        customerId: customerId,
+        note: 'Imported from QuickBooks'
+      }
+    );
+    await db.setRevisionQuickBooksId(userId, estimate.id, 1, qbEstimate.Id);
+
+    const status = IMPORTED_ESTIMATE_STATUSES[qbEstimate.TxnStatus];
+    if (status) {
+      await db.updateEstimateStatus(userId, estimate.id, status);
+    }
+    return 'created';
+  }
+
+  // A QuickBooks estimate for an earlier revision - already linked, and superseded by the
+  // current revision's estimate, so its lines and status don't apply
+  if (existing.quickbooks_estimate_id !== qbEstimate.Id) {
+    return null;
+  }
+
+  let changed = false;
+
+  // Line changes only flow back into estimates that came from QuickBooks - ours are
+  // edited here and re-synced as revisions
+  if (existing.source === 'quickbooks' && existing.estimate_data?.quickbooks?.syncToken !== qbEstimate.SyncToken) {
+    const { revision } = await db.addEstimateRevision(userId, existing.id, estimateDataFromQuickBooks(qbEstimate), 'Updated in QuickBooks');
+    await db.setRevisionQuickBooksId(userId, existing.id, revision.revision_number, qbEstimate.Id);
+    changed = true;
+  }
+
+  const status = ESTIMATE_TXN_STATUSES[qbEstimate.TxnStatus];
+  if (status && SYNCED_STATUS_TRANSITIONS[existing.status].includes(status)) {
+    await db.updateEstimateStatus(userId, existing.id, status);
+    changed = true;
+  }
+
+  return changed ? 'updated' : null;
+}
+
+// Returns 'created', 'updated', 'deleted' or null if nothing changed
+async function mirrorInvoice(userId, qbInvoice) {
+  const existing = await db.getInvoiceByQuickBooksId(userId, qbInvoice.Id);
+
+  if (qbInvoice.status === 'Deleted') {
+    if (!existing || existing.status === 'void') {
+      return null;
+    }
+    await db.updateInvoiceData(userId, existing.id, existing.invoice_data, 'void');
+    return 'deleted';
+  }
+
+  if (!existing) {
+    // Invoices converted from an estimate in QuickBooks link back to it
+    const linkedEstimate = (qbInvoice.LinkedTxn || []).find(txn => txn.TxnType === 'Estimate');
+    const estimate = linkedEstimate ? await db.getEstimateByQuickBooksId(userId, linkedEstimate.TxnId) : null;
+    const customerId = estimate?.customer_id
+      || (qbInvoice.CustomerRef ? await db.getLocalCustomerId(userId, qbInvoice.CustomerRef.value) : null);
+
+    await db.saveInvoice(
+      userId,
+      qbInvoice.CustomerRef?.name || null,
+      qbInvoice.BillEmail?.Address || null,
+      qbInvoice,
+      qbInvoice.Id,
+      {
+        customerId: customerId,
+        propertyId: estimate?.property_id,
+        estimateId: estimate?.id
+      }
+    );
+    return 'created';
+  }
+
+  if (existing.invoice_data?.SyncToken === qbInvoice.SyncToken) {
+    return null;
+  }
+
+  await db.updateInvoiceData(userId, existing.id, qbInvoice);
+  return 'updated';
+}
+
+async function mirrorAll(userId, entities, mirror, label) {
+  const counts = { created: 0, updated: 0, deleted: 0, failed: 0 };
+
+  for (const entity of entities) {
+    try {
+      const result = await mirror(userId, entity);
+      if (result) {
+        counts[result]++;
+      }
+    } catch (error) {
+      console.error(`QuickBooks sync: failed to mirror ${label} ${entity.Id} for user ${userId}:`, error.message);
+      counts.failed++;
+    }
+  }
+
+  return counts;
+}
+
+// Bring the user's local estimates and invoices up to date with QuickBooks. Returns a
+// summary, or null if QuickBooks isn't connected. The watermark only moves forward when
+// everything was mirrored, so failures are retried on the next run. Deletions are only
+// seen through ChangeDataCapture, not by a full read.
+async function syncUserTransactions(userId) {
+  const tokens = await quickbooks.getValidUserTokens(userId);
+  if (!tokens) {
+    return null;
+  }
+
+  // Changes made while we're reading are picked up next time
+  const startedAt = new Date();
+  const state = await db.getSyncState(userId);
+  const cdcCutoff = new Date(startedAt.getTime() - CDC_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  let fullSync = !state
+    || state.realm_id !== tokens.realm_id
+    || new Date(state.last_synced_at) <= cdcCutoff;
+
+  let changes = null;
+  if (!fullSync) {
+    changes = await quickbooksTransactions.fetchChanges(tokens, ['Estimate', 'Invoice'], new Date(state.last_synced_at));
+
+    // ChangeDataCapture returns at most a page of each entity, so a busier window needs a full read
+    fullSync = Object.values(changes).some(list => list.length >= quickbooksTransactions.MAX_PAGE_SIZE);
+  }
+
+  if (fullSync) {
+    changes = {
+      Estimate: await quickbooksTransactions.queryAllTransactions(tokens, 'Estimate'),
+      Invoice: await quickbooksTransactions.queryAllTransactions(tokens, 'Invoice')
+    };
+  }
+
+  // Estimates first, so new invoices can link to them
+  const estimates = await mirrorAll(userId, changes.Estimate, mirrorEstimate, 'estimate');
+  const invoices = await mirrorAll(userId, changes.Invoice, mirrorInvoice, 'invoice');
+
+  await db.refreshInvoicePaymentStatus(userId);
+
+  const complete = estimates.failed === 0 && invoices.failed === 0;
+  if (complete) {
+    await db.saveSyncState(userId, tokens.realm_id, startedAt, fullSync);
+  }
+
+  return {
+    mode: fullSync ? 'full' : 'incremental',
+    changedSince: fullSync ? null : state.last_synced_at,
+    syncedAt: complete ? startedAt : state?.last_synced_at || null,
+    estimates: estimates,
+    invoices: invoices
+  };
+}
+
+// Background job - one user's failure doesn't stop the others
+async function syncAllTransactions() {
+  const userIds = await db.getConnectedUserIds();
+
+  for (const userId of userIds) {
+    try {
+      const result = await syncUserTransactions(userId);
+      if (result) {
+        const changed = ['created', 'updated', 'deleted', 'failed']
+          .reduce((sum, key) => sum + result.estimates[key] + result.invoices[key], 0);
+        if (changed > 0) {
+          console.log(`QuickBooks ${result.mode} sync for user ${userId}: estimates`, result.estimates, 'invoices', result.invoices);
+        }
+      }
+    } catch (error) {
+      console.error(`QuickBooks sync failed for user ${userId}:`, error.response?.data || error.message);
+    }
+  }
+}
+
+// When the user's estimates and invoices were last mirrored
+router.get('/', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const state = await db.getSyncState(req.user.id);
+
+    res.json({
+      success: true,
+      lastSyncedAt: state?.last_synced_at || null,
+      lastFullSyncAt: state?.last_full_sync_at || null,
+      realmId: state?.realm_id || null
+    });
+
+  } catch (error) {
+    console.error('Get sync state error:', error);
+    res.status(500).json({
+      error: 'Failed to get sync state',
+      details: error.message
+    });
+  }
+});
+
+// Sync now instead of waiting for the hourly job
+router.post('/', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const result = await syncUserTransactions(req.user.id);
+    if (!result) {
+      return res.status(401).json({ error: 'QuickBooks not connected for this account' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('QuickBooks sync error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to sync with QuickBooks',
+      details: error.response?.data || error.message
+    });
+  }
+});
+
+// Sync estimates and invoices every hour
+setInterval(syncAllTransactions, TRANSACTION_SYNC_INTERVAL);
+
+module.exports = router;
+module.exports.syncUserTransactions = syncUserTransactions;
+module.exports.syncAllTransactions = syncAllTransactions;
+module.exports.estimateDataFromQuickBooks = estimateDataFromQuickBooks;
+module.exports.ESTIMATE_TXN_STATUSES = ESTIMATE_TXN_STATUSES;
@@ -0,0 +1,146 @@
+const axios = require('axios');
+
+// Paged queries and ChangeDataCapture reads for QuickBooks estimates and invoices. Shared by
+// the /estimates and /invoices routes in quickbooks.js and quickbooks-multi-tenant.js and by
+// the incremental sync in quickbooks-sync.js.
+
+const SANDBOX_URL = 'https://sandbox-quickbooks.api.intuit.com';
+const PRODUCTION_URL = 'https://quickbooks.api.intuit.com';
+
+const DEFAULT_PAGE_SIZE = 20;
+// QuickBooks caps MAXRESULTS (and each ChangeDataCapture entity list) at 1000
+const MAX_PAGE_SIZE = 1000;
+
+function baseUrl() {
+  return process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+}
+
+function authHeaders(tokens) {
+  return {
+    'Authorization': `Bearer ${tokens.access_token}`,
+    'Accept': 'application/json'
+  };
+}
+
+// Checks ?cursor=, ?limit=, ?from=, ?to= and ?customer_id= on a list route
+function validateListQuery(query) {
+  if (query.cursor !== undefined && !/^[1-9]\d*$/.test(query.cursor)) {
+    return 'cursor must be the nextCursor from a previous page';
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+      return `limit must be between 1 and ${MAX_PAGE_SIZE}`;
+    }
+  }
+
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(query[field])) {
+      return `${field} must be YYYY-MM-DD`;
+    }
+  }
+
+  if (query.customer_id !== undefined && !/^\d+$/.test(query.customer_id)) {
+    return 'customer_id must be a QuickBooks customer Id';
+  }
+
+  return null;
+}
+
+// Options for queryTransactions from a validated list route query
+function listOptions(query) {
+  return {
+    startPosition: query.cursor ? parseInt(query.cursor, 10) : 1,
+    maxResults: query.limit ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE,
+    from: query.from,
+    to: query.to,
+    customerId: query.customer_id
+  };
+}
+
+// One page of Estimates or Invoices, newest first. Options: startPosition (1-based),
+// maxResults, from/to (TxnDate, YYYY-MM-DD), customerId (QuickBooks customer Id).
+// nextCursor is the startPosition of the following page, or null on the last page.
+async function queryTransactions(tokens, entityName, options = {}) {
+  const startPosition = options.startPosition || 1;
+  const maxResults = Math.min(options.maxResults || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const conditions = [];
+  if (options.from) {
+    conditions.push(`TxnDate >= '${options.from}'`);
+  }
+  if (options.to) {
+    conditions.push(`TxnDate <= '${options.to}'`);
+  }
+  if (options.customerId) {
+    conditions.push(`CustomerRef = '${options.customerId}'`);
+  }
+
+  const where = conditions.length > 0 ? ` where ${conditions.join(' and ')}` : '';
+  const query = `select * from ${entityName}${where} ORDER BY TxnDate DESC STARTPOSITION ${startPosition} MAXRESULTS ${maxResults}`;
+
+  const response = await axios.get(
+    `${baseUrl()}/v3/company/${tokens.realm_id}/query?query=${encodeURIComponent(query)}`,
+    { headers: authHeaders(tokens) }
+  );
+
+  const items = response.data.QueryResponse?.[entityName] || [];
+
+  return {
+    items: items,
+    startPosition: startPosition,
+    maxResults: maxResults,
+    nextCursor: items.length === maxResults ? String(startPosition + maxResults) : null
+  };
+}
+
+// Every Estimate, Invoice or Payment in the company, a page at a time. Takes the same
+// from/to/customerId filters as queryTransactions.
+async function queryAllTransactions(tokens, entityName, filters = {}) {
+  const all = [];
+  let startPosition = 1;
+
+  while (startPosition) {
+    const page = await queryTransactions(tokens, entityName, { ...filters, startPosition, maxResults: MAX_PAGE_SIZE });
+    all.push(...page.items);
+    startPosition = page.nextCursor ? parseInt(page.nextCursor, 10) : null;
+  }
+
+  return all;
+}
+
+// Entities changed since a time, by name - e.g. { Estimate: [...], Invoice: [...] }. Deleted
+// entities come back as { Id, status: 'Deleted' }. QuickBooks only looks back 30 days.
+async function fetchChanges(tokens, entityNames, changedSince) {
+  const response = await axios.get(
+    `${baseUrl()}/v3/company/${tokens.realm_id}/cdc?entities=${entityNames.join(',')}&changedSince=${encodeURIComponent(changedSince.toISOString())}`,
+    { headers: authHeaders(tokens) }
+  );
+
+  const changes = {};
+  entityNames.forEach(name => {
+    changes[name] = [];
+  });
+
+  (response.data.CDCResponse || []).forEach(cdc => {
+    (cdc.QueryResponse || []).forEach(queryResponse => {
+      entityNames.forEach(name => {
+        if (queryResponse[name]) {
+          changes[name].push(...queryResponse[name]);
+        }
+      });
+    });
+  });
+
+  return changes;
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  validateListQuery,
+  listOptions,
+  queryTransactions,
+  queryAllTransactions,
+  fetchChanges
+};
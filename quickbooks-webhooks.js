@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('./database');
+const quickbooks = require('./quickbooks-multi-tenant');
+const payments = require('./payments');
+const { SYNCED_STATUS_TRANSITIONS } = require('./estimates');
+const { ESTIMATE_TXN_STATUSES } = require('./quickbooks-sync');
+
+// Intuit webhook notifications. Mounted ahead of the JSON body parser because the
+// intuit-signature header is an HMAC of the raw body.
+
+const SANDBOX_URL = 'https://sandbox-quickbooks.api.intuit.com';
+const PRODUCTION_URL = 'https://quickbooks.api.intuit.com';
+
+// intuit-signature is the base64 HMAC-SHA256 of the body keyed with the app's verifier token
+function verifySignature(rawBody, signature, verifierToken) {
+  if (!signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', verifierToken).update(rawBody).digest();
+  const received = Buffer.from(signature, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+async function getQuickBooksEntity(tokens, entityName, id) {
+  const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+
+  const response = await axios.get(
+    `${baseUrl}/v3/company/${tokens.realm_id}/${entityName.toLowerCase()}/${id}`,
+    {
+      headers: {
+        'Authorization': `Bearer ${tokens.access_token}`,
+        'Accept': 'application/json'
+      }
+    }
+  );
+
+  return response.data[entityName];
+}
+
+async function handleInvoiceChange(userId, tokens, entity) {
+  const invoice = await db.getInvoiceByQuickBooksId(userId, entity.id);
+  if (!invoice) {
+    return;
+  }
+
+  if (entity.operation === 'Delete') {
+    await db.updateInvoiceData(userId, invoice.id, invoice.invoice_data, 'void');
+    return;
+  }
+
+  const qbInvoice = await getQuickBooksEntity(tokens, 'Invoice', entity.id);
+  await db.updateInvoiceData(userId, invoice.id, qbInvoice, entity.operation === 'Void' ? 'void' : null);
+  await db.refreshInvoicePaymentStatus(userId);
+}
+
+async function handleEstimateChange(userId, tokens, entity) {
+  if (entity.operation === 'Delete') {
+    return;
+  }
+
+  // Estimates for earlier revisions have been superseded
+  const estimate = await db.getEstimateByQuickBooksId(userId, entity.id);
+  if (!estimate || estimate.quickbooks_estimate_id !== entity.id) {
+    return;
+  }
+
+  const qbEstimate = await getQuickBooksEntity(tokens, 'Estimate', entity.id);
+  const status = ESTIMATE_TXN_STATUSES[qbEstimate.TxnStatus];
+
+  if (status && SYNCED_STATUS_TRANSITIONS[estimate.status].includes(status)) {
+    await db.updateEstimateStatus(userId, estimate.id, status);
+  }
+}
+
+async function handlePaymentChange(userId, tokens, entity) {
+  // Edits can move a payment between invoices, so start from a clean slate either way
+  await db.deletePayment(userId, entity.id);
+
+  if (entity.operation !== 'Delete') {
+    const payment = await getQuickBooksEntity(tokens, 'Payment', entity.id);
+    await payments.storePayment(userId, payment, await payments.getOurInvoiceIds(userId));
+  }
+
+  await db.refreshInvoicePaymentStatus(userId);
+}
+
+async function handleCustomerChange(userId, tokens, entity) {
+  if (entity.operation === 'Delete' || entity.operation === 'Merge') {
+    return;
+  }
+
+  const qbCustomer = await getQuickBooksEntity(tokens, 'Customer', entity.id);
+  const email = qbCustomer.PrimaryEmailAddr?.Address || null;
+  const mappings = await db.updateQuickBooksCustomerDetails(userId, entity.id, qbCustomer.DisplayName, email);
+
+  for (const mapping of mappings) {
+    if (/^\d+$/.test(mapping.local_customer_id || '')) {
+      await db.updateCustomerContact(userId, mapping.local_customer_id, {
+        name: qbCustomer.DisplayName,
+        email: email,
+        phone: qbCustomer.PrimaryPhone?.FreeFormNumber
+      });
+    }
+  }
+}
+
+const ENTITY_HANDLERS = {
+  Invoice: handleInvoiceChange,
+  Estimate: handleEstimateChange,
+  Payment: handlePaymentChange,
+  Customer: handleCustomerChange
+};
+
+// Apply every changed entity to each user connected to the notifying company
+async function processNotifications(payload) {
+  for (const notification of payload.eventNotifications || []) {
+    const entities = (notification.dataChangeEvent?.entities || []).filter(entity => ENTITY_HANDLERS[entity.name]);
+    if (entities.length === 0) {
+      continue;
+    }
+
+    const userIds = await db.getUserIdsByRealmId(notification.realmId);
+    if (userIds.length === 0) {
+      console.log(`QuickBooks webhook for unknown realm ${notification.realmId}`);
+      continue;
+    }
+
+    for (const userId of userIds) {
+      const tokens = await quickbooks.getValidUserTokens(userId);
+      if (!tokens) {
+        console.error(`QuickBooks webhook: no valid tokens for user ${userId}`);
+        continue;
+      }
+
+      for (const entity of entities) {
+        try {
+          await ENTITY_HANDLERS[entity.name](userId, tokens, entity);
+        } catch (error) {
+          console.error(`QuickBooks webhook: failed to apply ${entity.operation} ${entity.name} ${entity.id} for user ${userId}:`,
+            error.response?.data || error.message);
+        }
+      }
+    }
+  }
+}
+
+router.post('/', express.raw({ type: '*/*' }), (req, res) => {
+  const verifierToken = process.env.QB_WEBHOOK_VERIFIER_TOKEN;
+  if (!verifierToken) {
+    console.error('QuickBooks webhook received but QB_WEBHOOK_VERIFIER_TOKEN is not set');
+    return res.status(500).json({ error: 'Webhook verification is not configured' });
+  }
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!verifySignature(rawBody, req.headers['intuit-signature'], verifierToken)) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON payload' });
+  }
+
+  // Intuit expects a quick 200, so the changes are applied after responding
+  res.status(200).json({ received: true });
+
+  processNotifications(payload).catch(error => {
+    console.error('QuickBooks webhook processing error:', error);
+  });
+});
+
+module.exports = router;
+module.exports.verifySignature = verifySignature;
+module.exports.processNotifications = processNotifications;
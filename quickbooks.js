@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const axios = require('axios');
 const db = require('./database');
+const { selectTier } = require('./estimator');
+const quickbooksItems = require('./quickbooks-items');
+const quickbooksOAuth = require('./quickbooks-oauth');
+const quickbooksTransactions = require('./quickbooks-transactions');
 
 // QuickBooks OAuth URLs
 const SANDBOX_URL = 'https://sandbox-quickbooks.api.intuit.com';
@@ -68,10 +72,10 @@ async function getValidTokens() {
         }
       );
       
-      const { access_token, refresh_token, expires_in } = tokenResponse.data;
+      const { access_token, refresh_token, expires_in, x_refresh_token_expires_in } = tokenResponse.data;
       
       // Save new tokens
-      await db.saveTokens(currentRealmId, access_token, refresh_token, expires_in);
+      await db.saveTokens(currentRealmId, access_token, refresh_token, expires_in, x_refresh_token_expires_in);
       
       // Return the new tokens
       return await db.getTokens(currentRealmId);
@@ -111,7 +115,7 @@ router.get('/test', (req, res) => {
   res.json({ message: 'Test route works!' });
 });
 
-router.get('/auth', (req, res) => {
+router.get('/auth', async (req, res) => {
   if (!process.env.QB_CLIENT_ID || !process.env.QB_CLIENT_SECRET) {
     return res.status(500).json({
       error: 'QuickBooks credentials not configured',
@@ -123,7 +127,14 @@ router.get('/auth', (req, res) => {
   const redirectUri = process.env.QB_REDIRECT_URI || 'https://landscaping-ai-app-production.up.railway.app/api/quickbooks/callback';
   const scope = 'com.intuit.quickbooks.accounting';
   const responseType = 'code';
-  const state = 'testState123';
+  
+  let state;
+  try {
+    state = await quickbooksOAuth.createState(req, res, db.LEGACY_USER_ID);
+  } catch (error) {
+    console.error('OAuth state error:', error);
+    return res.status(500).json({ error: 'Failed to start QuickBooks connection', details: error.message });
+  }
   
   const authUrl = `https://appcenter.intuit.com/connect/oauth2?` +
     `client_id=${clientId}` +
@@ -149,6 +160,15 @@ router.get('/callback', async (req, res) => {
     return res.status(400).json({ error: 'Missing authorization code or realm ID' });
   }
   
+  const userId = await quickbooksOAuth.consumeState(req, res, state);
+  if (userId !== db.LEGACY_USER_ID) {
+    return res.status(400).send(`
+      <h1>QuickBooks Connection Failed</h1>
+      <p>This connection link has expired or was already used.</p>
+      <a href="/api/quickbooks/auth">Connect again</a>
+    `);
+  }
+  
   try {
     // Exchange authorization code for tokens
     const clientId = process.env.QB_CLIENT_ID;
@@ -175,10 +195,10 @@ router.get('/callback', async (req, res) => {
       }
     );
     
-    const { access_token, refresh_token, expires_in } = tokenResponse.data;
+    const { access_token, refresh_token, expires_in, x_refresh_token_expires_in } = tokenResponse.data;
     
     // Save tokens to database
-    await db.saveTokens(realmId, access_token, refresh_token, expires_in);
+    await db.saveTokens(realmId, access_token, refresh_token, expires_in, x_refresh_token_expires_in);
     currentRealmId = realmId;
     
     res.send(`
@@ -201,6 +221,33 @@ router.get('/callback', async (req, res) => {
   }
 });
 
+// Revoke the connection at Intuit and remove the saved tokens
+router.post('/disconnect', async (req, res) => {
+  try {
+    const tokens = await db.getUserTokens(db.LEGACY_USER_ID);
+    if (!tokens) {
+      return res.status(404).json({ error: 'Not connected to QuickBooks' });
+    }
+    
+    try {
+      await quickbooksOAuth.revokeTokens(tokens);
+    } catch (error) {
+      if (!quickbooksOAuth.isAlreadyRevoked(error)) {
+        throw error;
+      }
+    }
+    
+    await db.deleteUserTokens(db.LEGACY_USER_ID);
+    currentRealmId = null;
+    
+    res.json({ success: true, message: 'QuickBooks disconnected' });
+    
+  } catch (error) {
+    console.error('QuickBooks disconnect error:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to disconnect QuickBooks' });
+  }
+});
+
 // Test QuickBooks API connection
 router.get('/company-info', async (req, res) => {
   try {
@@ -345,10 +392,27 @@ router.post('/create-customer', async (req, res) => {
   }
 });
 
+// Customer-facing memo - names the chosen option on tiered estimates
+function estimateMemo(estimate_data) {
+  const summary = estimate_data.projectInfo?.summary || 'Landscaping Estimate';
+  const tierName = estimate_data.tier && estimate_data.tiers?.[estimate_data.tier]?.name;
+  return tierName ? `${summary} - ${tierName} option` : summary;
+}
+
 // Create estimate in QuickBooks
 router.post('/create-estimate', async (req, res) => {
   try {
-    const { customerId, estimate_data } = req.body;
+    const { customerId, estimate_id, tier } = req.body;
+    let { estimate_data } = req.body;
+    
+    // Tiered estimates are synced as the option the customer picked
+    if (tier) {
+      estimate_data = selectTier(estimate_data, tier);
+      if (!estimate_data) {
+        return res.status(400).json({ error: `Estimate has no ${tier} tier` });
+      }
+    }
+
     
     const tokens = await getValidTokens();
     if (!tokens) {
@@ -357,57 +421,8 @@ router.post('/create-estimate', async (req, res) => {
     
     const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
     
-    // Build line items from estimate
-    const lineItems = [];
-    
-    // Add service items
-    if (estimate_data.serviceItems && estimate_data.serviceItems.length > 0) {
-      estimate_data.serviceItems.forEach(item => {
-        lineItems.push({
-          DetailType: 'SalesItemLineDetail',
-          Amount: item.subtotal,
-          Description: `${item.description} - ${item.quantity} ${item.unit} @ $${item.rate}/${item.unit}`,
-          SalesItemLineDetail: {
-            ItemRef: {
-              value: '1', // You'll need to create/map actual QB items
-              name: 'Services'
-            }
-          }
-        });
-      });
-    }
-    
-    // Add material items
-    if (estimate_data.materialItems && estimate_data.materialItems.length > 0) {
-      estimate_data.materialItems.forEach(item => {
-        lineItems.push({
-          DetailType: 'SalesItemLineDetail',
-          Amount: item.subtotal,
-          Description: `${item.description} - ${item.quantity} ${item.unit}`,
-          SalesItemLineDetail: {
-            ItemRef: {
-              value: '2', // You'll need to create/map actual QB items
-              name: 'Materials'
-            }
-          }
-        });
-      });
-    }
-    
-    // Ensure we have at least one line item
-    if (lineItems.length === 0) {
-      lineItems.push({
-        DetailType: 'SalesItemLineDetail',
-        Amount: estimate_data.pricing?.total || 0,
-        Description: estimate_data.projectInfo?.summary || 'Landscaping Services',
-        SalesItemLineDetail: {
-          ItemRef: {
-            value: '1',
-            name: 'Services'
-          }
-        }
-      });
-    }
+    // Lines use the user's price book Item mappings
+    const lineItems = await quickbooksItems.buildLineItems(tokens, estimate_data);
     
     const estimatePayload = {
       Line: lineItems,
@@ -417,7 +432,7 @@ router.post('/create-estimate', async (req, res) => {
       TxnDate: new Date().toISOString().split('T')[0],
       ExpirationDate: new Date(Date.now() + 30*24*60*60*1000).toISOString().split('T')[0], // 30 days
       CustomerMemo: {
-        value: estimate_data.projectInfo?.summary || 'Landscaping Estimate'
+        value: estimateMemo(estimate_data)
       }
     };
     
@@ -433,17 +448,17 @@ router.post('/create-estimate', async (req, res) => {
       }
     );
     
-    // Save to local database
-    if (estimate_data.customer_name || estimate_data.customer_email) {
-      await db.pool.query(
-        `INSERT INTO estimates (customer_name, customer_email, estimate_data, quickbooks_estimate_id)
-         VALUES ($1, $2, $3, $4)`,
-        [
-          estimate_data.customer_name || 'Unknown',
-          estimate_data.customer_email || '',
-          JSON.stringify(estimate_data),
-          response.data.Estimate.Id
-        ]
+    // Link the estimate saved by the webhook, or save it to the local database
+    if (estimate_id) {
+      await db.setEstimateQuickBooksId(db.LEGACY_USER_ID, estimate_id, response.data.Estimate.Id);
+    } else if (estimate_data.customer_name || estimate_data.customer_email) {
+      await db.saveEstimate(
+        db.LEGACY_USER_ID,
+        estimate_data.customer_name || 'Unknown',
+        estimate_data.customer_email || '',
+        estimate_data,
+        response.data.Estimate.Id,
+        { source: 'quickbooks/create-estimate' }
       );
     }
     
@@ -461,7 +476,8 @@ router.post('/create-estimate', async (req, res) => {
   }
 });
 
-// Get estimates from QuickBooks
+// Get estimates from QuickBooks - page with ?cursor= and ?limit=, filter by ?from=/?to=
+// (TxnDate, YYYY-MM-DD) and ?customer_id= (QuickBooks customer Id)
 router.get('/estimates', async (req, res) => {
   try {
     const tokens = await getValidTokens();
@@ -469,21 +485,21 @@ router.get('/estimates', async (req, res) => {
       return res.status(401).json({ error: 'Not connected to QuickBooks or token expired' });
     }
     
-    const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+    const validationError = quickbooksTransactions.validateListQuery(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    const response = await axios.get(
-      `${baseUrl}/v3/company/${currentRealmId}/query?query=select * from Estimate ORDER BY TxnDate DESC MAXRESULTS 20`,
-      {
-        headers: {
-          'Authorization': `Bearer ${tokens.access_token}`,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const page = await quickbooksTransactions.queryTransactions(tokens, 'Estimate', quickbooksTransactions.listOptions(req.query));
     
     res.json({
       success: true,
-      estimates: response.data.QueryResponse?.Estimate || []
+      estimates: page.items,
+      pagination: {
+        startPosition: page.startPosition,
+        maxResults: page.maxResults,
+        nextCursor: page.nextCursor
+      }
     });
     
   } catch (error) {
@@ -495,7 +511,7 @@ router.get('/estimates', async (req, res) => {
   }
 });
 
-// Get invoices from QuickBooks
+// Get invoices from QuickBooks - same paging and filters as /estimates
 router.get('/invoices', async (req, res) => {
   try {
     const tokens = await getValidTokens();
@@ -503,21 +519,21 @@ router.get('/invoices', async (req, res) => {
       return res.status(401).json({ error: 'Not connected to QuickBooks or token expired' });
     }
     
-    const baseUrl = process.env.QB_ENVIRONMENT === 'production' ? PRODUCTION_URL : SANDBOX_URL;
+    const validationError = quickbooksTransactions.validateListQuery(req.query);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    const response = await axios.get(
-      `${baseUrl}/v3/company/${currentRealmId}/query?query=select * from Invoice ORDER BY TxnDate DESC MAXRESULTS 20`,
-      {
-        headers: {
-          'Authorization': `Bearer ${tokens.access_token}`,
-          'Accept': 'application/json'
-        }
-      }
-    );
+    const page = await quickbooksTransactions.queryTransactions(tokens, 'Invoice', quickbooksTransactions.listOptions(req.query));
     
     res.json({
       success: true,
-      invoices: response.data.QueryResponse?.Invoice || []
+      invoices: page.items,
+      pagination: {
+        startPosition: page.startPosition,
+        maxResults: page.maxResults,
+        nextCursor: page.nextCursor
+      }
     });
     
   } catch (error) {
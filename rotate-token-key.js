@@ -0,0 +1,24 @@
+// Re-encrypts every stored QuickBooks token under the current TOKEN_ENCRYPTION_KEYS key.
+//
+// To rotate:
+//   1. Generate a key: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+//   2. Put it first in TOKEN_ENCRYPTION_KEYS, keeping the old key after it, and restart the server
+//   3. npm run rotate-token-key
+//   4. Remove the old key from TOKEN_ENCRYPTION_KEYS
+require('dotenv').config();
+const db = require('./database');
+
+async function main() {
+  await db.ready;
+
+  const count = await db.reencryptTokens();
+  console.log(`Re-encrypted QuickBooks tokens for ${count} connection(s)`);
+}
+
+main()
+  .then(() => db.pool.end())
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Token key rotation failed:', error.message);
+    process.exit(1);
+  });
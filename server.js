@@ -1,316 +1,88 @@
 const express = require('express');
 const multer = require('multer');
-const OpenAI = require('openai');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 const db = require('./database');
+const pricing = require('./pricing');
+const estimates = require('./estimates');
+const measurements = require('./measurements');
+const share = require('./share');
+const invoices = require('./invoices');
+const customers = require('./customers');
+const properties = require('./properties');
+const billing = require('./billing');
+const payments = require('./payments');
+const itemMappings = require('./item-mappings');
+const quickbooksSync = require('./quickbooks-sync');
+const syncJobs = require('./sync-jobs');
+const quickbooksWebhooks = require('./quickbooks-webhooks');
+const auth = require('./auth');
+const organization = require('./organization');
+const quickbooksRoutes = require('./quickbooks-multi-tenant');
+// Schedules the nightly QuickBooks token refresh
+require('./token-refresh');
+const { openai, analyzeConversation, generateEstimate } = require('./estimator');
+const { authenticateContractor } = require('./middleware');
 require('dotenv').config();
 
 const app = express();
 const port = 3000;
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Railway puts one proxy in front of the app. Trusting exactly that hop makes req.ip the
+// address the proxy saw, not whatever a client writes into X-Forwarded-For.
+app.set('trust proxy', 1);
 
+// Intuit signs the raw request body, so this has to come before JSON parsing
+app.use('/webhook/quickbooks', quickbooksWebhooks);
 
 // Add middleware
 app.use(express.json());
 app.use(cors());
 const upload = multer({ dest: 'uploads/' });
 
-// Try to load QuickBooks routes with verbose debugging
-console.log('=== QuickBooks Module Loading Debug ===');
-console.log('Current directory:', __dirname);
-console.log('Looking for quickbooks.js...');
-
-try {
-  // Check if file exists first
-  const quickbooksPath = './quickbooks.js';
-  const absolutePath = path.join(__dirname, 'quickbooks.js');
-  
-  console.log('Checking path:', quickbooksPath);
-  console.log('Absolute path:', absolutePath);
-  console.log('File exists (relative)?', fs.existsSync(quickbooksPath));
-  console.log('File exists (absolute)?', fs.existsSync(absolutePath));
-  
-  // List all .js files in current directory
-  const jsFiles = fs.readdirSync('.').filter(f => f.endsWith('.js'));
-  console.log('All .js files in directory:', jsFiles);
-  
-  if (fs.existsSync(quickbooksPath)) {
-    console.log('quickbooks.js found, attempting to require...');
-    const quickbooksRoutes = require('./quickbooks');
-    console.log('QuickBooks module loaded, type:', typeof quickbooksRoutes);
-    console.log('QuickBooks module is router?', quickbooksRoutes && quickbooksRoutes.name === 'router');
-    
-    app.use('/api/quickbooks', quickbooksRoutes);
-    console.log('✅ QuickBooks routes mounted at /api/quickbooks');
-  } else {
-    console.error('❌ quickbooks.js file NOT found');
-    // Add fallback route
-    app.get('/api/quickbooks/status', (req, res) => {
-      res.json({ 
-        error: 'QuickBooks module not found',
-        filesInDirectory: jsFiles
-      });
-    });
-  }
-} catch (error) {
-  console.error('❌ Failed to load QuickBooks routes:', error.message);
-  console.error('Full error:', error);
-  // Add fallback route with error details
-  app.get('/api/quickbooks/status', (req, res) => {
-    res.json({ 
-      error: 'QuickBooks module failed to load',
-      message: error.message,
-      stack: error.stack
-    });
-  });
+// Accounts, and each contractor's own QuickBooks connection
+app.use('/api/auth', auth);
+app.use('/api/organization', organization);
+app.use('/api/quickbooks', quickbooksRoutes);
+
+app.use('/api/pricing', pricing);
+app.use('/api/estimates', estimates);
+app.use('/api/estimates/:id/billing', billing);
+app.use('/api/measurements', measurements);
+app.use('/api/invoices', invoices);
+app.use('/api/payments', payments);
+app.use('/api/quickbooks/items', itemMappings);
+app.use('/api/quickbooks/sync', quickbooksSync);
+app.use('/api/sync-jobs', syncJobs);
+app.use('/api/customers', customers);
+app.use('/api/properties', properties);
+app.use('/share', share);
+
+// Good/better/best options are requested with tiers=true (a form field on audio uploads)
+function wantsTiers(req) {
+  return req.body.tiers === true || req.body.tiers === 'true';
 }
 
-console.log('=== End QuickBooks Debug ===');
-
-const PRICING_DATABASE = {
-  'lawn_installation': { rate: 0.75, unit: 'sq ft', description: 'New lawn installation' },
-  'lawn_seeding': { rate: 0.35, unit: 'sq ft', description: 'Lawn seeding and prep' },
-  'sod_installation': { rate: 1.25, unit: 'sq ft', description: 'Sod installation' },
-  'paver_installation': { rate: 12, unit: 'sq ft', description: 'Paver installation with base prep' },
-  'concrete_patio': { rate: 8, unit: 'sq ft', description: 'Concrete patio installation' },
-  'mulch_installation': { rate: 0.85, unit: 'sq ft', description: 'Mulch installation' },
-  'flower_bed_prep': { rate: 2.50, unit: 'sq ft', description: 'Flower bed preparation' },
-  'retaining_wall': { rate: 25, unit: 'linear ft', description: 'Retaining wall installation' },
-  'fence_installation': { rate: 35, unit: 'linear ft', description: 'Fence installation' },
-  'deck_staining': { rate: 2.75, unit: 'sq ft', description: 'Deck cleaning and staining' },
-  'drainage_repair': { rate: 85, unit: 'hour', description: 'Drainage system repair' },
-  'sprinkler_repair': { rate: 75, unit: 'hour', description: 'Sprinkler system repair' },
-  'tree_removal': { rate: 125, unit: 'hour', description: 'Tree removal service' },
-  'bush_trimming': { rate: 65, unit: 'hour', description: 'Bush and shrub trimming' },
-  'general_cleanup': { rate: 55, unit: 'hour', description: 'General landscape cleanup' },
-  'weed_removal': { rate: 45, unit: 'hour', description: 'Weed removal and treatment' },
-  'design_consultation': { rate: 150, unit: 'project', description: 'Landscape design consultation' },
-  'soil_testing': { rate: 75, unit: 'project', description: 'Soil testing and analysis' },
-  'permit_assistance': { rate: 200, unit: 'project', description: 'Permit application assistance' }
-};
-
-const MATERIAL_COSTS = {
-  'sod': { cost: 0.45, unit: 'sq ft' },
-  'mulch': { cost: 0.35, unit: 'sq ft' },
-  'pavers': { cost: 4.50, unit: 'sq ft' },
-  'concrete': { cost: 3.25, unit: 'sq ft' },
-  'topsoil': { cost: 35, unit: 'cubic yard' },
-  'gravel': { cost: 25, unit: 'cubic yard' },
-  'sand': { cost: 20, unit: 'cubic yard' },
-  'stone': { cost: 45, unit: 'cubic yard' },
-  'lumber': { cost: 4.25, unit: 'linear ft' },
-  'plants': { cost: 25, unit: 'each' }
-};
-
-// Authentication middleware
-function authenticateWebhook(req, res, next) {
-  const apiKey = req.headers['x-api-key'];
-  const validKey = process.env.WEBHOOK_API_KEY;
-  
-  if (validKey && apiKey !== validKey) {
-    return res.status(401).json({ error: 'Invalid API key' });
-  }
-  
-  next();
-}
-
-async function analyzeConversation(transcription) {
-  const prompt = `You are an expert landscaping project analyzer. A customer had a conversation about their landscaping needs. 
-
-Please analyze this conversation and extract key project information in JSON format:
-
-Customer conversation: "${transcription}"
-
-Respond with a JSON object containing:
-{
-  "projectSummary": "Brief 1-2 sentence summary of what they want",
-  "services": ["list", "of", "specific", "landscaping", "services"],
-  "materials": ["list", "of", "materials", "mentioned", "or", "likely", "needed"],
-  "problemAreas": ["specific", "issues", "they", "mentioned"],
-  "projectScope": "small/medium/large based on description",
-  "estimatedDuration": "rough timeline estimate",
-  "notes": ["any", "special", "requests", "or", "important", "details"]
+// Crew record conversations without seeing prices - they get the saved draft's id, and the
+// office reviews the estimate
+function estimateFor(req, estimate) {
+  return req.member.role === 'crew' ? undefined : estimate;
 }
 
-Focus on landscaping-specific terminology and be practical about what's achievable.`;
-
-  try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: "You are a professional landscaping project analyzer. Always respond with valid JSON." },
-        { role: "user", content: prompt }
-      ],
-      max_tokens: 800,
-      temperature: 0.3
-    });
-
-    const analysisText = response.choices[0].message.content;
-    console.log('GPT-4 Analysis:', analysisText);
-    
-    const analysis = JSON.parse(analysisText);
-    return analysis;
-    
-  } catch (error) {
-    console.error('Analysis error:', error);
-    return {
-      projectSummary: "Error analyzing project - please review transcription manually",
-      services: ["Manual review needed"],
-      materials: [],
-      problemAreas: [],
-      projectScope: "unknown",
-      estimatedDuration: "TBD",
-      notes: ["AI analysis failed - transcription: " + transcription]
-    };
-  }
-}
-
-async function generateEstimate(analysis, measurements = {}) {
-  try {
-    const estimatePrompt = `Based on this landscaping project analysis, provide quantity estimates and map services to pricing categories.
-
-Project Analysis: ${JSON.stringify(analysis)}
-Optional measurements: ${JSON.stringify(measurements)}
-
-Available service categories: ${Object.keys(PRICING_DATABASE).join(', ')}
-Available materials: ${Object.keys(MATERIAL_COSTS).join(', ')}
-
-Respond with a JSON object:
-{
-  "serviceItems": [
-    {
-      "service": "service_key_from_database",
-      "description": "What this service includes",
-      "quantity": 100,
-      "unit": "sq ft",
-      "estimatedHours": 4,
-      "notes": "Any special considerations"
-    }
-  ],
-  "materialItems": [
-    {
-      "material": "material_key_from_database", 
-      "description": "Material description",
-      "quantity": 100,
-      "unit": "sq ft"
-    }
-  ],
-  "projectComplexity": "low/medium/high",
-  "recommendedMeasurements": ["what should be measured on-site"],
-  "assumptions": ["key assumptions made for this estimate"]
-}
-
-Be conservative with quantities if measurements aren't provided. Focus on the most likely services needed.`;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: "You are a landscaping estimator. Always respond with valid JSON." },
-        { role: "user", content: estimatePrompt }
-      ],
-      max_tokens: 1000,
-      temperature: 0.2
-    });
-
-    const estimateData = JSON.parse(response.choices[0].message.content);
-    
-    let totalServiceCost = 0;
-    let totalMaterialCost = 0;
-    let totalLaborHours = 0;
-
-    const serviceLineItems = estimateData.serviceItems.map(item => {
-      const priceData = PRICING_DATABASE[item.service];
-      if (!priceData) {
-        console.warn(`Service not found in pricing database: ${item.service}`);
-        return null;
-      }
-
-      const subtotal = item.quantity * priceData.rate;
-      totalServiceCost += subtotal;
-      totalLaborHours += item.estimatedHours || 0;
-
-      return {
-        description: item.description || priceData.description,
-        quantity: item.quantity,
-        unit: item.unit || priceData.unit,
-        rate: priceData.rate,
-        subtotal: subtotal,
-        hours: item.estimatedHours || 0,
-        notes: item.notes || ''
-      };
-    }).filter(Boolean);
-
-    const materialLineItems = estimateData.materialItems.map(item => {
-      const materialData = MATERIAL_COSTS[item.material];
-      if (!materialData) {
-        console.warn(`Material not found in database: ${item.material}`);
-        return null;
-      }
-
-      const subtotal = item.quantity * materialData.cost;
-      totalMaterialCost += subtotal;
-
-      return {
-        description: item.description || `${item.material} (${materialData.unit})`,
-        quantity: item.quantity,
-        unit: item.unit || materialData.unit,
-        cost: materialData.cost,
-        subtotal: subtotal
-      };
-    }).filter(Boolean);
-
-    const materialMarkup = 1.25;
-    const markedUpMaterials = totalMaterialCost * materialMarkup;
-    const subtotal = totalServiceCost + markedUpMaterials;
-    const taxRate = 0.08;
-    const tax = subtotal * taxRate;
-    const total = subtotal + tax;
-
-    return {
-      projectInfo: {
-        summary: analysis.projectSummary,
-        scope: analysis.projectScope,
-        estimatedDuration: analysis.estimatedDuration
-      },
-      serviceItems: serviceLineItems,
-      materialItems: materialLineItems,
-      pricing: {
-        laborSubtotal: totalServiceCost,
-        materialSubtotal: totalMaterialCost,
-        materialMarkup: markedUpMaterials - totalMaterialCost,
-        subtotal: subtotal,
-        tax: tax,
-        total: total,
-        totalHours: totalLaborHours
-      },
-      metadata: {
-        complexity: estimateData.projectComplexity,
-        assumptions: estimateData.assumptions,
-        recommendedMeasurements: estimateData.recommendedMeasurements,
-        createdDate: new Date().toLocaleDateString()
-      }
-    };
-
-  } catch (error) {
-    console.error('Estimate generation error:', error);
-    return {
-      error: 'Failed to generate estimate',
-      message: error.message
-    };
-  }
-}
 
 // Original transcribe route
-app.post('/transcribe', upload.single('audio'), async (req, res) => {
+app.post('/transcribe', authenticateContractor, upload.single('audio'), async (req, res) => {
   try {
     console.log('Received audio file:', req.file);
     console.log('File size:', req.file.size, 'bytes');
     
+    const siteMeasurements = measurements.parseMeasurementInput(req.body.measurements);
+    if (siteMeasurements.error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: siteMeasurements.error });
+    }
+    
     const filePath = req.file.path;
     let newFilePath = filePath;
     
@@ -343,16 +115,22 @@ app.post('/transcribe', upload.single('audio'), async (req, res) => {
     console.log('Analysis complete:', analysis);
     
     console.log('Generating estimate...');
-    const estimate = await generateEstimate(analysis);
+    const estimate = await generateEstimate(analysis, siteMeasurements.measurements, req.user.id, { tiers: wantsTiers(req) });
     
     console.log('Estimate generated:', estimate);
     
+    const savedEstimate = await estimates.persistEstimate(req.user.id, estimate, {
+      source: 'transcribe',
+      transcription: transcription.text
+    });
+    
     fs.unlinkSync(newFilePath);
     
     res.json({ 
       text: transcription.text,
       analysis: analysis,
-      estimate: estimate
+      estimate: estimateFor(req, estimate),
+      estimateId: savedEstimate?.id || null
     });
     
   } catch (error) {
@@ -373,7 +151,7 @@ app.post('/transcribe', upload.single('audio'), async (req, res) => {
 });
 
 // Webhook endpoints
-app.post('/webhook/analyze-text', authenticateWebhook, async (req, res) => {
+app.post('/webhook/analyze-text', authenticateContractor, async (req, res) => {
   try {
     const { text, customer_info } = req.body;
     
@@ -381,17 +159,28 @@ app.post('/webhook/analyze-text', authenticateWebhook, async (req, res) => {
       return res.status(400).json({ error: 'Text is required' });
     }
 
+    const siteMeasurements = measurements.parseMeasurementInput(req.body.measurements);
+    if (siteMeasurements.error) {
+      return res.status(400).json({ error: siteMeasurements.error });
+    }
+
     console.log('Webhook received text:', text);
     
     const analysis = await analyzeConversation(text);
-    const estimate = await generateEstimate(analysis);
+    const estimate = await generateEstimate(analysis, siteMeasurements.measurements, req.user.id, { tiers: wantsTiers(req) });
+    const savedEstimate = await estimates.persistEstimate(req.user.id, estimate, {
+      source: 'webhook/analyze-text',
+      transcription: text,
+      customerInfo: customer_info
+    });
     
     res.json({
       success: true,
       customer_info: customer_info || {},
       transcription: text,
       analysis: analysis,
-      estimate: estimate,
+      estimate: estimateFor(req, estimate),
+      estimateId: savedEstimate?.id || null,
       timestamp: new Date().toISOString()
     });
     
@@ -405,7 +194,7 @@ app.post('/webhook/analyze-text', authenticateWebhook, async (req, res) => {
 });
 // Add this enhanced webhook to your server.js
 
-app.post('/webhook/analyze-and-sync', authenticateWebhook, async (req, res) => {
+app.post('/webhook/analyze-and-sync', authenticateContractor, async (req, res) => {
   try {
     const { text, customer_info, sync_to_quickbooks } = req.body;
     
@@ -413,59 +202,41 @@ app.post('/webhook/analyze-and-sync', authenticateWebhook, async (req, res) => {
       return res.status(400).json({ error: 'Text is required' });
     }
 
+    if (sync_to_quickbooks && !['owner', 'office'].includes(req.member.role)) {
+      return res.status(403).json({ error: 'Only owners and office can sync to QuickBooks' });
+    }
+
+    const siteMeasurements = measurements.parseMeasurementInput(req.body.measurements);
+    if (siteMeasurements.error) {
+      return res.status(400).json({ error: siteMeasurements.error });
+    }
+
     console.log('Webhook received text:', text);
     
     // Generate estimate from conversation
     const analysis = await analyzeConversation(text);
-    const estimate = await generateEstimate(analysis);
+    const estimate = await generateEstimate(analysis, siteMeasurements.measurements, req.user.id, { tiers: wantsTiers(req) });
+    const savedEstimate = await estimates.persistEstimate(req.user.id, estimate, {
+      source: 'webhook/analyze-and-sync',
+      transcription: text,
+      customerInfo: customer_info
+    });
     
     let quickbooksResult = null;
     
-    // Sync to QuickBooks if requested
+    // Queue the QuickBooks sync - the job retries until QuickBooks takes it, and its
+    // status can be checked at /api/sync-jobs/:id
     if (sync_to_quickbooks && customer_info) {
-      try {
-        // First create/update customer
-        const customerResponse = await fetch('http://localhost:3000/api/quickbooks/create-customer', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ customer_info })
-        });
-        
-        if (!customerResponse.ok) {
-          throw new Error('Failed to create customer in QuickBooks');
-        }
-        
-        const customerData = await customerResponse.json();
-        
-        // Then create the estimate
-        const estimatePayload = {
-          customerId: customerData.customer.Id,
-          estimate_data: {
-            ...estimate,
-            customer_name: customer_info.name,
-            customer_email: customer_info.email
-          }
-        };
-        
-        const estimateResponse = await fetch('http://localhost:3000/api/quickbooks/create-estimate', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(estimatePayload)
-        });
-        
-        if (!estimateResponse.ok) {
-          throw new Error('Failed to create estimate in QuickBooks');
-        }
-        
-        quickbooksResult = await estimateResponse.json();
-        
-      } catch (qbError) {
-        console.error('QuickBooks sync error:', qbError);
-        quickbooksResult = { error: qbError.message };
+      if (savedEstimate) {
+        const { job, created } = await syncJobs.enqueue(
+          savedEstimate.user_id,
+          'quickbooks.create-estimate',
+          `quickbooks.create-estimate:${savedEstimate.id}`,
+          { estimateId: savedEstimate.id, customer_info }
+        );
+        quickbooksResult = { jobId: job.id, status: job.status, queued: created };
+      } else {
+        quickbooksResult = { error: 'Estimate could not be saved, so it was not queued for QuickBooks' };
       }
     }
     
@@ -474,7 +245,8 @@ app.post('/webhook/analyze-and-sync', authenticateWebhook, async (req, res) => {
       customer_info: customer_info || {},
       transcription: text,
       analysis: analysis,
-      estimate: estimate,
+      estimate: estimateFor(req, estimate),
+      estimateId: savedEstimate?.id || null,
       quickbooks: quickbooksResult,
       timestamp: new Date().toISOString()
     });
@@ -488,7 +260,7 @@ app.post('/webhook/analyze-and-sync', authenticateWebhook, async (req, res) => {
   }
 });
 
-app.post('/webhook/analyze-audio', upload.single('audio'), async (req, res) => {
+app.post('/webhook/analyze-audio', authenticateContractor, upload.single('audio'), async (req, res) => {
   try {
     const { customer_info } = req.body;
     
@@ -496,6 +268,12 @@ app.post('/webhook/analyze-audio', upload.single('audio'), async (req, res) => {
       return res.status(400).json({ error: 'Audio file is required' });
     }
 
+    const siteMeasurements = measurements.parseMeasurementInput(req.body.measurements);
+    if (siteMeasurements.error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: siteMeasurements.error });
+    }
+
     console.log('Webhook received audio file:', req.file);
     
     const filePath = req.file.path;
@@ -517,16 +295,23 @@ app.post('/webhook/analyze-audio', upload.single('audio'), async (req, res) => {
     });
     
     const analysis = await analyzeConversation(transcription.text);
-    const estimate = await generateEstimate(analysis);
+    const estimate = await generateEstimate(analysis, siteMeasurements.measurements, req.user.id, { tiers: wantsTiers(req) });
+    const customerInfo = JSON.parse(customer_info || '{}');
+    const savedEstimate = await estimates.persistEstimate(req.user.id, estimate, {
+      source: 'webhook/analyze-audio',
+      transcription: transcription.text,
+      customerInfo: customerInfo
+    });
     
     fs.unlinkSync(newFilePath);
     
     res.json({
       success: true,
-      customer_info: JSON.parse(customer_info || '{}'),
+      customer_info: customerInfo,
       transcription: transcription.text,
       analysis: analysis,
-      estimate: estimate,
+      estimate: estimateFor(req, estimate),
+      estimateId: savedEstimate?.id || null,
       timestamp: new Date().toISOString()
     });
     
@@ -547,7 +332,7 @@ app.get('/webhook/status', (req, res) => {
   });
 });
 
-app.post('/webhook/estimate-only', authenticateWebhook, async (req, res) => {
+app.post('/webhook/estimate-only', authenticateContractor, async (req, res) => {
   try {
     const { analysis, customer_info } = req.body;
     
@@ -555,12 +340,22 @@ app.post('/webhook/estimate-only', authenticateWebhook, async (req, res) => {
       return res.status(400).json({ error: 'Analysis object is required' });
     }
 
-    const estimate = await generateEstimate(analysis);
+    const siteMeasurements = measurements.parseMeasurementInput(req.body.measurements);
+    if (siteMeasurements.error) {
+      return res.status(400).json({ error: siteMeasurements.error });
+    }
+
+    const estimate = await generateEstimate(analysis, siteMeasurements.measurements, req.user.id, { tiers: wantsTiers(req) });
+    const savedEstimate = await estimates.persistEstimate(req.user.id, estimate, {
+      source: 'webhook/estimate-only',
+      customerInfo: customer_info
+    });
     
     res.json({
       success: true,
       customer_info: customer_info || {},
-      estimate: estimate,
+      estimate: estimateFor(req, estimate),
+      estimateId: savedEstimate?.id || null,
       timestamp: new Date().toISOString()
     });
     
@@ -590,14 +385,13 @@ app.get('/api/debug-files', (req, res) => {
 
 app.use(express.static('.'));
 
-db.initializeDatabase().then(() => {
+// database.js starts initializing as soon as it's loaded - wait for that run rather
+// than starting a second one
+db.ready.then(() => {
   console.log('Database initialization complete');
-}).catch(err => {
-  console.error('Failed to initialize database:', err);
 });
 
 app.listen(port, () => {
   console.log(`Server is ready! Running on port ${port}`);
   console.log('Current working directory:', process.cwd());
-  console.log('QuickBooks file check:', fs.existsSync('./quickbooks.js') ? '✅ Found' : '❌ Not found');
 });
\ No newline at end of file
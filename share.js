@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { selectTier } = require('./estimator');
+
+// Customer-facing estimate pages. These are public - the share token in the URL is the
+// only credential - so they only ever show one estimate and never any contractor data
+// beyond the business contact details.
+
+// Statuses a customer can still accept or decline from
+const RESPONDABLE_STATUSES = ['draft', 'sent'];
+
+router.use(express.urlencoded({ extended: false }));
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function money(value) {
+  return `$${Number(value || 0).toFixed(2)}`;
+}
+
+// Legacy estimates aren't owned by a real user, so they get unbranded pages
+async function getBusiness(estimate) {
+  if (!/^\d+$/.test(estimate.user_id)) {
+    return null;
+  }
+  return await db.getUserById(estimate.user_id);
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: Arial; padding: 20px; max-width: 800px; margin: 0 auto; background-color: #f5f5f5; color: black; }
+        .container { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        h1, h3 { color: white; background: #666; padding: 10px; border-radius: 4px; margin: 10px 0; }
+        .business { color: #444; margin-bottom: 20px; }
+        table { width: 100%; border-collapse: collapse; margin: 10px 0; }
+        th, td { padding: 8px; text-align: left; border-bottom: 1px solid #ddd; }
+        th { background: #666; color: white; }
+        .total-row { display: flex; justify-content: space-between; padding: 5px 0; border-bottom: 1px solid #ddd; }
+        .total-final { font-size: 18px; font-weight: bold; border-top: 2px solid #4CAF50; border-bottom: none; }
+        .tier { border: 2px solid #e0e0e0; border-radius: 8px; padding: 10px; margin: 8px 0; display: block; }
+        .banner { padding: 15px; border-radius: 5px; margin: 15px 0; font-weight: bold; }
+        .banner-accepted { background-color: #e8f5e8; color: #2e7d32; }
+        .banner-declined, .banner-closed { background-color: #ffebee; color: #c62828; }
+        input[type=text], textarea { width: 100%; padding: 8px; box-sizing: border-box; margin: 5px 0 10px; }
+        button { padding: 12px 20px; margin: 5px 5px 5px 0; font-size: 16px; border: none; border-radius: 8px; cursor: pointer; font-weight: bold; color: white; }
+        .accept { background-color: #4CAF50; }
+        .decline { background-color: #f44336; }
+    </style>
+</head>
+<body>
+    <div class="container">
+${body}
+    </div>
+</body>
+</html>`;
+}
+
+function renderBusiness(business) {
+  if (!business) {
+    return '<h1>Landscaping Estimate</h1>';
+  }
+
+  const address = [business.address, business.city, business.state, business.zip].filter(Boolean).join(', ');
+  const contact = [business.owner_name, business.phone, business.email, address].filter(Boolean).map(escapeHtml);
+
+  return `
+        <h1>${escapeHtml(business.business_name || 'Landscaping Estimate')}</h1>
+        <div class="business">${contact.join(' &middot; ')}</div>`;
+}
+
+function renderTotals(pricing) {
+  const rows = [
+    ['Labor', pricing.laborSubtotal],
+    // Material markup is folded into the material total on customer copies
+    ['Materials', pricing.materialSubtotal + pricing.materialMarkup],
+    ['Tax', pricing.tax]
+  ];
+
+  if (pricing.roundingAdjustment) {
+    rows.push(['Rounding', pricing.roundingAdjustment]);
+  }
+
+  return `
+        <div>
+${rows.map(([label, value]) => `            <div class="total-row"><span>${label}</span><span>${money(value)}</span></div>`).join('\n')}
+            <div class="total-row total-final"><span>Total</span><span>${money(pricing.total)}</span></div>
+        </div>`;
+}
+
+function renderLineItems(estimateData) {
+  const services = (estimateData.serviceItems || []).map(item => `
+                <tr><td>${escapeHtml(item.description)}</td><td>${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}</td><td>${money(item.subtotal)}</td></tr>`).join('');
+
+  const materials = (estimateData.materialItems || []).map(item => `
+                <tr><td>${escapeHtml(item.description)}</td><td>${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}</td></tr>`).join('');
+
+  return `
+        <h3>Work Included</h3>
+        <table>
+            <thead><tr><th>Service</th><th>Quantity</th><th>Amount</th></tr></thead>
+            <tbody>${services}
+            </tbody>
+        </table>
+        ${materials ? `
+        <h3>Materials</h3>
+        <table>
+            <thead><tr><th>Material</th><th>Quantity</th></tr></thead>
+            <tbody>${materials}
+            </tbody>
+        </table>` : ''}
+        ${renderTotals(estimateData.pricing)}`;
+}
+
+// Tier choices become radio buttons in the response form
+function renderTierChoices(estimateData) {
+  return Object.entries(estimateData.tiers).map(([tier, option]) => `
+            <label class="tier">
+                <input type="radio" name="tier" value="${escapeHtml(tier)}" ${tier === estimateData.tier ? 'checked' : ''}>
+                <strong>${escapeHtml(option.name)}</strong> - ${money(option.pricing.total)}
+                <div>${escapeHtml(option.description)}</div>
+            </label>`).join('');
+}
+
+function renderResponseSection(estimate, responses, token) {
+  const latest = responses[0];
+
+  if (estimate.status === 'accepted' || estimate.status === 'converted') {
+    return `
+        <div class="banner banner-accepted">
+            Accepted${latest ? ` by ${escapeHtml(latest.signer_name)} on ${new Date(latest.signed_at).toLocaleString()}` : ''}. Thank you!
+        </div>`;
+  }
+
+  if (estimate.status === 'declined') {
+    return `
+        <div class="banner banner-declined">
+            Declined${latest ? ` by ${escapeHtml(latest.signer_name)} on ${new Date(latest.signed_at).toLocaleString()}` : ''}.
+        </div>`;
+  }
+
+  if (!RESPONDABLE_STATUSES.includes(estimate.status)) {
+    return `
+        <div class="banner banner-closed">This estimate has expired. Please contact us for an updated estimate.</div>`;
+  }
+
+  const estimateData = estimate.estimate_data;
+
+  return `
+        <h3>Your Response</h3>
+        <form method="POST" action="/share/${escapeHtml(token)}/respond">
+            ${estimateData.tiers ? `<p><strong>Choose an option:</strong></p>${renderTierChoices(estimateData)}` : ''}
+            <label>Type your full name to sign</label>
+            <input type="text" name="signer_name" maxlength="255" required>
+            <label>Comments (optional)</label>
+            <textarea name="comment" rows="3"></textarea>
+            <button type="submit" name="decision" value="accepted" class="accept">Accept Estimate</button>
+            <button type="submit" name="decision" value="declined" class="decline">Decline</button>
+        </form>`;
+}
+
+// Read-only estimate with accept/decline form
+router.get('/:token', async (req, res) => {
+  try {
+    const estimate = await db.getEstimateByShareToken(req.params.token);
+    if (!estimate) {
+      return res.status(404).send(renderPage('Estimate not found', `
+        <h1>Estimate not found</h1>
+        <p>This link is no longer active. Please contact us for a new link.</p>`));
+    }
+
+    const business = await getBusiness(estimate);
+    const responses = await db.getEstimateResponses(estimate.id);
+    const estimateData = estimate.estimate_data;
+    const projectInfo = estimateData.projectInfo || {};
+
+    res.send(renderPage(`Estimate #${estimate.id}`, `
+        ${renderBusiness(business)}
+        <p><strong>Estimate #${estimate.id}</strong> &middot; ${new Date(estimate.created_at).toLocaleDateString()}</p>
+        ${estimate.customer_name ? `<p>Prepared for ${escapeHtml(estimate.customer_name)}</p>` : ''}
+        <h3>Project</h3>
+        <p>${escapeHtml(projectInfo.summary)}</p>
+        ${projectInfo.estimatedDuration ? `<p><strong>Estimated duration:</strong> ${escapeHtml(projectInfo.estimatedDuration)}</p>` : ''}
+        ${estimateData.tiers ? `<p><strong>Option shown:</strong> ${escapeHtml(estimateData.tiers[estimateData.tier]?.name)}</p>` : ''}
+        ${renderLineItems(estimateData)}
+        ${renderResponseSection(estimate, responses, req.params.token)}`));
+
+  } catch (error) {
+    console.error('Share page error:', error);
+    res.status(500).send(renderPage('Error', '<h1>Something went wrong</h1><p>Please try again later.</p>'));
+  }
+});
+
+// Accept or decline with a typed-name signature
+router.post('/:token/respond', async (req, res) => {
+  try {
+    const { decision, tier, comment } = req.body;
+    const signerName = (req.body.signer_name || '').trim();
+
+    const estimate = await db.getEstimateByShareToken(req.params.token);
+    if (!estimate) {
+      return res.status(404).send(renderPage('Estimate not found', `
+        <h1>Estimate not found</h1>
+        <p>This link is no longer active. Please contact us for a new link.</p>`));
+    }
+
+    const backLink = `<p><a href="/share/${escapeHtml(req.params.token)}">Back to the estimate</a></p>`;
+
+    if (!['accepted', 'declined'].includes(decision) || !signerName) {
+      return res.status(400).send(renderPage('Signature required', `
+        <h1>Signature required</h1>
+        <p>Please type your full name and choose Accept or Decline.</p>${backLink}`));
+    }
+
+    if (!RESPONDABLE_STATUSES.includes(estimate.status)) {
+      return res.redirect(303, `/share/${req.params.token}`);
+    }
+
+    // Accepting a different option saves it as a new revision so that's what gets synced.
+    // It's written with the response, so a response that loses a race leaves no revision.
+    let revision = null;
+    if (decision === 'accepted' && tier && estimate.estimate_data.tiers && tier !== estimate.estimate_data.tier) {
+      const selected = Object.prototype.hasOwnProperty.call(estimate.estimate_data.tiers, tier)
+        && selectTier(estimate.estimate_data, tier);
+      if (!selected) {
+        return res.status(400).send(renderPage('Unknown option', `
+        <h1>Unknown option</h1>${backLink}`));
+      }
+
+      revision = {
+        estimateData: selected,
+        note: `Customer chose ${selected.tiers[tier].name} option`
+      };
+    }
+
+    await db.recordEstimateResponse(estimate.id, RESPONDABLE_STATUSES, {
+      decision: decision,
+      revisionNumber: estimate.current_revision,
+      revision: revision,
+      signerName: signerName.slice(0, 255),
+      signerIp: req.ip,
+      userAgent: req.headers['user-agent'],
+      comment: comment
+    });
+
+    res.redirect(303, `/share/${req.params.token}`);
+
+  } catch (error) {
+    console.error('Share response error:', error);
+    res.status(500).send(renderPage('Error', '<h1>Something went wrong</h1><p>Please try again later.</p>'));
+  }
+});
+
+module.exports = router;
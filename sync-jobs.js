@@ -0,0 +1,280 @@
+const express = require('express');
+const router = express.Router();
+const db = require('./database');
+const { authenticateUser, requireRole } = require('./middleware');
+const quickbooks = require('./quickbooks-multi-tenant');
+const { resolveQuickBooksCustomer } = require('./estimates');
+
+// The queue only carries QuickBooks work - owners and office only
+const canUseQuickBooks = requireRole('owner', 'office');
+
+// Persistent queue for work sent to QuickBooks. Jobs live in the sync_jobs table, so a
+// QuickBooks outage or a restart delays them instead of losing them. Failed attempts are
+// retried with exponential backoff; jobs that can't succeed, or run out of attempts, are
+// dead-lettered and can be replayed from /api/sync-jobs.
+
+const JOB_STATUSES = ['pending', 'running', 'succeeded', 'dead'];
+
+const QUEUE_POLL_INTERVAL = 30 * 1000;
+const BATCH_SIZE = 10;
+// A running job whose worker died is picked up again after this long
+const STALE_LOCK_MINUTES = 10;
+// An attempt that hasn't finished by now is abandoned and retried, well inside the lock
+// so another worker doesn't reclaim the job while this one is still on it
+const JOB_TIMEOUT = 5 * 60 * 1000;
+
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// Used when a 429 response has no Retry-After header
+const RATE_LIMIT_DELAY = 60 * 1000;
+
+// QuickBooks throttles per company - once a user is rate limited their other jobs wait too
+const throttledUntil = new Map();
+
+function retryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  // Jitter so jobs that failed together don't all retry together
+  return delay + Math.floor(Math.random() * delay * 0.2);
+}
+
+// Client errors won't go away on retry; auth and timeouts might
+function isPermanentError(error) {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+}
+
+function describeError(error) {
+  const data = error.response?.data;
+  if (data) {
+    return typeof data === 'string' ? data : JSON.stringify(data.Fault || data);
+  }
+  return error.message;
+}
+
+// Create the QuickBooks customer and estimate for a saved estimate. The requestids make
+// the creates safe to repeat if an attempt dies after QuickBooks has done the work.
+async function createEstimateJob(job, signal) {
+  const { estimateId, customer_info } = job.payload;
+
+  const estimate = await db.getEstimateById(job.user_id, estimateId);
+  if (!estimate) {
+    return { error: `Estimate ${estimateId} no longer exists` };
+  }
+
+  // Synced by an earlier attempt, or from the estimate's own sync route
+  if (estimate.quickbooks_estimate_id) {
+    return { quickbooksEstimateId: estimate.quickbooks_estimate_id, alreadySynced: true };
+  }
+
+  const tokens = await quickbooks.getValidUserTokens(job.user_id);
+  if (!tokens) {
+    throw new Error('QuickBooks not connected for this account');
+  }
+
+  const { customerId, error } = await resolveQuickBooksCustomer(tokens, estimate, { customer_info }, {
+    requestId: `job-${job.id}-customer`
+  });
+  if (error) {
+    return { error: error };
+  }
+
+  const qbEstimate = await quickbooks.createQuickBooksEstimate(tokens, customerId, estimate.estimate_data, {
+    requestId: `job-${job.id}-estimate`
+  });
+
+  // A retry owns the job once this attempt has timed out - leave the link to it
+  signal.throwIfAborted();
+  await db.setRevisionQuickBooksId(job.user_id, estimate.id, estimate.current_revision, qbEstimate.Id);
+
+  return {
+    quickbooksEstimateId: qbEstimate.Id,
+    quickbooksCustomerId: customerId,
+    revision: estimate.current_revision
+  };
+}
+
+// Handlers return the job result, or { error } when retrying can't help. Thrown errors
+// are retried. Each gets an AbortSignal that fires when the attempt times out, and must
+// not write anything after that.
+const JOB_HANDLERS = {
+  'quickbooks.create-estimate': createEstimateJob
+};
+
+// Run a handler with an AbortSignal, giving up (and aborting the signal) after `ms`
+function withTimeout(run, ms, message) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.job_type];
+  if (!handler) {
+    await db.deadLetterSyncJob(job.id, `Unknown job type ${job.job_type}`);
+    return;
+  }
+
+  const throttled = throttledUntil.get(job.user_id);
+  if (throttled > Date.now()) {
+    await db.retrySyncJob(job.id, job.last_error, new Date(throttled), true);
+    return;
+  }
+
+  try {
+    const result = await withTimeout(signal => handler(job, signal), JOB_TIMEOUT, `Timed out after ${JOB_TIMEOUT / 1000}s`);
+    if (result.error) {
+      console.error(`Sync job ${job.id} (${job.job_type}) dead-lettered: ${result.error}`);
+      await db.deadLetterSyncJob(job.id, result.error);
+      return;
+    }
+
+    await db.completeSyncJob(job.id, result);
+
+  } catch (error) {
+    const message = describeError(error);
+
+    if (error.response?.status === 429) {
+      const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+      const until = Date.now() + (retryAfter > 0 ? retryAfter * 1000 : RATE_LIMIT_DELAY);
+      throttledUntil.set(job.user_id, until);
+      console.log(`QuickBooks rate limit for user ${job.user_id}, pausing their sync jobs until ${new Date(until).toISOString()}`);
+      await db.retrySyncJob(job.id, message, new Date(until), true);
+    } else if (isPermanentError(error) || job.attempts >= job.max_attempts) {
+      console.error(`Sync job ${job.id} (${job.job_type}) dead-lettered after ${job.attempts} attempts:`, message);
+      await db.deadLetterSyncJob(job.id, message);
+    } else {
+      console.error(`Sync job ${job.id} (${job.job_type}) attempt ${job.attempts} failed, will retry:`, message);
+      await db.retrySyncJob(job.id, message, new Date(Date.now() + retryDelay(job.attempts)));
+    }
+  }
+}
+
+let processing = false;
+
+// Run every due job. Overlapping calls are dropped - the running pass picks their jobs up.
+async function processQueue() {
+  if (processing) {
+    return;
+  }
+
+  processing = true;
+  try {
+    let jobs;
+    do {
+      jobs = await db.claimSyncJobs(BATCH_SIZE, STALE_LOCK_MINUTES);
+      for (const job of jobs) {
+        await runJob(job);
+      }
+    } while (jobs.length === BATCH_SIZE);
+  } catch (error) {
+    console.error('Sync queue error:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+// Queue a job and start working on it straight away. Returns { job, created } - created
+// is false when a job with the same idempotency key was already queued.
+async function enqueue(userId, jobType, idempotencyKey, payload) {
+  if (!JOB_HANDLERS[jobType]) {
+    throw new Error(`Unknown job type ${jobType}`);
+  }
+
+  const queued = await db.enqueueSyncJob(userId, jobType, idempotencyKey, payload);
+  setImmediate(processQueue);
+  return queued;
+}
+
+// Jobs for the user - filter by ?status= and ?type=, page with ?limit= and ?offset=
+router.get('/', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const jobs = await db.getUserSyncJobs(req.user.id, { status, jobType: type, limit, offset });
+
+    res.json({
+      success: true,
+      jobs: jobs,
+      limit: limit,
+      offset: offset
+    });
+
+  } catch (error) {
+    console.error('List sync jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to list sync jobs',
+      details: error.message
+    });
+  }
+});
+
+router.get('/:id', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const job = await db.getSyncJobById(req.user.id, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+
+    res.json({
+      success: true,
+      job: job
+    });
+
+  } catch (error) {
+    console.error('Get sync job error:', error);
+    res.status(500).json({
+      error: 'Failed to get sync job',
+      details: error.message
+    });
+  }
+});
+
+// Run a dead-lettered job again with a fresh set of attempts
+router.post('/:id/replay', authenticateUser, canUseQuickBooks, async (req, res) => {
+  try {
+    const job = await db.getSyncJobById(req.user.id, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+
+    if (job.status !== 'dead') {
+      return res.status(409).json({ error: `Only dead-lettered jobs can be replayed (this one is ${job.status})` });
+    }
+
+    const replayed = await db.replaySyncJob(req.user.id, job.id);
+    setImmediate(processQueue);
+
+    res.json({
+      success: true,
+      job: replayed
+    });
+
+  } catch (error) {
+    console.error('Replay sync job error:', error);
+    res.status(500).json({
+      error: 'Failed to replay sync job',
+      details: error.message
+    });
+  }
+});
+
+// Pick up due retries
+setInterval(processQueue, QUEUE_POLL_INTERVAL);
+
+module.exports = router;
+module.exports.enqueue = enqueue;
+module.exports.processQueue = processQueue;
+module.exports.JOB_STATUSES = JOB_STATUSES;
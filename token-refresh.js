@@ -0,0 +1,70 @@
+const cron = require('node-cron');
+const db = require('./database');
+const quickbooks = require('./quickbooks-multi-tenant');
+
+// QuickBooks refresh tokens lapse about 100 days after they were issued, and tokens are
+// otherwise only refreshed when the app talks to QuickBooks. This job refreshes every
+// connection ahead of that, so contractors who don't use the app for a while stay
+// connected. Connections that can't be refreshed are flagged with needs_reauth and show
+// up in /api/quickbooks/status as needing a reconnect.
+
+// Refresh once the refresh token has this long left
+const REFRESH_WINDOW_DAYS = 30;
+// Nightly, outside business hours
+const REFRESH_SCHEDULE = '15 3 * * *';
+
+let running = false;
+
+async function refreshExpiringTokens() {
+  if (running) {
+    return null;
+  }
+
+  running = true;
+  const summary = { refreshed: 0, failed: 0, needsReconnect: 0 };
+
+  try {
+    const flagged = await db.flagExpiredRefreshTokens();
+    summary.needsReconnect += flagged.length;
+
+    const userIds = await db.getUserIdsDueForTokenRefresh(REFRESH_WINDOW_DAYS);
+
+    for (const userId of userIds) {
+      try {
+        // Tokens we can't decrypt throw here, before refreshing, so a key problem never
+        // flags the connection for reconnecting
+        const tokens = await db.getUserTokens(userId);
+        if (!tokens) {
+          continue;
+        }
+
+        await quickbooks.refreshUserTokens(userId, tokens);
+        summary.refreshed++;
+      } catch (error) {
+        summary.failed++;
+        const connection = await db.getUserTokens(userId).catch(() => null);
+        if (connection?.needs_reauth) {
+          summary.needsReconnect++;
+        }
+        console.error(`Background token refresh failed for user ${userId}:`, error.response?.data || error.message);
+      }
+    }
+
+    if (userIds.length > 0 || flagged.length > 0) {
+      console.log('QuickBooks token refresh:', summary);
+    }
+    return summary;
+  } catch (error) {
+    console.error('QuickBooks token refresh error:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+}
+
+cron.schedule(REFRESH_SCHEDULE, refreshExpiringTokens);
+
+module.exports = {
+  refreshExpiringTokens,
+  REFRESH_WINDOW_DAYS
+};
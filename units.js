@@ -0,0 +1,157 @@
+// Unit conversions for bulk materials that are priced by volume or weight
+// (topsoil, gravel, sand, stone) but installed over an area at some depth.
+
+const CUBIC_FEET_PER_CUBIC_YARD = 27;
+const INCHES_PER_FOOT = 12;
+
+// Bulk material units the converter can produce
+const BULK_UNITS = ['cubic yard', 'ton'];
+
+// How deep each bulk material is laid, how heavy it is, and which sq ft services
+// it goes under. Contractors can override these in their pricing settings.
+const DEFAULT_BULK_MATERIALS = {
+  topsoil: {
+    depthInches: 4,
+    tonsPerCubicYard: 1.1,
+    services: ['lawn_installation', 'lawn_seeding', 'sod_installation', 'flower_bed_prep']
+  },
+  gravel: {
+    depthInches: 4,
+    tonsPerCubicYard: 1.4,
+    services: ['paver_installation', 'concrete_patio']
+  },
+  sand: {
+    depthInches: 1,
+    tonsPerCubicYard: 1.35,
+    services: ['paver_installation']
+  },
+  stone: {
+    depthInches: 3,
+    tonsPerCubicYard: 1.3,
+    services: []
+  }
+};
+
+// Extra material ordered to cover settling, spillage and uneven grades (0.1 = 10%)
+const DEFAULT_WASTE_FACTOR = 0.1;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toCubicYards(areaSqFt, depthInches) {
+  return (areaSqFt * (depthInches / INCHES_PER_FOOT)) / CUBIC_FEET_PER_CUBIC_YARD;
+}
+
+function cubicYardsToTons(cubicYards, tonsPerCubicYard) {
+  return cubicYards * tonsPerCubicYard;
+}
+
+function applyWaste(quantity, wasteFactor) {
+  return quantity * (1 + wasteFactor);
+}
+
+// Quantity of a bulk material needed to cover `areaSqFt`, in the unit it is priced in.
+// Returns { quantity, basis } where basis explains the calculation, or null when the
+// unit isn't a bulk unit or the material has no density for a ton conversion.
+function bulkQuantity(materialKey, unit, areaSqFt, settings = {}, depthInches = null) {
+  if (!BULK_UNITS.includes(unit) || !(areaSqFt > 0)) {
+    return null;
+  }
+
+  const bulkMaterials = settings.bulkMaterials || DEFAULT_BULK_MATERIALS;
+  const config = bulkMaterials[materialKey] || {};
+  const depth = depthInches || config.depthInches;
+  const wasteFactor = settings.wasteFactor !== undefined ? settings.wasteFactor : DEFAULT_WASTE_FACTOR;
+
+  if (!(depth > 0)) {
+    return null;
+  }
+
+  let quantity = toCubicYards(areaSqFt, depth);
+  let basis = `${round(areaSqFt)} sq ft × ${depth} in`;
+
+  if (unit === 'ton') {
+    if (!(config.tonsPerCubicYard > 0)) {
+      return null;
+    }
+    quantity = cubicYardsToTons(quantity, config.tonsPerCubicYard);
+    basis += ` × ${config.tonsPerCubicYard} tons/cu yd`;
+  }
+
+  if (wasteFactor > 0) {
+    quantity = applyWaste(quantity, wasteFactor);
+    basis += ` + ${round(wasteFactor * 100)}% waste`;
+  }
+
+  return { quantity: round(quantity), basis: basis };
+}
+
+// Set bulk material quantities from the sq ft services they are installed under,
+// replacing the AI's guesses. Lines already quantified from site measurements are left
+// alone. Returns notes describing each line that was recalculated.
+function quantifyBulkMaterials(estimateData, settings = {}) {
+  const bulkMaterials = settings.bulkMaterials || DEFAULT_BULK_MATERIALS;
+  const notes = [];
+
+  estimateData.materialItems = (estimateData.materialItems || []).map(item => {
+    const config = bulkMaterials[item.material];
+    if (!config || item.measured || !BULK_UNITS.includes(item.unit)) {
+      return item;
+    }
+
+    const area = (estimateData.serviceItems || [])
+      .filter(service => config.services.includes(service.service) && service.unit === 'sq ft')
+      .reduce((sum, service) => sum + (Number(service.quantity) || 0), 0);
+
+    const result = bulkQuantity(item.material, item.unit, area, settings, item.depthInches);
+    if (!result) {
+      return item;
+    }
+
+    notes.push(`${item.description}: ${result.quantity} ${item.unit} (${result.basis})`);
+    return { ...item, quantity: result.quantity, quantityBasis: result.basis };
+  });
+
+  return notes;
+}
+
+// Check the bulk material settings a contractor saves. Returns an error message or null.
+function validateBulkSettings(bulkMaterials, wasteFactor) {
+  if (typeof wasteFactor !== 'number' || wasteFactor < 0 || wasteFactor >= 1) {
+    return 'wasteFactor must be a decimal between 0 and 1 (e.g. 0.1 for 10%)';
+  }
+
+  if (!bulkMaterials || typeof bulkMaterials !== 'object' || Array.isArray(bulkMaterials)) {
+    return 'bulkMaterials must map material keys to depth, density and services';
+  }
+
+  for (const [key, config] of Object.entries(bulkMaterials)) {
+    if (!config || typeof config.depthInches !== 'number' || config.depthInches <= 0) {
+      return `bulkMaterials.${key}.depthInches must be a positive number`;
+    }
+
+    if (typeof config.tonsPerCubicYard !== 'number' || config.tonsPerCubicYard <= 0) {
+      return `bulkMaterials.${key}.tonsPerCubicYard must be a positive number`;
+    }
+
+    if (!Array.isArray(config.services) || config.services.some(service => typeof service !== 'string')) {
+      return `bulkMaterials.${key}.services must be a list of service keys`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  CUBIC_FEET_PER_CUBIC_YARD,
+  BULK_UNITS,
+  DEFAULT_BULK_MATERIALS,
+  DEFAULT_WASTE_FACTOR,
+  toCubicYards,
+  cubicYardsToTons,
+  applyWaste,
+  bulkQuantity,
+  quantifyBulkMaterials,
+  validateBulkSettings
+};